@@ -0,0 +1,95 @@
+/**
+ * Admin Authentication Middleware
+ * Protects the admin dashboard and the API with basic auth or a bearer token from config
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger').child('AdminAuth');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} received - Value sent by the client
+ * @param {string} expected - Configured value
+ * @returns {boolean} Equal
+ */
+function safeEqual(received, expected) {
+    if (!received || !expected) {
+        return false;
+    }
+
+    // Hashing first gives both buffers the same length
+    const a = crypto.createHash('sha256').update(String(received)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check the Authorization header against the configured credentials
+ * Accepts "Bearer <ADMIN_TOKEN>", or basic auth with ADMIN_USERNAME and either ADMIN_PASSWORD or ADMIN_TOKEN
+ * @param {string} header - Authorization header
+ * @returns {boolean} Authorized
+ */
+function isAuthorized(header) {
+    const { username, password, token } = config.admin;
+    const [scheme, value] = (header || '').split(' ');
+
+    if (/^bearer$/i.test(scheme)) {
+        return safeEqual(value, token);
+    }
+
+    if (/^basic$/i.test(scheme) && value) {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const user = decoded.slice(0, separator);
+        const secret = decoded.slice(separator + 1);
+
+        return separator > 0 && safeEqual(user, username) &&
+            (safeEqual(secret, password) || safeEqual(secret, token));
+    }
+
+    return false;
+}
+
+/**
+ * Check that an Origin header names this server
+ * @param {string} origin - Origin header
+ * @param {string} host - Host header
+ * @returns {boolean} Same origin
+ */
+function isSameOrigin(origin, host) {
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Middleware that lets only the configured admin through
+ * Form posts from other sites are refused, since browsers resend basic auth credentials with them
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+    if (!config.admin.password && !config.admin.token) {
+        return res.status(503).json({ success: false, error: 'Admin access is disabled: set ADMIN_PASSWORD or ADMIN_TOKEN' });
+    }
+
+    if (!isAuthorized(req.get('Authorization'))) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+        res.set('WWW-Authenticate', 'Basic realm="eShopaid Admin", charset="UTF-8"');
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const origin = req.get('Origin');
+    if (req.method !== 'GET' && origin && !isSameOrigin(origin, req.get('Host'))) {
+        logger.warn(`Rejected cross-site ${req.method} ${req.originalUrl} from ${origin}`);
+        return res.status(403).json({ success: false, error: 'Cross-site request refused' });
+    }
+
+    next();
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,258 @@
+/**
+ * Admin Dashboard
+ * Collects recent syncs and their eShopaid results for the admin page, and runs operator actions
+ */
+
+const scheduler = require('./scheduler');
+const shopifyService = require('./shopify-service');
+const jobQueue = require('./job-queue');
+const syncLedger = require('./sync-ledger');
+const syncState = require('./sync-state');
+const customerMap = require('./customer-map');
+const fulfillmentStatus = require('./fulfillment-status');
+const logger = require('./logger').child('Admin');
+
+const { STATUS } = jobQueue;
+
+// Scheduler jobs that push stock into Shopify
+const INVENTORY_JOBS = ['inventory-full', 'inventory-delta'];
+
+class AdminDashboard {
+    /**
+     * Jobs of the given types, oldest first so later attempts overwrite earlier ones
+     * @param {string[]} types - Job types
+     * @returns {array} Jobs
+     */
+    jobsOf(types) {
+        return types
+            .flatMap(type => jobQueue.list({ type, limit: Infinity }))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Check an order name against a search term, with or without the leading #
+     * @param {string} orderName - Shopify order name, e.g. #UK1042
+     * @param {string} search - Search term
+     * @returns {boolean} Matches
+     */
+    matchesOrderName(orderName, search) {
+        if (!search) {
+            return true;
+        }
+        const normalize = value => String(value || '').replace(/^#/, '').trim().toLowerCase();
+        return normalize(orderName).includes(normalize(search));
+    }
+
+    /**
+     * Newest rows first, limited
+     * @param {Map} rows - Rows by key
+     * @param {number} limit - Rows to return
+     * @returns {array} Rows
+     */
+    latest(rows, limit) {
+        return [...rows.values()]
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .slice(0, limit);
+    }
+
+    /**
+     * Recent orders with their eShopaid result
+     * Webhook jobs give pending and failed orders, the sync ledger every order that reached eShopaid
+     * @param {object} options - { search: order name, limit }
+     * @returns {array} Rows of { orderId, orderName, status, eshopaidRef, failureReason, shipmentStatus, updatedAt, jobId }
+     */
+    listOrders({ search, limit = 50 } = {}) {
+        const rows = new Map();
+
+        for (const job of this.jobsOf(['orders/create'])) {
+            rows.set(String(job.payload.id), {
+                orderId: job.payload.id,
+                orderName: job.payload.name,
+                status: job.status,
+                eshopaidRef: job.result?.eshopaidRef || null,
+                failureReason: job.lastError,
+                updatedAt: job.updatedAt,
+                jobId: job.id,
+            });
+        }
+
+        for (const entry of syncLedger.listOrders()) {
+            const row = rows.get(String(entry.orderId));
+            rows.set(String(entry.orderId), {
+                jobId: null,
+                ...row,
+                orderId: entry.orderId,
+                orderName: entry.orderName,
+                status: 'synced',
+                eshopaidRef: entry.targetRefId,
+                failureReason: null,
+                updatedAt: row && row.updatedAt > entry.syncedAt ? row.updatedAt : entry.syncedAt,
+            });
+        }
+
+        for (const [key, row] of rows) {
+            if (!this.matchesOrderName(row.orderName, search)) {
+                rows.delete(key);
+            } else {
+                row.shipmentStatus = fulfillmentStatus.getOrder(row.orderId)?.orderStatus || null;
+            }
+        }
+
+        return this.latest(rows, limit);
+    }
+
+    /**
+     * Recent refunds with their eShopaid return order result
+     * @param {object} options - { search: order name, limit }
+     * @returns {array} Rows of { refundId, orderId, orderName, status, eshopaidRef, failureReason, updatedAt, jobId }
+     */
+    listRefunds({ search, limit = 50 } = {}) {
+        const rows = new Map();
+
+        for (const job of this.jobsOf(['refunds/create'])) {
+            rows.set(String(job.payload.id), {
+                refundId: job.payload.id,
+                orderId: job.payload.order_id,
+                orderName: null,
+                status: job.status,
+                eshopaidRef: job.result?.eshopaidRef || null,
+                failureReason: job.lastError,
+                updatedAt: job.updatedAt,
+                jobId: job.id,
+            });
+        }
+
+        for (const entry of syncLedger.listRefunds()) {
+            const row = rows.get(String(entry.refundId));
+            rows.set(String(entry.refundId), {
+                jobId: null,
+                ...row,
+                refundId: entry.refundId,
+                orderId: entry.orderId,
+                orderName: entry.orderName,
+                status: 'synced',
+                eshopaidRef: entry.targetRefId,
+                failureReason: null,
+                updatedAt: row && row.updatedAt > entry.syncedAt ? row.updatedAt : entry.syncedAt,
+            });
+        }
+
+        if (search) {
+            for (const [key, row] of rows) {
+                if (!this.matchesOrderName(row.orderName, search)) {
+                    rows.delete(key);
+                }
+            }
+        }
+
+        return this.latest(rows, limit);
+    }
+
+    /**
+     * Recent customers with their eShopaid CustomerCode
+     * @param {object} options - { limit }
+     * @returns {array} Rows of { customerId, email, customerCode, status, failureReason, updatedAt, jobId }
+     */
+    listCustomers({ limit = 50 } = {}) {
+        const rows = new Map();
+
+        for (const job of this.jobsOf(['customers/create', 'customers/update'])) {
+            rows.set(String(job.payload.id), {
+                customerId: job.payload.id,
+                email: job.payload.email || null,
+                customerCode: job.result?.eshopaidCode || null,
+                status: job.status,
+                failureReason: job.lastError,
+                updatedAt: job.updatedAt,
+                jobId: job.id,
+            });
+        }
+
+        for (const entry of customerMap.list()) {
+            const row = rows.get(entry.customerId);
+            rows.set(entry.customerId, {
+                jobId: null,
+                status: 'synced',
+                failureReason: null,
+                ...row,
+                customerId: entry.customerId,
+                email: row?.email || entry.email,
+                customerCode: entry.customerCode,
+                updatedAt: row && row.updatedAt > entry.updatedAt ? row.updatedAt : entry.updatedAt,
+            });
+        }
+
+        return this.latest(rows, limit);
+    }
+
+    /**
+     * Recent inventory sync runs, newest first
+     * @returns {array} Runs of { mode, startedAt, finishedAt, success, itemCount, updated, unmatched, error }
+     */
+    listInventoryRuns() {
+        const state = syncState.get('inventory');
+        return state.runs || (state.lastRun ? [state.lastRun] : []);
+    }
+
+    /**
+     * Everything shown on the dashboard
+     * @param {object} options - { search: order name, limit }
+     * @returns {object} Overview
+     */
+    overview(options = {}) {
+        return {
+            queue: jobQueue.stats(),
+            inventorySyncRunning: INVENTORY_JOBS.some(name => scheduler.whenDone(name)),
+            orders: this.listOrders(options),
+            refunds: this.listRefunds(options),
+            customers: options.search ? [] : this.listCustomers(options),
+            inventoryRuns: this.listInventoryRuns(),
+        };
+    }
+
+    /**
+     * Queue an order for another push to eShopaid
+     * A dead or discarded job is retried; otherwise the last payload (or the order from Shopify) is queued again
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Promise<object>} Result ({ success, job, message } or { success: false, error })
+     */
+    async rePushOrder(orderId) {
+        const synced = syncLedger.getOrder(orderId);
+        if (synced?.result?.success) {
+            return { success: false, error: `Order ${synced.orderName} is already in eShopaid as ${synced.targetRefId}` };
+        }
+
+        const job = this.jobsOf(['orders/create']).filter(j => String(j.payload.id) === String(orderId)).pop();
+        if (job && [STATUS.PENDING, STATUS.RUNNING].includes(job.status)) {
+            return { success: false, error: `Order ${job.payload.name} is already queued as job ${job.id}` };
+        }
+
+        if (job && [STATUS.DEAD, STATUS.DISCARDED].includes(job.status)) {
+            logger.info(`Re-pushing order ${job.payload.name} by retrying job ${job.id}`);
+            return { success: true, job: jobQueue.retry(job.id), message: `Order ${job.payload.name} queued again` };
+        }
+
+        const order = job?.payload || await shopifyService.getOrder(orderId);
+        logger.info(`Re-pushing order ${order.name}`);
+        const queued = jobQueue.enqueue('orders/create', order, { meta: { source: 'admin' } });
+
+        return { success: true, job: queued, message: `Order ${order.name} queued as job ${queued.id}` };
+    }
+
+    /**
+     * Start an inventory sync in the background
+     * It shares the scheduled inventory syncs' lock, so it never overlaps one
+     * @param {string} mode - 'full' or 'delta'
+     * @returns {object} Result ({ success, message } or { success: false, error })
+     */
+    triggerInventorySync(mode) {
+        const result = scheduler.trigger(`inventory-${mode}`);
+        if (!result.success) {
+            return { success: false, error: `An inventory sync is still running (${result.error})` };
+        }
+
+        return { success: true, message: `${mode === 'full' ? 'Full' : 'Delta'} inventory sync started` };
+    }
+}
+
+module.exports = new AdminDashboard();
@@ -0,0 +1,209 @@
+/**
+ * Admin Page
+ * Renders the admin dashboard as a single HTML page (no client-side scripts)
+ */
+
+/**
+ * Escape a value for HTML text and attributes
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an ISO timestamp for the tables
+ * @param {string} value - ISO timestamp
+ * @returns {string} "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+function formatTime(value) {
+    return value ? String(value).slice(0, 19).replace('T', ' ') : '';
+}
+
+/**
+ * Render a status badge
+ * @param {string} status - synced, completed, pending, running, dead or discarded
+ * @returns {string} HTML
+ */
+function badge(status) {
+    return `<span class="status status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+}
+
+/**
+ * Render a table, or a note when there are no rows
+ * @param {string[]} headings - Column headings
+ * @param {array} rows - Rows
+ * @param {function} renderRow - Row -> array of cell HTML
+ * @returns {string} HTML
+ */
+function table(headings, rows, renderRow) {
+    if (rows.length === 0) {
+        return '<p class="empty">Nothing yet.</p>';
+    }
+
+    const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${renderRow(row).map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+        .join('\n');
+
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Query string that keeps the dashboard on a tenant
+ * @param {string} tenant - Tenant ID
+ * @returns {string} '?tenant=...', or '' for the default tenant
+ */
+function tenantQuery(tenant) {
+    return tenant && tenant !== 'default' ? `?tenant=${encodeURIComponent(tenant)}` : '';
+}
+
+/**
+ * Render the re-push button of an order that isn't in eShopaid
+ * @param {object} row - Order row
+ * @param {string} tenant - Tenant ID
+ * @returns {string} HTML
+ */
+function rePushButton(row, tenant) {
+    if (['synced', 'pending', 'running'].includes(row.status)) {
+        return '';
+    }
+    return `<form method="post" action="/admin/orders/${encodeURIComponent(row.orderId)}/repush${tenantQuery(tenant)}">` +
+        '<button type="submit">Re-push</button></form>';
+}
+
+/**
+ * Render the dashboard
+ * @param {object} overview - Result of adminDashboard.overview()
+ * @param {object} options - { search, notice, error, tenant, tenantIds }
+ * @returns {string} HTML document
+ */
+function renderDashboard(overview, { search = '', notice = '', error = '', tenant = 'default', tenantIds = [] } = {}) {
+    const query = escapeHtml(tenantQuery(tenant));
+    const queue = Object.entries(overview.queue)
+        .map(([status, count]) => `${badge(status)} ${count}`)
+        .join(' ');
+
+    const orders = table(
+        ['Order', 'Status', 'eShopaid ref', 'Shipment', 'FailureReason', 'Updated', ''],
+        overview.orders,
+        row => [
+            escapeHtml(row.orderName),
+            badge(row.status),
+            escapeHtml(row.eshopaidRef),
+            escapeHtml(row.shipmentStatus),
+            `<span class="failure">${escapeHtml(row.failureReason)}</span>`,
+            formatTime(row.updatedAt),
+            rePushButton(row, tenant),
+        ]
+    );
+
+    const refunds = table(
+        ['Refund', 'Order', 'Status', 'eShopaid ref', 'FailureReason', 'Updated'],
+        overview.refunds,
+        row => [
+            escapeHtml(row.refundId),
+            escapeHtml(row.orderName || row.orderId),
+            badge(row.status),
+            escapeHtml(row.eshopaidRef),
+            `<span class="failure">${escapeHtml(row.failureReason)}</span>`,
+            formatTime(row.updatedAt),
+        ]
+    );
+
+    const customers = table(
+        ['Customer', 'Email', 'Status', 'CustomerCode', 'FailureReason', 'Updated'],
+        overview.customers,
+        row => [
+            escapeHtml(row.customerId),
+            escapeHtml(row.email),
+            badge(row.status),
+            escapeHtml(row.customerCode),
+            `<span class="failure">${escapeHtml(row.failureReason)}</span>`,
+            formatTime(row.updatedAt),
+        ]
+    );
+
+    const inventoryRuns = table(
+        ['Started', 'Mode', 'Result', 'Items', 'Updated', 'Unmatched', 'Error'],
+        overview.inventoryRuns,
+        run => [
+            formatTime(run.startedAt),
+            escapeHtml(run.mode),
+            badge(run.success ? 'completed' : 'dead'),
+            escapeHtml(run.itemCount),
+            escapeHtml(run.updated),
+            escapeHtml(run.unmatched),
+            `<span class="failure">${escapeHtml(run.error)}</span>`,
+        ]
+    );
+
+    const syncButtons = overview.inventorySyncRunning
+        ? 'An inventory sync is running.'
+        : ['delta', 'full'].map(mode =>
+            `<form method="post" action="/admin/sync/inventory${query}">` +
+            `<input type="hidden" name="mode" value="${mode}">` +
+            `<button type="submit">Run ${mode} inventory sync</button></form>`
+        ).join(' ');
+
+    const stores = tenantIds.length > 1
+        ? `<p>Store: ${tenantIds.map(id => id === tenant
+            ? `<strong>${escapeHtml(id)}</strong>`
+            : `<a href="/admin${escapeHtml(tenantQuery(id))}">${escapeHtml(id)}</a>`).join(' | ')}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>eShopaid Integration</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4rem; text-align: left; vertical-align: top; }
+    form { display: inline; }
+    .status { padding: 0.1rem 0.4rem; border-radius: 0.3rem; background: #eee; }
+    .status-synced, .status-completed { background: #d4edda; }
+    .status-pending, .status-running { background: #fff3cd; }
+    .status-dead { background: #f8d7da; }
+    .failure { color: #a71d2a; }
+    .notice { background: #d4edda; padding: 0.5rem; }
+    .error { background: #f8d7da; padding: 0.5rem; }
+    .empty { color: #777; }
+</style>
+</head>
+<body>
+<h1>eShopaid Integration</h1>
+${stores}
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<p>Jobs: ${queue}</p>
+<form method="get" action="/admin">
+    <input type="search" name="q" value="${escapeHtml(search)}" placeholder="Order name, e.g. #UK1042">
+    ${tenantQuery(tenant) ? `<input type="hidden" name="tenant" value="${escapeHtml(tenant)}">` : ''}
+    <button type="submit">Search</button>
+</form>
+${search ? `<a href="/admin${query}">Clear</a>` : ''}
+
+<h2>Orders</h2>
+${orders}
+
+<h2>Refunds</h2>
+${refunds}
+
+${search ? '' : `<h2>Customers</h2>\n${customers}\n`}
+<h2>Inventory Runs</h2>
+<p>${syncButtons}</p>
+${inventoryRuns}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDashboard };
@@ -0,0 +1,161 @@
+/**
+ * Order Backfill Script
+ * Pushes historical Shopify orders that are missing from eShopaid
+ *
+ * Usage:
+ *   node backfill-orders.js --from 2024-04-01 --to 2024-04-30 [--status any] [--financial-status paid]
+ *                           [--fulfillment-status shipped] [--include-cancelled] [--limit 10] [--push] [--resume]
+ *                           [--server http://localhost:3000]
+ *
+ * The backfill runs inside the service (POST /api/backfill/orders), which owns the sync ledger and
+ * customer map, so the service must be running. ADMIN_TOKEN from .env authorizes the calls.
+ * Without --push nothing is sent: the eShopaid payloads are printed instead.
+ * --resume carries on with the filters and page of the last interrupted run.
+ */
+
+require('dotenv').config();
+
+// How often the progress of a real run is read
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Parse --name value and --flag arguments
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} Options keyed by camelCased name
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            continue;
+        }
+        const name = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = value;
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Call the service's backfill endpoint
+ * @param {string} server - Service base URL
+ * @param {string} method - GET or POST
+ * @param {object} body - Backfill options (POST)
+ * @returns {Promise<object>} { status, body }
+ */
+async function callService(server, method, body = undefined) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.ADMIN_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.ADMIN_TOKEN}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${server}/api/backfill/orders`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    } catch (error) {
+        throw new Error(`The service is not reachable at ${server}; start it first`);
+    }
+
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Print the counts and failures of a run
+ * @param {object} report - Backfill report or saved progress
+ */
+function printSummary(report) {
+    console.log('');
+    console.log('Summary:');
+    for (const [name, count] of Object.entries(report.counts)) {
+        console.log(`  ${name}: ${count}`);
+    }
+    for (const failure of report.failures || []) {
+        console.log(`  ❌ ${failure.orderName}: ${failure.error}`);
+    }
+}
+
+async function runBackfill() {
+    const args = parseArgs(process.argv.slice(2));
+    const dryRun = !args.push;
+    const server = (args.server || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+    console.log('='.repeat(50));
+    console.log(`Order Backfill${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(50));
+
+    const started = await callService(server, 'POST', {
+        from: args.from,
+        to: args.to,
+        status: args.status,
+        financialStatus: args.financialStatus,
+        fulfillmentStatus: args.fulfillmentStatus,
+        includeCancelled: Boolean(args.includeCancelled),
+        limit: parseInt(args.limit) || undefined,
+        resume: Boolean(args.resume),
+        dryRun,
+    });
+
+    if (dryRun) {
+        const report = started.body;
+        if (!report.counts) {
+            console.log(`❌ ${report.error}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        report.orders.forEach((order, index) => {
+            const detail = order.eshopaidRef || order.error || '';
+            console.log(`[${index + 1}] ${order.orderName} ${order.status} ${detail}`.trim());
+            if (order.payload) {
+                console.log(JSON.stringify(order.payload, null, 2));
+            }
+        });
+        printSummary(report);
+        if (!report.success) {
+            console.log(`❌ Stopped: ${report.error}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (started.status !== 202) {
+        console.log(`❌ ${started.body.error}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let progress;
+    do {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+        progress = (await callService(server, 'GET')).body;
+        if (progress.counts) {
+            console.log(`${progress.counts.fetched} orders: ${progress.counts.pushed} pushed, ` +
+                `${progress.counts.failed} failed, ${progress.counts.skipped} already synced`);
+        }
+    } while (progress.running);
+
+    printSummary(progress);
+    if (progress.success === false) {
+        console.log(`❌ Stopped: ${progress.error}`);
+        process.exitCode = 1;
+    }
+    if (progress.finished) {
+        console.log('✅ All matching orders processed');
+    } else {
+        console.log('Run again with --push --resume to continue');
+    }
+}
+
+runBackfill().catch(error => {
+    console.log(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -4,6 +4,141 @@
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const tenants = require('./tenants');
+
+// Config sections a tenant may override; the rest is shared by every tenant
+const TENANT_SECTIONS = [
+  'eshopaid', 'shopify', 'sync', 'inventory', 'tax', 'prices', 'storefront', 'reconciliation', 'catalog',
+];
+
+// Settings every tenant must bring itself rather than inherit from the default store
+const TENANT_REQUIRED = {
+  shopify: ['storeUrl', 'accessToken', 'webhookSecret'],
+  eshopaid: ['storeLocation', 'sourceChannel'],
+};
+
+/**
+ * Extract the host name from a URL, e.g. https://shop.myshopify.com -> shop.myshopify.com
+ * @param {string} url - URL
+ * @returns {string|null} Host name
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse an eShopaid -> Shopify location map, e.g. "HO:71234,BLR1:71235,BLR2:71235"
+ * Several eShopaid locations may point at the same Shopify location; their stock is summed
+ * @param {string} value - Comma separated ERP_CODE:SHOPIFY_LOCATION_ID pairs
+ * @returns {object} Map of eShopaid location code -> Shopify location ID
+ */
+function parseLocationMap(value) {
+  const map = {};
+  for (const pair of (value || '').split(',')) {
+    const [erpLocation, shopifyLocation] = pair.split(':').map(part => part && part.trim());
+    if (erpLocation && shopifyLocation) {
+      map[erpLocation] = shopifyLocation;
+    }
+  }
+  return map;
+}
+
+/**
+ * Parse a comma separated list
+ * @param {string} value - e.g. "https://a.example, https://b.example"
+ * @returns {string[]} Non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the proxies Express trusts to name the client, e.g. "1", "true" or "loopback, 10.0.0.0/8"
+ * @param {string} value - Number of proxy hops, true/false, or comma separated addresses, subnets
+ *   and Express names (loopback, linklocal, uniquelocal)
+ * @returns {boolean|number|string[]} Express "trust proxy" setting (false: the connecting address is the client)
+ */
+function parseTrustProxy(value) {
+  const setting = (value || '').trim();
+  if (setting === '' || setting === 'false') {
+    return false;
+  }
+  if (setting === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(setting) ? parseInt(setting) : parseList(setting);
+}
+
+/**
+ * Parse the shipment status lifecycle, e.g. "in_transit:SHIPPED > out_for_delivery:OFD, failure:DLV_FAILED"
+ * Stages are separated by ">" and run forwards only; statuses within a stage may replace each other
+ * @param {string} value - Stages of comma separated SHOPIFY_SHIPMENT_STATUS:ESHOPAID_ORDER_STATUS pairs
+ * @returns {object} Map of Shopify shipment status -> { orderStatus, stage }
+ */
+function parseStatusFlow(value) {
+  const flow = {};
+  value.split('>').forEach((stage, index) => {
+    for (const pair of stage.split(',')) {
+      const [shipmentStatus, orderStatus] = pair.split(':').map(part => part && part.trim());
+      if (shipmentStatus && orderStatus) {
+        flow[shipmentStatus] = { orderStatus, stage: index };
+      }
+    }
+  });
+  return flow;
+}
+
+/**
+ * Read the tenants file, e.g. { "outlet": { "shopify": { "storeUrl": ... }, "eshopaid": { "sourceChannel": ... } } }
+ * Store-specific settings (shop domain, location, location map, storefront origins) are never inherited
+ * @param {string} file - Path of the JSON file, relative to this directory (empty: single store)
+ * @returns {object} Map of tenant ID -> config section overrides
+ */
+function loadTenants(file) {
+  if (!file) {
+    return {};
+  }
+
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+  const loaded = {};
+
+  for (const [id, definition] of Object.entries(definitions)) {
+    const unknown = Object.keys(definition).filter(name => !TENANT_SECTIONS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Tenant ${id} sets ${unknown.join(', ')}; tenants may only set ${TENANT_SECTIONS.join(', ')}`);
+    }
+
+    const missing = Object.entries(TENANT_REQUIRED)
+      .flatMap(([section, keys]) => keys.filter(key => !definition[section]?.[key]).map(key => `${section}.${key}`));
+    if (missing.length > 0) {
+      throw new Error(`Tenant ${id} is missing ${missing.join(', ')}`);
+    }
+
+    const { shopify, inventory = {}, storefront = {} } = definition;
+    loaded[id] = {
+      ...definition,
+      shopify: { locationId: null, ...shopify, shopDomain: shopify.shopDomain || hostnameOf(shopify.storeUrl) },
+      inventory: {
+        ...inventory,
+        locationMap: typeof inventory.locationMap === 'string'
+          ? parseLocationMap(inventory.locationMap)
+          : inventory.locationMap || {},
+      },
+      storefront: {
+        ...storefront,
+        origins: typeof storefront.origins === 'string' ? parseList(storefront.origins) : storefront.origins || [],
+      },
+    };
+  }
+
+  return loaded;
+}
 
 const config = {
   // eShopaid API Settings
@@ -17,6 +152,10 @@ const config = {
     sourceChannel: process.env.ESHOPAID_SOURCE_CHANNEL || 'Shopify',
     tokenLifetimeMinutes: 30,
     tokenRefreshBuffer: 5, // Refresh 5 minutes before expiry
+    tokenWarmupCron: process.env.TOKEN_WARMUP_CRON ?? '*/5 * * * *', // Renews the token ahead of requests, empty to disable
+    timeoutMs: parseInt(process.env.ESHOPAID_TIMEOUT_MS) || 30000,
+    maxRetries: parseInt(process.env.ESHOPAID_MAX_RETRIES) || 2, // Retries of reads on 5xx and network errors
+    retryDelayMs: 1000, // Doubles after each retry
   },
 
   // Shopify Settings
@@ -24,11 +163,125 @@ const config = {
     storeUrl: process.env.SHOPIFY_STORE_URL,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
     apiVersion: process.env.SHOPIFY_API_VERSION || '2024-01',
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    shopDomain: process.env.SHOPIFY_SHOP_DOMAIN || hostnameOf(process.env.SHOPIFY_STORE_URL),
+    locationId: process.env.SHOPIFY_LOCATION_ID || null, // Defaults to the shop's primary location
+    maxRetries: 3, // Retries on 429 rate limit responses and THROTTLED GraphQL answers
+    bulkThreshold: parseInt(process.env.SHOPIFY_BULK_THRESHOLD) || 2000, // Larger writes run as bulk operations
+    bulkPollSeconds: 5, // Bulk operation status polling interval
+    bulkTimeoutMinutes: 60, // Longest wait for a bulk operation
   },
 
   // Sync Settings
   sync: {
-    inventoryIntervalMinutes: parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES) || 15,
+    inventoryIntervalMinutes: parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES) || 15, // Delta sync, any length
+    inventoryDeltaCron: process.env.INVENTORY_DELTA_SYNC_CRON || '', // Cron expression used instead of the interval
+    inventoryFullSyncCron: process.env.INVENTORY_FULL_SYNC_CRON ?? '0 2 * * *', // Nightly full reconcile, empty to disable
+  },
+
+  // Inventory Settings
+  inventory: {
+    locationMap: parseLocationMap(process.env.INVENTORY_LOCATION_MAP), // Empty: ESHOPAID_STORE_LOCATION -> SHOPIFY_LOCATION_ID
+  },
+
+  // GST Settings
+  tax: {
+    shipFromState: process.env.SHIP_FROM_STATE || '', // Empty: CGST/SGST only when Shopify's tax lines say so
+    roundingTolerance: parseFloat(process.env.ORDER_ROUNDING_TOLERANCE) || 1, // Largest total difference sent as round-off
+  },
+
+  // Fulfillment Status Settings (Shopify shipment_status -> eShopaid SetOrderStatus)
+  fulfillment: {
+    statusFlow: parseStatusFlow(
+      process.env.FULFILLMENT_STATUS_FLOW ||
+      'in_transit:SHIPPED > out_for_delivery:OFD, failure:DLV_FAILED > delivered:DELIVERED'
+    ),
+  },
+
+  // Price Sync Settings (eShopaid SalesPrice/MRP -> Shopify price/compare-at price)
+  prices: {
+    enabled: process.env.PRICE_SYNC_ENABLED === 'true', // Dry runs are always allowed
+    maxChangePercent: parseFloat(process.env.PRICE_SYNC_MAX_CHANGE_PERCENT) || 30,
+    lockTag: process.env.PRICE_SYNC_LOCK_TAG || 'price-lock', // Products with this tag are never repriced
+    cron: process.env.PRICE_SYNC_CRON || '', // Empty: manual only
+  },
+
+  // Storefront Stock Check Settings (POST /api/storefront/stock)
+  storefront: {
+    origins: parseList(process.env.STOREFRONT_ORIGINS), // Browser origins allowed to call the stock check
+    stockCacheSeconds: parseInt(process.env.STOCK_CHECK_CACHE_SECONDS) >= 0
+      ? parseInt(process.env.STOCK_CHECK_CACHE_SECONDS)
+      : 20,
+    maxLines: 50, // Cart lines checked per request
+    maxCodes: parseInt(process.env.STOCK_CHECK_MAX_CODES) || 20, // Distinct SKUs checked per request
+    requestsPerMinute: parseInt(process.env.STOCK_CHECK_REQUESTS_PER_MINUTE) || 30, // Per client IP
+    totalRequestsPerMinute: parseInt(process.env.STOCK_CHECK_TOTAL_REQUESTS_PER_MINUTE) || 600, // Every client together
+    staleSeconds: 600, // How long an expired level still answers while eShopaid can't be reached
+  },
+
+  // Order Reconciliation Settings
+  reconciliation: {
+    cron: process.env.RECONCILIATION_CRON ?? '30 3 * * *', // Checks the previous day's orders, empty to disable
+    enqueueMissing: process.env.RECONCILIATION_ENQUEUE_MISSING === 'true', // Queue orders missing from eShopaid
+  },
+
+  // Catalog Settings (product import CSV and the Shopify variant index)
+  catalog: {
+    vendor: process.env.CATALOG_VENDOR || '',
+    status: process.env.CATALOG_STATUS || 'draft', // active, draft or archived
+    optionNames: parseList(process.env.CATALOG_OPTION_NAMES || 'Color,Size'), // Names of the ItemCode suffix parts
+    variantIndexCron: process.env.VARIANT_INDEX_CRON ?? '0 1 * * *', // Variant index rebuild, empty to disable
+  },
+
+  // Order Cancellation Settings
+  cancellation: {
+    syncedTag: process.env.CANCELLATION_SYNCED_TAG || 'eshopaid-cancelled', // Added once eShopaid confirms a cancellation
+  },
+
+  // Order Backfill Settings
+  backfill: {
+    ordersPerMinute: parseInt(process.env.BACKFILL_ORDERS_PER_MINUTE) || 30, // Orders pushed to eShopaid per minute
+    pageSize: 50, // Orders fetched from Shopify per page
+  },
+
+  // Admin Dashboard Settings (/admin is refused until a password or token is set)
+  admin: {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || '',
+    token: process.env.ADMIN_TOKEN || '', // Bearer token, also accepted as the basic auth password
+  },
+
+  // Server Settings
+  server: {
+    // Proxies in front of the service (e.g. 1 behind a single load balancer): X-Forwarded-For then gives
+    // the client IP the storefront stock check is rate limited by. Off, every client shares the proxy's IP
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  },
+
+  // Logging Settings
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // debug, info, warn or error
+  },
+
+  // Local Storage Settings
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+  },
+
+  // Sync Ledger Settings
+  ledger: {
+    webhookRetentionDays: 7, // Processed X-Shopify-Webhook-Id values kept for duplicate detection
+  },
+
+  // Job Queue Settings
+  queue: {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 8,
+    baseDelaySeconds: parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30, // Doubles after each failed attempt
+    maxDelayMinutes: 60,
+    pollIntervalSeconds: 5,
+    completedRetention: 1000, // Finished jobs kept for inspection
+    deadRetention: 500, // Dead jobs kept for retrying; older ones are dropped with a warning
+    saveDelayMs: 1000, // Job state changes are written at most this often (new jobs at once)
   },
 
   // Service Method Names (as per API documentation)
@@ -41,7 +294,17 @@ const config = {
     GET_ORDER_DETAIL: 'GetOrderDetail',
     CREATE_RETURN_ORDER: 'PushReturnOrder',
     SET_ORDER_STATUS: 'SetOrderStatus',
+    CANCEL_SALES_ORDER: 'CancelSalesOrder',
   },
 };
 
+// Tenants (TENANTS_FILE) see their own values in these sections; the .env store is the default tenant
+for (const [id, overrides] of Object.entries(loadTenants(process.env.TENANTS_FILE))) {
+  tenants.define(id, overrides);
+}
+for (const name of TENANT_SECTIONS) {
+  const base = config[name];
+  Object.defineProperty(config, name, { enumerable: true, get: () => tenants.section(name, base) });
+}
+
 module.exports = config;
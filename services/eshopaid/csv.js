@@ -0,0 +1,30 @@
+/**
+ * CSV
+ * Writes reports as RFC 4180 CSV
+ */
+
+/**
+ * Quote a value when it contains a comma, quote or line break
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} CSV cell
+ */
+function formatCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV
+ * @param {string[]} columns - Header row; each row object is read by these keys
+ * @param {array} rows - Row objects
+ * @returns {string} CSV text ending in a line break
+ */
+function toCsv(columns, rows) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    formatCell,
+    toCsv,
+};
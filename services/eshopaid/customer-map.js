@@ -0,0 +1,95 @@
+/**
+ * Customer Map
+ * Remembers the eShopaid CustomerCode of each Shopify customer,
+ * looked up by Shopify customer ID, email or phone
+ */
+
+const JsonStore = require('./json-store');
+
+class CustomerMap {
+    constructor() {
+        this.store = new JsonStore('customer-map.json', { customers: {}, emails: {}, phones: {} });
+    }
+
+    /**
+     * Normalize an email for lookups
+     * @param {string} email - Email address
+     * @returns {string} Lowercased, trimmed email
+     */
+    normalizeEmail(email) {
+        return (email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Normalize a phone number for lookups (last 10 digits, ignoring +91 and formatting)
+     * @param {string} phone - Phone number
+     * @returns {string} Digits
+     */
+    normalizePhone(phone) {
+        return String(phone || '').replace(/\D/g, '').slice(-10);
+    }
+
+    /**
+     * Find the eShopaid customer code for a Shopify customer
+     * @param {object} customer - Shopify customer ({ id, email, phone })
+     * @returns {string|null} eShopaid customer code
+     */
+    findCode(customer) {
+        if (!customer) {
+            return null;
+        }
+
+        const data = this.store.load();
+        const phone = this.normalizePhone(customer.phone || customer.default_address?.phone);
+        const email = this.normalizeEmail(customer.email);
+
+        return (customer.id && data.customers[String(customer.id)]?.customerCode)
+            || (email && data.emails[email])
+            || (phone && data.phones[phone])
+            || null;
+    }
+
+    /**
+     * List mapped Shopify customers
+     * @returns {array} Entries of { customerId, customerCode, email, phone, updatedAt }
+     */
+    list() {
+        return Object.entries(this.store.load().customers)
+            .map(([customerId, entry]) => ({ customerId, ...entry }));
+    }
+
+    /**
+     * Record the eShopaid customer code of a Shopify customer
+     * @param {object} customer - Shopify customer ({ id, email, phone })
+     * @param {string|number} customerCode - eShopaid customer code
+     */
+    record(customer, customerCode) {
+        if (!customer || customerCode === undefined || customerCode === null || customerCode === '') {
+            return;
+        }
+
+        const data = this.store.load();
+        const code = String(customerCode);
+        const phone = this.normalizePhone(customer.phone || customer.default_address?.phone);
+        const email = this.normalizeEmail(customer.email);
+
+        if (customer.id) {
+            data.customers[String(customer.id)] = {
+                customerCode: code,
+                email: email || null,
+                phone: phone || null,
+                updatedAt: new Date().toISOString(),
+            };
+        }
+        if (email) {
+            data.emails[email] = code;
+        }
+        if (phone) {
+            data.phones[phone] = code;
+        }
+
+        this.store.save();
+    }
+}
+
+module.exports = new CustomerMap();
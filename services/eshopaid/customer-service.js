@@ -3,37 +3,12 @@
  * Handles customer creation and updates
  */
 
-const axios = require('axios');
 const config = require('./config');
-const tokenManager = require('./token-manager');
+const eshopaidClient = require('./eshopaid-client');
+const customerMap = require('./customer-map');
+const logger = require('./logger').child('CustomerService');
 
 class CustomerService {
-    /**
-     * Make an authenticated API request to eShopaid
-     * @param {string} method - SERVICE_METHODNAME
-     * @param {object} data - Request body
-     * @returns {Promise<object>} Response data
-     */
-    async makeRequest(method, data) {
-        const token = await tokenManager.getToken();
-        const url = `${config.eshopaid.serverUrl}${config.eshopaid.processDataEndpoint}`;
-
-        try {
-            const response = await axios.post(url, data, {
-                headers: {
-                    'SERVICE_METHODNAME': method,
-                    'AUTHORIZATION': token,
-                    'Content-Type': 'application/json',
-                },
-            });
-
-            return response.data;
-        } catch (error) {
-            console.error(`[CustomerService] API request failed:`, error.message);
-            throw error;
-        }
-    }
-
     /**
      * Add a new customer to eShopaid
      * @param {object} customerData - Customer information
@@ -42,8 +17,8 @@ class CustomerService {
     async addCustomer(customerData) {
         const customer = this.formatCustomerData(customerData);
 
-        console.log(`[CustomerService] Adding customer: ${customerData.email || customerData.phone}`);
-        const response = await this.makeRequest(config.methods.ADD_CUSTOMER, { Customer: customer });
+        logger.info(`Adding customer: ${customerData.email || customerData.phone}`);
+        const response = await eshopaidClient.request(config.methods.ADD_CUSTOMER, { Customer: customer });
 
         return this.parseResponse(response);
     }
@@ -58,25 +33,33 @@ class CustomerService {
         const customer = this.formatCustomerData(customerData);
         customer.CustomerCode = customerCode;
 
-        console.log(`[CustomerService] Modifying customer: ${customerCode}`);
-        const response = await this.makeRequest(config.methods.MODIFY_CUSTOMER, { Customer: customer });
+        logger.info(`Modifying customer: ${customerCode}`);
+        const response = await eshopaidClient.request(config.methods.MODIFY_CUSTOMER, { Customer: customer });
 
         return this.parseResponse(response);
     }
 
     /**
      * Add or update customer from Shopify customer object
+     * Customers already in the customer map are modified instead of added again
      * @param {object} shopifyCustomer - Shopify customer object
      * @param {string} existingCode - Existing eShopaid customer code (optional)
      * @returns {Promise<object>} Response
      */
     async syncFromShopify(shopifyCustomer, existingCode = null) {
         const customerData = this.transformShopifyCustomer(shopifyCustomer);
+        const customerCode = existingCode || customerMap.findCode(shopifyCustomer);
+
+        const result = customerCode
+            ? await this.modifyCustomer(customerCode, customerData)
+            : await this.addCustomer(customerData);
 
-        if (existingCode) {
-            return this.modifyCustomer(existingCode, customerData);
+        if (result.success) {
+            result.customerCode = result.customerCode || customerCode;
+            customerMap.record(shopifyCustomer, result.customerCode);
         }
-        return this.addCustomer(customerData);
+
+        return result;
     }
 
     /**
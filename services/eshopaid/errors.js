@@ -0,0 +1,63 @@
+/**
+ * eShopaid Error Types
+ * Errors raised by the eShopaid client, carrying the API method and FailureReason
+ */
+
+class EshopaidError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} details - { method, failureReason, status, code, response, retryable }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.method = details.method || null;
+        this.failureReason = details.failureReason || null;
+        this.status = details.status || null;
+        this.code = details.code || null;
+        this.response = details.response || null;
+        this.retryable = Boolean(details.retryable);
+    }
+}
+
+/**
+ * Credentials were rejected or the token has expired
+ */
+class EshopaidAuthError extends EshopaidError {}
+
+/**
+ * The server couldn't be reached or didn't answer within the timeout
+ */
+class EshopaidNetworkError extends EshopaidError {
+    constructor(message, details = {}) {
+        super(message, { retryable: true, ...details });
+    }
+}
+
+/**
+ * The server answered with an HTTP error status
+ */
+class EshopaidHttpError extends EshopaidError {
+    constructor(message, details = {}) {
+        super(message, { retryable: details.status >= 500, ...details });
+    }
+}
+
+/**
+ * The response body couldn't be understood
+ */
+class EshopaidResponseError extends EshopaidError {}
+
+/**
+ * The API processed the request and answered Result: FAILURE
+ */
+class EshopaidFailureError extends EshopaidError {}
+
+module.exports = {
+    EshopaidError,
+    EshopaidAuthError,
+    EshopaidNetworkError,
+    EshopaidHttpError,
+    EshopaidResponseError,
+    EshopaidFailureError,
+};
@@ -0,0 +1,203 @@
+/**
+ * eShopaid API Client
+ * Shared transport for ProcessData calls: auth, timeouts, retries and response normalization
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const tokenManager = require('./token-manager');
+const metrics = require('./metrics');
+const logger = require('./logger').child('EshopaidClient');
+const { parseXml } = require('./xml-parser');
+const {
+    EshopaidError,
+    EshopaidAuthError,
+    EshopaidNetworkError,
+    EshopaidHttpError,
+    EshopaidResponseError,
+    EshopaidFailureError,
+} = require('./errors');
+
+// FailureReason eShopaid answers a rejected token with; other reasons mentioning a token are
+// failures of the request itself
+const AUTH_FAILURE_PATTERN = /^\s*invalid or expired token\.?\s*$/i;
+
+// Methods that only read, so repeating one can't create or change anything in eShopaid
+const READ_METHODS = [config.methods.GET_INVENTORY, config.methods.GET_ORDER_DETAIL];
+
+// Network errors raised before the request left, so eShopaid never saw it
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+class EshopaidClient {
+    /**
+     * Make an authenticated ProcessData request
+     * Refreshes the token and retries once on auth failure. Reads are retried with backoff on 5xx and
+     * network errors; writes only when the connection failed before sending, since eShopaid may have
+     * acted on a write whose reply was lost (the job queue retries those)
+     * @param {string} method - SERVICE_METHODNAME
+     * @param {object} data - Request body
+     * @returns {Promise<object>} Normalized response ({ Response: { Result, ... } })
+     * @throws {EshopaidError} Typed error carrying the method and FailureReason
+     */
+    async request(method, data) {
+        const startedAt = process.hrtime.bigint();
+        const record = result => {
+            metrics.increment('eshopaid_erp_requests_total', { method, result });
+            metrics.observe('eshopaid_erp_request_duration_seconds', { method },
+                Number(process.hrtime.bigint() - startedAt) / 1e9);
+        };
+
+        let authRetried = false;
+        let attempt = 0;
+
+        for (;;) {
+            try {
+                const token = await tokenManager.getToken();
+                logger.info(`Making request with SERVICE_METHODNAME: ${method}`, { method });
+
+                const response = await this.send(method, data, token);
+                const result = this.checkResult(this.normalizeResponse(response.data, method), method);
+                record('success');
+                return result;
+            } catch (rawError) {
+                const error = this.toEshopaidError(rawError, method);
+
+                // Token errors raised by the token endpoint itself aren't worth a second try
+                if (error instanceof EshopaidAuthError && error.method === method && !authRetried) {
+                    authRetried = true;
+                    logger.warn(`${method} rejected the token, refreshing`, { method });
+                    tokenManager.clearToken();
+                    continue;
+                }
+
+                if (this.shouldRetry(error, method) && attempt < config.eshopaid.maxRetries) {
+                    attempt++;
+                    const delay = config.eshopaid.retryDelayMs * Math.pow(2, attempt - 1);
+                    logger.warn(`${method} failed (${error.message}), retry ${attempt} in ${delay}ms`, { method, attempt });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                logger.error(`${method} failed`, { method, error });
+                record(error.name);
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Whether a failed call can be repeated without risking a duplicate in eShopaid
+     * @param {EshopaidError} error - Typed error
+     * @param {string} method - SERVICE_METHODNAME
+     * @returns {boolean} True to retry
+     */
+    shouldRetry(error, method) {
+        return error.retryable && (READ_METHODS.includes(method) || NOT_SENT_CODES.includes(error.code));
+    }
+
+    /**
+     * Send the HTTP request
+     * @param {string} method - SERVICE_METHODNAME
+     * @param {object} data - Request body
+     * @param {string} token - Access token
+     * @returns {Promise<object>} Axios response
+     */
+    async send(method, data, token) {
+        const url = `${config.eshopaid.serverUrl}${config.eshopaid.processDataEndpoint}`;
+
+        return axios.post(url, data, {
+            timeout: config.eshopaid.timeoutMs,
+            // Keep XML bodies as text so they can be parsed here
+            transformResponse: [body => body],
+            responseType: 'text',
+            headers: {
+                'SERVICE_METHODNAME': method,
+                'AUTHORIZATION': token,
+                'Content-Type': 'application/json',
+            },
+        });
+    }
+
+    /**
+     * Turn an XML or JSON body into the JSON response shape
+     * @param {string|object} body - Response body
+     * @param {string} method - SERVICE_METHODNAME
+     * @returns {object} Response object
+     */
+    normalizeResponse(body, method) {
+        let parsed = body;
+
+        if (typeof body === 'string') {
+            const text = body.trim();
+            try {
+                parsed = text.startsWith('<') ? parseXml(text) : JSON.parse(text);
+            } catch (error) {
+                throw new EshopaidResponseError(`Unreadable ${method} response: ${error.message}`, {
+                    method,
+                    response: text.slice(0, 500),
+                });
+            }
+        }
+
+        if (!parsed || typeof parsed !== 'object' || !parsed.Response) {
+            throw new EshopaidResponseError(`Invalid ${method} response format`, { method, response: parsed });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Throw a typed error for Result: FAILURE responses
+     * @param {object} response - Normalized response
+     * @param {string} method - SERVICE_METHODNAME
+     * @returns {object} The response when successful
+     */
+    checkResult(response, method) {
+        const { Result, FailureReason } = response.Response;
+
+        if (Result === 'SUCCESS') {
+            return response;
+        }
+
+        const reason = FailureReason || `${method} returned ${Result || 'no result'}`;
+        const ErrorType = AUTH_FAILURE_PATTERN.test(reason) ? EshopaidAuthError : EshopaidFailureError;
+        throw new ErrorType(reason, { method, failureReason: FailureReason || null, response });
+    }
+
+    /**
+     * Convert any thrown value into an EshopaidError
+     * @param {Error} error - Thrown error
+     * @param {string} method - SERVICE_METHODNAME
+     * @returns {EshopaidError} Typed error
+     */
+    toEshopaidError(error, method) {
+        if (error instanceof EshopaidError) {
+            return error;
+        }
+
+        if (error.response) {
+            const status = error.response.status;
+            let failureReason = null;
+            try {
+                failureReason = this.normalizeResponse(error.response.data, method).Response.FailureReason || null;
+            } catch (parseError) {
+                // Error pages are often HTML; the status is enough
+            }
+
+            const message = failureReason || `${method} failed with HTTP ${status}`;
+            const ErrorType = status === 401 || status === 403 ? EshopaidAuthError : EshopaidHttpError;
+            return new ErrorType(message, { method, status, failureReason, response: error.response.data });
+        }
+
+        if (error.code || error.request) {
+            const message = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+                ? `${method} timed out after ${config.eshopaid.timeoutMs}ms`
+                : `${method} request failed: ${error.message}`;
+            return new EshopaidNetworkError(message, { method, code: error.code });
+        }
+
+        return new EshopaidError(error.message, { method });
+    }
+}
+
+module.exports = new EshopaidClient();
@@ -0,0 +1,64 @@
+/**
+ * Product Export Script
+ * Writes eShopaid items as a Shopify product import CSV
+ *
+ * Usage:
+ *   node export-products.js [--out products.csv] [--new-only]
+ *
+ * --new-only leaves out SKUs Shopify already has (matched by SKU or barcode).
+ * Import the file in Shopify admin under Products > Import.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const eshopaid = require('./index');
+
+/**
+ * Parse --name value and --flag arguments
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} Options keyed by camelCased name
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            continue;
+        }
+        const name = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = value;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function runExport() {
+    const args = parseArgs(process.argv.slice(2));
+    const out = typeof args.out === 'string' ? args.out : 'products.csv';
+
+    console.log('='.repeat(50));
+    console.log(`Product Export${args.newOnly ? ' (new SKUs only)' : ''}`);
+    console.log('='.repeat(50));
+
+    try {
+        const result = await eshopaid.productExport.run({ newOnly: Boolean(args.newOnly) });
+        fs.writeFileSync(out, result.csv);
+
+        console.log(`✅ Wrote ${result.products} products with ${result.variants} variants to ${out}`);
+        if (args.newOnly) {
+            console.log(`   Left out ${result.existing} SKUs Shopify already has`);
+        }
+        for (const handle of result.existingHandles) {
+            console.log(`   New variants of existing product ${handle}`);
+        }
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+runExport();
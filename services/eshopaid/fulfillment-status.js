@@ -0,0 +1,178 @@
+/**
+ * Fulfillment Status
+ * Moves eShopaid order status forward through the shipment lifecycle and records each transition sent,
+ * along with when the order was reported PAID
+ */
+
+const config = require('./config');
+const JsonStore = require('./json-store');
+
+class FulfillmentStatus {
+    constructor() {
+        this.store = new JsonStore('order-status.json', { orders: {} });
+    }
+
+    /**
+     * Get the recorded shipment state of a Shopify order
+     * @param {string|number} shopifyOrderId - Shopify order ID
+     * @returns {object|null} Entry ({ shipmentStatus, orderStatus, paidAt, fulfillments, transitions })
+     */
+    getOrder(shopifyOrderId) {
+        return this.store.load().orders[String(shopifyOrderId)] || null;
+    }
+
+    /**
+     * Shipment status a fulfillment stands for
+     * A successful fulfillment without carrier tracking has been handed over, so it counts as in_transit
+     * @param {object} fulfillment - Shopify fulfillment
+     * @returns {string|null} Shipment status, null while the fulfillment isn't shipped
+     */
+    shipmentStatusOf(fulfillment) {
+        if (fulfillment.status !== 'success') {
+            return null;
+        }
+        return fulfillment.shipment_status || 'in_transit';
+    }
+
+    /**
+     * Work out the order status change a fulfillment event calls for
+     * With split shipments the order follows its least advanced fulfillment, and an order
+     * Shopify doesn't show as fully fulfilled is held before the last stage
+     * @param {object} fulfillment - Shopify fulfillment
+     * @param {object} order - Parent Shopify order
+     * @returns {object} { send, from, to, orderStatus, fulfillments }
+     */
+    plan(fulfillment, order) {
+        const flow = config.fulfillment.statusFlow;
+        const entry = this.getOrder(order.id);
+        const from = entry?.shipmentStatus || null;
+        const fulfillments = { ...(entry?.fulfillments || {}) };
+
+        const shipmentStatus = this.shipmentStatusOf(fulfillment);
+        if (['cancelled', 'error', 'failure'].includes(fulfillment.status)) {
+            delete fulfillments[String(fulfillment.id)];
+        } else if (flow[shipmentStatus]) {
+            fulfillments[String(fulfillment.id)] = shipmentStatus;
+        }
+
+        const to = this.orderShipmentStatus(Object.values(fulfillments), from, shipmentStatus);
+        const lastStage = Math.max(...Object.values(flow).map(step => step.stage));
+        const held = to && flow[to].stage === lastStage && order.fulfillment_status !== 'fulfilled';
+
+        return {
+            send: Boolean(to) && !held && this.canMove(from, to),
+            from,
+            to,
+            orderStatus: to ? flow[to].orderStatus : null,
+            fulfillments,
+        };
+    }
+
+    /**
+     * Shipment status of the order: the least advanced of its fulfillments
+     * Within that stage the current status is kept, else the incoming one is preferred
+     * @param {string[]} statuses - Shipment status of each fulfillment
+     * @param {string|null} current - Recorded shipment status of the order
+     * @param {string|null} incoming - Shipment status of the fulfillment being handled
+     * @returns {string|null} Shipment status
+     */
+    orderShipmentStatus(statuses, current, incoming) {
+        const flow = config.fulfillment.statusFlow;
+        const tracked = statuses.filter(status => flow[status]);
+        if (tracked.length === 0) {
+            return null;
+        }
+
+        const stage = Math.min(...tracked.map(status => flow[status].stage));
+        const candidates = tracked.filter(status => flow[status].stage === stage);
+
+        if (candidates.includes(current)) {
+            return current;
+        }
+        return candidates.includes(incoming) ? incoming : candidates[0];
+    }
+
+    /**
+     * Check a transition against the lifecycle
+     * Later stages are always allowed, the same stage only to another status, earlier stages never
+     * @param {string|null} from - Current shipment status
+     * @param {string} to - New shipment status
+     * @returns {boolean} Allowed
+     */
+    canMove(from, to) {
+        const flow = config.fulfillment.statusFlow;
+        if (from === to) {
+            return false;
+        }
+        if (!flow[from]) {
+            return true;
+        }
+        return flow[to].stage >= flow[from].stage;
+    }
+
+    /**
+     * Store the fulfillment and, when it was sent, the transition
+     * @param {object} order - Shopify order
+     * @param {object} fulfillment - Shopify fulfillment
+     * @param {object} change - Result of plan()
+     * @returns {object} Entry
+     */
+    record(order, fulfillment, change) {
+        const orders = this.store.load().orders;
+        const entry = this.entryOf(orders, order);
+
+        entry.fulfillments = change.fulfillments;
+        if (change.send) {
+            entry.shipmentStatus = change.to;
+            entry.orderStatus = change.orderStatus;
+            entry.transitions.push({
+                from: change.from,
+                to: change.to,
+                orderStatus: change.orderStatus,
+                fulfillmentId: fulfillment.id,
+                sentAt: new Date().toISOString(),
+            });
+        }
+
+        orders[String(order.id)] = entry;
+        this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Record that eShopaid has been told the order is PAID, so later order updates don't send it again
+     * @param {object} order - Shopify order
+     * @returns {object} Entry
+     */
+    recordPaid(order) {
+        const orders = this.store.load().orders;
+        const entry = this.entryOf(orders, order);
+
+        entry.paidAt = new Date().toISOString();
+        orders[String(order.id)] = entry;
+        this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Recorded entry of an order, or a fresh one
+     * @param {object} orders - Stored orders
+     * @param {object} order - Shopify order
+     * @returns {object} Entry
+     */
+    entryOf(orders, order) {
+        return orders[String(order.id)] || {
+            orderId: order.id,
+            orderName: order.name,
+            shipmentStatus: null,
+            orderStatus: null,
+            paidAt: null,
+            fulfillments: {},
+            transitions: [],
+        };
+    }
+}
+
+module.exports = new FulfillmentStatus();
@@ -4,11 +4,28 @@
  */
 
 const config = require('./config');
+const tenants = require('./tenants');
 const tokenManager = require('./token-manager');
 const inventoryService = require('./inventory-service');
+const inventorySync = require('./inventory-sync');
+const priceSync = require('./price-sync');
 const orderService = require('./order-service');
 const customerService = require('./customer-service');
+const customerMap = require('./customer-map');
+const shopifyService = require('./shopify-service');
 const webhookHandlers = require('./webhook-handlers');
+const jobQueue = require('./job-queue');
+const syncLedger = require('./sync-ledger');
+const syncState = require('./sync-state');
+const fulfillmentStatus = require('./fulfillment-status');
+const adminDashboard = require('./admin-dashboard');
+const orderBackfill = require('./order-backfill');
+const orderReconciliation = require('./order-reconciliation');
+const stockCheck = require('./stock-check');
+const productExport = require('./product-export');
+const variantIndex = require('./variant-index');
+const scheduler = require('./scheduler');
+const logger = require('./logger').child('eShopaid');
 
 /**
  * eShopaid Integration Module
@@ -18,30 +35,70 @@ const eshopaid = {
     // Configuration
     config,
 
+    // Stores served by the service, and the one being handled
+    tenants,
+
     // Token management
     token: tokenManager,
 
     // Core services
     inventory: inventoryService,
+    inventorySync,
+    priceSync,
     orders: orderService,
     customers: customerService,
+    customerMap,
+    shopify: shopifyService,
 
     // Webhook handlers
     webhooks: webhookHandlers,
 
+    // Persistent job queue for webhook processing
+    queue: jobQueue,
+
+    // Record of orders and webhook deliveries already synced
+    ledger: syncLedger,
+
+    // Watermarks and last runs of scheduled syncs
+    state: syncState,
+
+    // Shipment status of each order and the transitions sent to eShopaid
+    fulfillmentStatus,
+
+    // Admin dashboard data and operator actions
+    admin: adminDashboard,
+
+    // Push of historical Shopify orders missing from eShopaid
+    backfill: orderBackfill,
+
+    // Daily comparison of Shopify orders with eShopaid sales orders
+    reconciliation: orderReconciliation,
+
+    // Live eShopaid stock for storefront carts
+    stockCheck,
+
+    // Shopify product import CSV of eShopaid items
+    productExport,
+
+    // Shopify variants by SKU and barcode, and the data-quality report
+    variantIndex,
+
+    // Scheduled jobs with their locks, last runs and pause flags
+    scheduler,
+
     /**
      * Test API connectivity
      * @returns {Promise<object>} Connection test result
      */
     async testConnection() {
         try {
-            console.log('[eShopaid] Testing API connection...');
+            logger.info('Testing API connection...');
 
             // Try to get a token
             const token = await tokenManager.getToken();
 
             if (token) {
-                console.log('[eShopaid] Connection successful - token obtained');
+                logger.info('Connection successful - token obtained');
                 return {
                     success: true,
                     message: 'Connected to eShopaid API successfully',
@@ -54,7 +111,7 @@ const eshopaid = {
                 message: 'Failed to obtain token',
             };
         } catch (error) {
-            console.error('[eShopaid] Connection test failed:', error.message);
+            logger.error('Connection test failed', { error });
             return {
                 success: false,
                 message: error.message,
@@ -69,26 +126,40 @@ const eshopaid = {
     sync: {
         /**
          * Sync a Shopify order to eShopaid
+         * Returns the stored result if the order was already synced, unless options.force is set
          * @param {object} shopifyOrder - Shopify order object
+         * @param {object} options - { force }
          * @returns {Promise<object>} Result
          */
-        async order(shopifyOrder) {
-            return await webhookHandlers.handleOrderCreate(shopifyOrder);
+        async order(shopifyOrder, options = {}) {
+            return await webhookHandlers.handleOrderCreate(shopifyOrder, options);
         },
 
         /**
-         * Sync inventory from eShopaid
+         * Sync inventory from eShopaid into Shopify
+         * Runs as the inventory-full or inventory-delta job, so it never overlaps another inventory sync
          * @param {string} location - Store location (optional)
-         * @returns {Promise<object>} Inventory data
+         * @param {object} options - { mode: 'full' | 'delta' }
+         * @returns {Promise<object>} Sync counts, or { success: false, skipped: true, error } while a sync runs
+         */
+        async inventory(location, options = {}) {
+            return await webhookHandlers.triggerInventorySync(location, options);
+        },
+
+        /**
+         * Sync eShopaid SalesPrice/MRP into Shopify price and compare-at price
+         * Runs as the prices job, so it never overlaps another price sync
+         * @param {object} options - { dryRun } (dry run unless dryRun is false)
+         * @returns {Promise<object>} Diff report, or { success: false, skipped: true, error } while a sync runs
          */
-        async inventory(location) {
-            return await webhookHandlers.triggerInventorySync(location);
+        async prices(options = {}) {
+            return await scheduler.runNow('prices', { dryRun: options.dryRun !== false });
         },
 
         /**
          * Sync a customer to eShopaid
          * @param {object} shopifyCustomer - Shopify customer
-         * @param {string} existingCode - Existing eShopaid code (optional)
+         * @param {string} existingCode - Existing eShopaid code (optional, looked up in the customer map)
          * @returns {Promise<object>} Result
          */
         async customer(shopifyCustomer, existingCode = null) {
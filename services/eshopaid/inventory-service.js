@@ -3,37 +3,11 @@
  * Handles inventory synchronization between eShopaid and Shopify
  */
 
-const axios = require('axios');
 const config = require('./config');
-const tokenManager = require('./token-manager');
+const eshopaidClient = require('./eshopaid-client');
+const logger = require('./logger').child('InventoryService');
 
 class InventoryService {
-    /**
-     * Make an authenticated API request to eShopaid
-     * @param {string} method - SERVICE_METHODNAME
-     * @param {object} data - Request body
-     * @returns {Promise<object>} Response data
-     */
-    async makeRequest(method, data) {
-        const token = await tokenManager.getToken();
-        const url = `${config.eshopaid.serverUrl}${config.eshopaid.processDataEndpoint}`;
-
-        try {
-            const response = await axios.post(url, data, {
-                headers: {
-                    'SERVICE_METHODNAME': method,
-                    'AUTHORIZATION': token,
-                    'Content-Type': 'application/json',
-                },
-            });
-
-            return response.data;
-        } catch (error) {
-            console.error(`[InventoryService] API request failed:`, error.message);
-            throw error;
-        }
-    }
-
     /**
      * Get inventory for all products at a location
      * @param {string} location - Store location code (AlternateStoreCode)
@@ -48,8 +22,8 @@ class InventoryService {
             },
         };
 
-        console.log(`[InventoryService] Fetching inventory for location: ${location}`);
-        const response = await this.makeRequest(config.methods.GET_INVENTORY, requestData);
+        logger.info(`Fetching inventory for location: ${location}`);
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, requestData);
 
         return this.parseInventoryResponse(response);
     }
@@ -68,8 +42,8 @@ class InventoryService {
             },
         };
 
-        console.log(`[InventoryService] Fetching inventory for product: ${productCode}`);
-        const response = await this.makeRequest(config.methods.GET_INVENTORY, requestData);
+        logger.info(`Fetching inventory for product: ${productCode}`);
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, requestData);
 
         return this.parseInventoryResponse(response);
     }
@@ -89,8 +63,8 @@ class InventoryService {
             },
         };
 
-        console.log(`[InventoryService] Fetching incremental inventory since: ${dateFilter}`);
-        const response = await this.makeRequest(config.methods.GET_INVENTORY, requestData);
+        logger.info(`Fetching incremental inventory since: ${dateFilter}`);
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, requestData);
 
         return this.parseInventoryResponse(response);
     }
@@ -111,8 +85,8 @@ class InventoryService {
             },
         };
 
-        console.log(`[InventoryService] Fetching inventory for ${skuCodes.length} SKUs`);
-        const response = await this.makeRequest(config.methods.GET_INVENTORY, requestData);
+        logger.info(`Fetching inventory for ${skuCodes.length} SKUs`);
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, requestData);
 
         return this.parseInventoryResponse(response);
     }
@@ -171,8 +145,8 @@ class InventoryService {
 
         return itemArray.map(item => ({
             productCode: item.ProductCode,
-            eanCode: String(item.EANCode),
-            itemCode: item.ItemCode,
+            eanCode: item.EANCode != null && item.EANCode !== '' ? String(item.EANCode) : '',
+            itemCode: item.ItemCode != null ? String(item.ItemCode) : '',
             itemName: item.ItemName,
             mrp: parseFloat(item.MRP) || 0,
             stock: parseFloat(item.Stock) || 0,
@@ -196,6 +170,9 @@ class InventoryService {
             for (const item of location.items) {
                 updates.push({
                     sku: item.eanCode || item.itemCode,
+                    eanCode: item.eanCode,
+                    itemCode: item.itemCode,
+                    location: location.location,
                     quantity: Math.floor(item.stock),
                     price: item.salesPrice,
                     compareAtPrice: item.mrp,
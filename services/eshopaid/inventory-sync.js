@@ -0,0 +1,279 @@
+/**
+ * Inventory Sync
+ * Moves eShopaid stock into Shopify, per mapped location, in full or delta mode
+ */
+
+const config = require('./config');
+const inventoryService = require('./inventory-service');
+const orderService = require('./order-service');
+const shopifyService = require('./shopify-service');
+const variantIndex = require('./variant-index');
+const syncState = require('./sync-state');
+const metrics = require('./metrics');
+const logger = require('./logger').child('InventorySync');
+
+class InventorySync {
+    /**
+     * Resolve which eShopaid locations to read and where their stock goes in Shopify
+     * @param {string} location - Single eShopaid location to sync (optional, all mapped locations by default)
+     * @returns {array} Targets of { erpLocation, shopifyLocationId } (null = default Shopify location)
+     */
+    getTargets(location) {
+        const locationMap = config.inventory.locationMap;
+
+        if (location) {
+            // Stores summed into one Shopify location are always synced together
+            const shopifyLocationId = locationMap[location];
+            if (!shopifyLocationId) {
+                return [{ erpLocation: location, shopifyLocationId: null }];
+            }
+            return Object.entries(locationMap)
+                .filter(([, target]) => target === shopifyLocationId)
+                .map(([erpLocation]) => ({ erpLocation, shopifyLocationId }));
+        }
+
+        const mapped = Object.entries(locationMap);
+        if (mapped.length > 0) {
+            return mapped.map(([erpLocation, shopifyLocationId]) => ({ erpLocation, shopifyLocationId }));
+        }
+
+        return [{ erpLocation: config.eshopaid.storeLocation, shopifyLocationId: null }];
+    }
+
+    /**
+     * Delta watermarks of a run's eShopaid locations
+     * Each location keeps its own, because a run may sync only some of them; a location without one
+     * falls back to the watermark of the last run over every location
+     * @param {object} state - Inventory sync state
+     * @param {array} targets - Sync targets
+     * @returns {object|null} Map of eShopaid location -> ISO time, or null when one has never been synced
+     */
+    getWatermarks(state, targets) {
+        const watermarks = {};
+        for (const { erpLocation } of targets) {
+            watermarks[erpLocation] = state.locations?.[erpLocation]?.lastSyncAt || state.lastSyncAt;
+            if (!watermarks[erpLocation]) {
+                return null;
+            }
+        }
+        return watermarks;
+    }
+
+    /**
+     * Fetch inventory for several eShopaid locations and merge it
+     * @param {string[]} erpLocations - eShopaid location codes
+     * @param {object} dateFilters - Map of eShopaid location -> YYYYMMDD for incremental inventory
+     *   (locations left out are fetched in full)
+     * @returns {Promise<object>} Parsed inventory data
+     */
+    async fetchInventory(erpLocations, dateFilters = {}) {
+        const merged = { success: true, inventoryByLocation: [], totalItems: 0, error: null };
+
+        for (const erpLocation of erpLocations) {
+            const dateFilter = dateFilters[erpLocation];
+            const result = dateFilter
+                ? await inventoryService.getIncrementalInventory(dateFilter, erpLocation)
+                : await inventoryService.getInventoryByLocation(erpLocation);
+
+            if (!result.success) {
+                return { ...merged, success: false, error: result.error };
+            }
+
+            // Tag entries with the requested code; the response may report the store under another name
+            for (const entry of result.inventoryByLocation) {
+                merged.inventoryByLocation.push({ ...entry, location: erpLocation });
+            }
+            merged.totalItems += result.totalItems;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Complete a delta for Shopify locations fed by several eShopaid stores
+     * A SKU that changed in one store needs the other stores' stock too, or the sum would be wrong
+     * @param {object} inventoryData - Delta inventory data (mutated)
+     * @param {array} targets - Sync targets
+     */
+    async fillGroupMembers(inventoryData, targets) {
+        const groups = new Map();
+        for (const target of targets) {
+            const key = target.shopifyLocationId;
+            groups.set(key, [...(groups.get(key) || []), target.erpLocation]);
+        }
+
+        for (const members of groups.values()) {
+            if (members.length < 2) {
+                continue;
+            }
+
+            const entries = inventoryData.inventoryByLocation.filter(entry => members.includes(entry.location));
+            const changedSkus = new Set(entries.flatMap(entry => entry.items.map(item => item.eanCode || item.itemCode)));
+            if (changedSkus.size === 0) {
+                continue;
+            }
+
+            for (const member of members) {
+                const entry = entries.find(e => e.location === member);
+                const present = new Set((entry?.items || []).map(item => item.eanCode || item.itemCode));
+                const missing = [...changedSkus].filter(sku => !present.has(sku));
+                if (missing.length === 0) {
+                    continue;
+                }
+
+                const result = await inventoryService.getInventoryBySKUList(missing, member);
+                const items = result.inventoryByLocation.flatMap(e => e.items);
+
+                // SKUs the store doesn't report have no stock there
+                const found = new Set(items.map(item => item.eanCode || item.itemCode));
+                for (const sku of missing.filter(code => !found.has(code))) {
+                    items.push({ eanCode: sku, itemCode: sku, stock: 0 });
+                }
+
+                if (entry) {
+                    entry.items.push(...items);
+                } else {
+                    inventoryData.inventoryByLocation.push({ location: member, items });
+                }
+            }
+        }
+    }
+
+    /**
+     * Group formatForShopify rows by Shopify location, summing stores that share a location
+     * @param {object} inventoryData - Parsed inventory data
+     * @param {array} targets - Sync targets
+     * @returns {Map} Map of Shopify location ID (null = default) -> rows
+     */
+    buildUpdates(inventoryData, targets) {
+        const destination = new Map(targets.map(t => [t.erpLocation, t.shopifyLocationId]));
+        const byLocation = new Map();
+
+        for (const row of inventoryService.formatForShopify(inventoryData)) {
+            if (!destination.has(row.location)) {
+                continue;
+            }
+
+            const shopifyLocationId = destination.get(row.location);
+            const rows = byLocation.get(shopifyLocationId) || new Map();
+            const existing = rows.get(row.sku);
+
+            if (existing) {
+                existing.quantity += row.quantity;
+                existing.sources.push(row.location);
+            } else {
+                rows.set(row.sku, { ...row, sources: [row.location] });
+            }
+            byLocation.set(shopifyLocationId, rows);
+        }
+
+        return new Map([...byLocation].map(([locationId, rows]) => [locationId, [...rows.values()]]));
+    }
+
+    /**
+     * Run an inventory sync
+     * Delta mode only fetches items changed since each location's last successful sync (GetInventory
+     * DateFilter) and falls back to a full sync when a location has no watermark yet
+     * @param {string} location - Single eShopaid location (optional, defaults to all mapped locations)
+     * @param {object} options - { mode: 'full' | 'delta' }
+     * @returns {Promise<object>} Sync counts
+     */
+    async run(location, options = {}) {
+        const state = syncState.get('inventory');
+        const startedAt = new Date().toISOString();
+        const targets = this.getTargets(location);
+        const watermarks = this.getWatermarks(state, targets);
+        const mode = options.mode === 'delta' && watermarks ? 'delta' : 'full';
+
+        if (options.mode === 'delta' && mode === 'full') {
+            logger.info('No inventory watermark yet, running full sync');
+        }
+        logger.info(`Syncing ${targets.map(t => t.erpLocation).join(', ')} (${mode})`);
+
+        let summary;
+        try {
+            const dateFilters = {};
+            if (mode === 'delta') {
+                for (const [erpLocation, watermark] of Object.entries(watermarks)) {
+                    dateFilters[erpLocation] = orderService.formatDate(watermark);
+                }
+            }
+            const inventoryData = await this.fetchInventory(targets.map(t => t.erpLocation), dateFilters);
+
+            if (!inventoryData.success) {
+                summary = { success: false, mode, error: inventoryData.error };
+            } else {
+                logger.info(`Fetched ${inventoryData.totalItems} inventory items`);
+                if (mode === 'delta') {
+                    await this.fillGroupMembers(inventoryData, targets);
+                }
+
+                summary = {
+                    success: true,
+                    mode,
+                    since: mode === 'delta' ? Object.values(watermarks).sort()[0] : null,
+                    itemCount: inventoryData.totalItems,
+                    created: 0,
+                    updated: 0,
+                    unchanged: 0,
+                    unmatched: 0,
+                    failed: 0,
+                    unmatchedSkus: [],
+                    errors: [],
+                    locations: [],
+                };
+
+                for (const [shopifyLocationId, rows] of this.buildUpdates(inventoryData, targets)) {
+                    const variants = await variantIndex.findByCodes(rows.flatMap(row => [row.sku, row.eanCode, row.itemCode]));
+                    const pushResult = await shopifyService.pushInventory(rows, shopifyLocationId, variants);
+
+                    for (const key of ['created', 'updated', 'unchanged', 'unmatched', 'failed']) {
+                        summary[key] += pushResult[key];
+                    }
+                    summary.unmatchedSkus.push(...pushResult.unmatchedSkus.filter(sku => !summary.unmatchedSkus.includes(sku)));
+                    summary.errors.push(...pushResult.errors);
+                    summary.success = summary.success && pushResult.success;
+                    summary.locations.push({
+                        locationId: pushResult.locationId,
+                        erpLocations: [...new Set(rows.flatMap(row => row.sources))],
+                        created: pushResult.created,
+                        updated: pushResult.updated,
+                        unchanged: pushResult.unchanged,
+                        unmatched: pushResult.unmatched,
+                        failed: pushResult.failed,
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error(`Inventory sync error`, { error });
+            summary = { success: false, mode, error: error.message };
+        }
+
+        // The watermark is the start time, so changes made while syncing are picked up next run
+        const lastRun = {
+            mode,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            success: summary.success,
+            itemCount: summary.itemCount || 0,
+            updated: (summary.created || 0) + (summary.updated || 0),
+            unmatched: summary.unmatched || 0,
+            error: summary.error || null,
+        };
+        if (summary.success) {
+            const watermark = { lastSyncAt: startedAt, ...(mode === 'full' ? { lastFullSyncAt: startedAt } : {}) };
+            const locations = { ...syncState.get('inventory').locations };
+            for (const { erpLocation } of targets) {
+                locations[erpLocation] = { ...locations[erpLocation], ...watermark };
+            }
+            // The shared watermark only moves when every location was synced
+            syncState.update('inventory', { locations, ...(location ? {} : watermark) });
+        }
+        syncState.recordRun('inventory', lastRun);
+        metrics.increment('eshopaid_inventory_items_updated_total', { mode }, lastRun.updated);
+
+        return summary;
+    }
+}
+
+module.exports = new InventorySync();
@@ -0,0 +1,359 @@
+/**
+ * Job Queue
+ * Persistent queue for webhook-driven eShopaid calls with retries and dead-lettering
+ * Every tenant has its own jobs file; jobs run as the tenant that queued them
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const JsonStore = require('./json-store');
+const tenants = require('./tenants');
+const logger = require('./logger').child('JobQueue');
+
+const STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    DEAD: 'dead',
+    DISCARDED: 'discarded',
+};
+
+class JobQueue {
+    constructor() {
+        this.store = new JsonStore('jobs.json', { jobs: [] });
+        this.handlers = {};
+        this.trims = {};
+        this.timer = null;
+        this.processing = false;
+        // Tenants whose job changes are waiting for the batched write
+        this.unsaved = new Set();
+        this.saveTimer = null;
+    }
+
+    /**
+     * All jobs of the current tenant
+     * @returns {array}
+     */
+    get jobs() {
+        return this.store.load().jobs;
+    }
+
+    /**
+     * Register the function that processes a job type
+     * A handler may throw or return { success: false, error } to signal failure;
+     * { success: false, retryable: false } dead-letters the job without further attempts
+     * @param {string} type - Job type (e.g. webhook topic)
+     * @param {function} handler - async (payload, job) => result
+     * @param {object} options - { trim: payload => the part of it the handler needs, kept in the queue }
+     */
+    registerHandler(type, handler, options = {}) {
+        this.handlers[type] = handler;
+        if (options.trim) {
+            this.trims[type] = options.trim;
+        }
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Job type
+     * @param {object} payload - Data passed to the handler
+     * @param {object} options - { meta, maxAttempts }
+     * @returns {object} Created job
+     */
+    enqueue(type, payload, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            payload: this.trims[type] ? this.trims[type](payload) : payload,
+            // Jobs keep the correlation ID of the webhook or request that queued them
+            meta: { correlationId: logger.getCorrelationId(), ...options.meta },
+            status: STATUS.PENDING,
+            attempts: 0,
+            maxAttempts: options.maxAttempts || config.queue.maxAttempts,
+            nextRunAt: now,
+            lastError: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        // Written at once: webhooks are acknowledged once their job is queued
+        this.jobs.push(job);
+        this.store.save();
+
+        logger.info(`Enqueued ${type} job ${job.id}`);
+        this.schedule();
+
+        return job;
+    }
+
+    /**
+     * Find a job by ID
+     * @param {string} id - Job ID
+     * @returns {object|undefined} Job
+     */
+    get(id) {
+        return this.jobs.find(job => job.id === id);
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {object} filters - { status, type, limit }
+     * @returns {array} Jobs
+     */
+    list({ status, type, limit = 100 } = {}) {
+        return this.jobs
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .slice()
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Count jobs by status
+     * @returns {object} Counts
+     */
+    stats() {
+        const counts = Object.values(STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+        for (const job of this.jobs) {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Put a dead or discarded job back on the queue with a fresh attempt budget
+     * @param {string} id - Job ID
+     * @returns {object|null} Job, or null if it can't be retried
+     */
+    retry(id) {
+        const job = this.get(id);
+        if (!job || ![STATUS.DEAD, STATUS.DISCARDED].includes(job.status)) {
+            return null;
+        }
+
+        job.status = STATUS.PENDING;
+        job.attempts = 0;
+        job.nextRunAt = new Date().toISOString();
+        job.updatedAt = job.nextRunAt;
+        this.store.save();
+
+        logger.info(`Job ${id} requeued`);
+        this.schedule();
+
+        return job;
+    }
+
+    /**
+     * Stop a pending or dead job from being processed
+     * @param {string} id - Job ID
+     * @returns {object|null} Job, or null if it can't be discarded
+     */
+    discard(id) {
+        const job = this.get(id);
+        if (!job || ![STATUS.DEAD, STATUS.PENDING].includes(job.status)) {
+            return null;
+        }
+
+        job.status = STATUS.DISCARDED;
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+
+        logger.info(`Job ${id} discarded`);
+        return job;
+    }
+
+    /**
+     * Delay before the next attempt (exponential backoff)
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        const baseMs = config.queue.baseDelaySeconds * 1000;
+        const maxMs = config.queue.maxDelayMinutes * 60 * 1000;
+        return Math.min(baseMs * Math.pow(2, Math.max(attempts - 1, 0)), maxMs);
+    }
+
+    /**
+     * Run a single job and record the outcome
+     * @param {object} job - Job
+     */
+    async runJob(job) {
+        const handler = this.handlers[job.type];
+
+        job.status = STATUS.RUNNING;
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+        this.saveSoon();
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+
+            const result = await handler(job.payload, job);
+            if (result && result.success === false) {
+                const failure = new Error(result.error || 'Job handler reported failure');
+                failure.permanent = result.retryable === false;
+                throw failure;
+            }
+
+            job.status = STATUS.COMPLETED;
+            job.result = result === undefined ? null : result;
+            job.lastError = null;
+            logger.info(`Job ${job.id} (${job.type}) completed`);
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (job.attempts >= job.maxAttempts || error.permanent) {
+                job.status = STATUS.DEAD;
+                logger.error(`Job ${job.id} (${job.type}) dead after ${job.attempts} attempts`, { error });
+            } else {
+                const delay = this.getRetryDelay(job.attempts);
+                job.status = STATUS.PENDING;
+                job.nextRunAt = new Date(Date.now() + delay).toISOString();
+                logger.warn(`Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s`, { error });
+            }
+        }
+
+        job.updatedAt = new Date().toISOString();
+        this.prune();
+        this.saveSoon();
+    }
+
+    /**
+     * Write the current tenant's jobs within saveDelayMs, together with any other changes made by then
+     * A job whose outcome wasn't written before a crash runs again after the restart
+     */
+    saveSoon() {
+        this.unsaved.add(tenants.currentId());
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), config.queue.saveDelayMs);
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * Write every tenant's unsaved job changes now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        for (const id of this.unsaved) {
+            tenants.run(id, () => this.store.save());
+        }
+        this.unsaved.clear();
+    }
+
+    /**
+     * Process due jobs on the next tick if the queue has been started
+     */
+    schedule() {
+        if (this.timer) {
+            setImmediate(() => this.processDue());
+        }
+    }
+
+    /**
+     * Process every job that is due, one at a time, tenant by tenant
+     */
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            for (const tenant of tenants.list()) {
+                await tenants.run(tenant, async () => {
+                    let job;
+                    while ((job = this.nextDueJob())) {
+                        const correlationId = job.meta?.correlationId || job.id;
+                        await logger.runWithCorrelationId(correlationId, () => this.runJob(job));
+                    }
+                });
+            }
+        } catch (error) {
+            logger.error('Processing error', { error });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Oldest pending job whose retry time has passed
+     * @returns {object|undefined} Job
+     */
+    nextDueJob() {
+        const now = Date.now();
+        return this.jobs.find(job => job.status === STATUS.PENDING && Date.parse(job.nextRunAt) <= now);
+    }
+
+    /**
+     * Drop the oldest finished and dead jobs beyond their retention limits
+     * Dropping dead jobs is logged, since they were never processed
+     */
+    prune() {
+        const finished = this.jobs.filter(job => [STATUS.COMPLETED, STATUS.DISCARDED].includes(job.status));
+        const dead = this.jobs.filter(job => job.status === STATUS.DEAD);
+        const deadExcess = dead.length - config.queue.deadRetention;
+        const drop = new Set([
+            ...finished.slice(0, Math.max(finished.length - config.queue.completedRetention, 0)),
+            ...dead.slice(0, Math.max(deadExcess, 0)),
+        ]);
+
+        if (deadExcess > 0) {
+            logger.warn(`Dropped ${deadExcess} dead jobs beyond the ${config.queue.deadRetention} kept`, {
+                jobs: dead.slice(0, deadExcess).map(job => `${job.type} ${job.id}`),
+            });
+        }
+        if (drop.size > 0) {
+            this.store.data.jobs = this.jobs.filter(job => !drop.has(job));
+        }
+    }
+
+    /**
+     * Start polling for due jobs
+     * Jobs left running by a previous process are put back on the queue
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        let pending = 0;
+        for (const tenant of tenants.list()) {
+            tenants.run(tenant, () => {
+                for (const job of this.jobs) {
+                    if (job.status === STATUS.RUNNING) {
+                        job.status = STATUS.PENDING;
+                        job.nextRunAt = new Date().toISOString();
+                    }
+                }
+                this.store.save();
+                pending += this.stats().pending;
+            });
+        }
+
+        this.timer = setInterval(() => this.processDue(), config.queue.pollIntervalSeconds * 1000);
+        logger.info(`Started with ${pending} pending jobs`);
+        this.processDue();
+    }
+
+    /**
+     * Stop polling and write any unsaved job changes
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.flush();
+    }
+}
+
+const jobQueue = new JobQueue();
+jobQueue.STATUS = STATUS;
+
+module.exports = jobQueue;
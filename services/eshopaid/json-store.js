@@ -0,0 +1,97 @@
+/**
+ * JSON File Store
+ * Small persistent key/value documents kept under the data directory, one per tenant
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const tenants = require('./tenants');
+const logger = require('./logger').child('JsonStore');
+
+class JsonStore {
+    /**
+     * @param {string} fileName - File name inside the data directory
+     * @param {object} defaults - Initial document when the file doesn't exist
+     */
+    constructor(fileName, defaults = {}) {
+        this.fileName = fileName;
+        this.defaults = defaults;
+        // Tenant ID -> loaded document
+        this.documents = new Map();
+    }
+
+    /**
+     * Absolute path of the current tenant's file
+     * @returns {string}
+     */
+    get filePath() {
+        return path.resolve(config.storage.dataDir, tenants.dataDir(), this.fileName);
+    }
+
+    /**
+     * The current tenant's loaded document, if any
+     * @returns {object|null}
+     */
+    get data() {
+        return this.documents.get(tenants.currentId()) || null;
+    }
+
+    set data(document) {
+        if (document) {
+            this.documents.set(tenants.currentId(), document);
+        } else {
+            this.documents.delete(tenants.currentId());
+        }
+    }
+
+    /**
+     * Load the document from disk (cached after the first call)
+     * @returns {object} Document
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the unreadable file around for inspection and start fresh
+                const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+                logger.error(`Could not read ${this.fileName}, moved to ${corruptPath}`, { error });
+                try {
+                    fs.renameSync(this.filePath, corruptPath);
+                } catch (renameError) {
+                    // Ignore, the file will be overwritten on next save
+                }
+            }
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Write the document to disk atomically
+     */
+    save() {
+        const data = this.load();
+        const tmpPath = `${this.filePath}.tmp`;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Drop the cached document so the next load re-reads the file
+     */
+    reload() {
+        this.data = null;
+        return this.load();
+    }
+}
+
+module.exports = JsonStore;
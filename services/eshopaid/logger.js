@@ -0,0 +1,104 @@
+/**
+ * Logger
+ * Writes one JSON object per line and tags it with the correlation ID of the current webhook or request
+ * (and its tenant, unless it is the default store)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+const tenants = require('./tenants');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Correlation ID of the webhook, request, job or scheduled run being handled
+const context = new AsyncLocalStorage();
+
+class Logger {
+    /**
+     * @param {string} component - Module name shown on every line, e.g. OrderService
+     */
+    constructor(component = null) {
+        this.component = component;
+    }
+
+    /**
+     * Logger for a module
+     * @param {string} component - Module name, e.g. OrderService
+     * @returns {Logger} Logger
+     */
+    child(component) {
+        return new Logger(component);
+    }
+
+    /**
+     * Run a function with a correlation ID; everything it logs, awaits or schedules carries the ID
+     * @param {string} correlationId - Correlation ID
+     * @param {function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    runWithCorrelationId(correlationId, fn) {
+        return context.run({ correlationId }, fn);
+    }
+
+    /**
+     * Correlation ID of the current context
+     * @returns {string|null} Correlation ID
+     */
+    getCorrelationId() {
+        return context.getStore()?.correlationId || null;
+    }
+
+    /**
+     * Write a log line
+     * Errors in fields are reduced to their name and message (plus method and FailureReason for eShopaid errors)
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - Message
+     * @param {object} fields - Extra fields
+     */
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < (LEVELS[config.logging.level] ?? LEVELS.info)) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            component: this.component,
+            correlationId: this.getCorrelationId(),
+            msg: message,
+        };
+        if (tenants.currentId() !== tenants.DEFAULT_TENANT) {
+            entry.tenant = tenants.currentId();
+        }
+
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? {
+                name: value.name,
+                message: value.message,
+                ...(value.method ? { method: value.method } : {}),
+                ...(value.failureReason ? { failureReason: value.failureReason } : {}),
+            } : value;
+        }
+
+        const write = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+        write(JSON.stringify(entry));
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,169 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text format for /metrics
+ */
+
+// Every metric the service exposes
+const DEFINITIONS = {
+    eshopaid_webhooks_received_total: {
+        type: 'counter',
+        help: 'Shopify webhooks received, by topic and result (accepted, duplicate, rejected, error)',
+    },
+    eshopaid_erp_requests_total: {
+        type: 'counter',
+        help: 'eShopaid calls, by method and result (success or the error type)',
+    },
+    eshopaid_erp_request_duration_seconds: {
+        type: 'histogram',
+        help: 'eShopaid call latency in seconds, retries included, by method',
+        buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    },
+    eshopaid_token_refreshes_total: {
+        type: 'counter',
+        help: 'eShopaid token requests, by result',
+    },
+    eshopaid_queue_jobs: {
+        type: 'gauge',
+        help: 'Webhook jobs in the queue, by status',
+    },
+    eshopaid_inventory_items_updated_total: {
+        type: 'counter',
+        help: 'Shopify inventory levels created or changed by inventory syncs, by mode',
+    },
+    eshopaid_scheduled_runs_total: {
+        type: 'counter',
+        help: 'Scheduled job runs, by job and result (success, failure, or skipped while its lock was held)',
+    },
+};
+
+/**
+ * Escape a label value
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {method="GetInventory",result="success"}
+ * @param {object} labels - Labels
+ * @returns {string} Label text ('' without labels)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metrics {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Forget every recorded value
+     */
+    reset() {
+        // Metric name -> Map of label text -> { labels, value } (histograms: { labels, buckets, sum, count })
+        this.series = new Map(Object.keys(DEFINITIONS).map(name => [name, new Map()]));
+    }
+
+    /**
+     * Series of a metric for a label set, created on first use
+     * @param {string} name - Metric name
+     * @param {object} labels - Labels
+     * @param {function} create - Initial series
+     * @returns {object} Series
+     */
+    getSeries(name, labels, create) {
+        const series = this.series.get(name);
+        if (!series) {
+            throw new Error(`Unknown metric ${name}`);
+        }
+
+        const key = formatLabels(labels);
+        if (!series.has(key)) {
+            series.set(key, { labels, ...create() });
+        }
+        return series.get(key);
+    }
+
+    /**
+     * Add to a counter
+     * @param {string} name - Metric name
+     * @param {object} labels - Labels
+     * @param {number} value - Amount (default 1)
+     */
+    increment(name, labels = {}, value = 1) {
+        this.getSeries(name, labels, () => ({ value: 0 })).value += value;
+    }
+
+    /**
+     * Set a gauge
+     * @param {string} name - Metric name
+     * @param {object} labels - Labels
+     * @param {number} value - Value
+     */
+    set(name, labels, value) {
+        this.getSeries(name, labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * Record a histogram observation
+     * @param {string} name - Metric name
+     * @param {object} labels - Labels
+     * @param {number} value - Observed value
+     */
+    observe(name, labels, value) {
+        const { buckets } = DEFINITIONS[name];
+        const series = this.getSeries(name, labels, () => ({ buckets: buckets.map(() => 0), sum: 0, count: 0 }));
+
+        buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.buckets[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Current value of a counter or gauge
+     * @param {string} name - Metric name
+     * @param {object} labels - Labels
+     * @returns {number} Value (0 if never recorded)
+     */
+    get(name, labels = {}) {
+        return this.series.get(name)?.get(formatLabels(labels))?.value || 0;
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string} Metrics text
+     */
+    render() {
+        const lines = [];
+
+        for (const [name, { type, help, buckets }] of Object.entries(DEFINITIONS)) {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+            for (const series of this.series.get(name).values()) {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = new Metrics();
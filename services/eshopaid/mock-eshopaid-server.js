@@ -0,0 +1,634 @@
+/**
+ * Mock eShopaid Server
+ * Offline stand-in for eShopaidService.svc: /Token and /ProcessData for every configured method,
+ * with in-memory stores, customers, orders and returns, and switches for error modes
+ *
+ * Run standalone with `npm run mock`, then point ESHOPAID_SERVER_URL at
+ * http://localhost:4010/eShopaidService.svc
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('./config');
+
+// Seed stock: the configured store plus a second store for multi-location runs
+const DEFAULT_INVENTORY = [
+    {
+        Location: config.eshopaid.storeLocation,
+        Items: [
+            { ProductCode: 'UK1001', EANCode: '8901000000011', ItemCode: 'UK1001-8', ItemName: 'Runner Low 8', MRP: 7999, Stock: 12, SalesPrice: 6999, TaxRate: 18 },
+            { ProductCode: 'UK1001', EANCode: '8901000000028', ItemCode: 'UK1001-9', ItemName: 'Runner Low 9', MRP: 7999, Stock: 4, SalesPrice: 6999, TaxRate: 18 },
+            { ProductCode: 'UK2002', EANCode: '8901000000035', ItemCode: 'UK2002-OS', ItemName: 'Crew Socks', MRP: 499, Stock: 60, SalesPrice: 499, TaxRate: 5 },
+        ],
+    },
+    {
+        Location: 'BLR1',
+        Items: [
+            { ProductCode: 'UK1001', EANCode: '8901000000011', ItemCode: 'UK1001-8', ItemName: 'Runner Low 8', MRP: 7999, Stock: 2, SalesPrice: 6999, TaxRate: 18 },
+        ],
+    },
+];
+
+/**
+ * Escape text for an XML element
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a response object the way eShopaid does: arrays become repeated elements
+ * @param {string} name - Element name
+ * @param {*} value - Element value
+ * @returns {string} XML
+ */
+function toXml(name, value) {
+    if (Array.isArray(value)) {
+        return value.map(entry => toXml(name, entry)).join('');
+    }
+    if (value === null || value === undefined || value === '') {
+        return `<${name}/>`;
+    }
+    if (typeof value === 'object') {
+        return `<${name}>${Object.entries(value).map(([key, child]) => toXml(key, child)).join('')}</${name}>`;
+    }
+    return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Wrap a single element or array as an array
+ * @param {*} value - Value
+ * @returns {array} Array
+ */
+function asArray(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse a GetInventory DateFilter (YYYYMMDD or ISO date time)
+ * @param {string} value - DateFilter
+ * @returns {number|null} Timestamp
+ */
+function parseDateFilter(value) {
+    if (!value) {
+        return null;
+    }
+    const text = String(value);
+    const match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    const time = match ? Date.UTC(match[1], match[2] - 1, match[3]) : Date.parse(text);
+    return Number.isNaN(time) ? null : time;
+}
+
+class MockEshopaidServer {
+    /**
+     * @param {object} options - { username, password, inventory: [{ Location, Items }] }
+     */
+    constructor(options = {}) {
+        this.options = {
+            username: options.username || config.eshopaid.username,
+            password: options.password || config.eshopaid.password,
+            inventory: options.inventory || DEFAULT_INVENTORY,
+        };
+        this.server = null;
+        this.url = null;
+        this.reset();
+
+        this.handlers = {
+            [config.methods.GET_INVENTORY]: body => this.getInventory(body),
+            [config.methods.ADD_CUSTOMER]: body => this.addCustomer(body),
+            [config.methods.MODIFY_CUSTOMER]: body => this.modifyCustomer(body),
+            [config.methods.CREATE_SALES_ORDER]: body => this.createSalesOrder(body),
+            [config.methods.GET_ORDER_DETAIL]: body => this.getOrderDetail(body),
+            [config.methods.CREATE_RETURN_ORDER]: body => this.pushReturnOrder(body),
+            [config.methods.SET_ORDER_STATUS]: body => this.setOrderStatus(body),
+            [config.methods.CANCEL_SALES_ORDER]: body => this.cancelSalesOrder(body),
+        };
+
+        this.app = this.createApp();
+    }
+
+    /**
+     * Restore the seed inventory and forget customers, orders, returns, tokens and error modes
+     */
+    reset() {
+        const now = new Date().toISOString().slice(0, 19);
+
+        this.state = {
+            inventory: this.options.inventory.map(store => ({
+                Location: store.Location,
+                Items: store.Items.map(item => ({ LastModifiedOn: now, ...item })),
+            })),
+            customers: new Map(),
+            orders: new Map(),
+            returns: new Map(),
+            statusUpdates: [],
+            tokens: new Set(),
+            nextCustomerCode: 1001,
+            nextRefId: 1065756,
+        };
+        this.modes = {
+            format: 'json', // 'json' or 'xml'
+            delayMs: 0, // Delay before every reply
+            failures: [], // Queued failures, see failNext
+        };
+        this.requests = [];
+    }
+
+    /**
+     * Change error modes
+     * @param {object} modes - { format: 'json' | 'xml', delayMs }
+     * @returns {object} Current modes
+     */
+    setModes(modes) {
+        Object.assign(this.modes, modes);
+        return this.modes;
+    }
+
+    /**
+     * Make the next calls of a method fail
+     * @param {string} method - SERVICE_METHODNAME ('*' for any ProcessData method)
+     * @param {string} reason - FailureReason
+     * @param {object} options - { times: number of calls (default 1), status: HTTP status instead of FAILURE }
+     */
+    failNext(method, reason, options = {}) {
+        this.modes.failures.push({
+            method,
+            reason,
+            times: options.times || 1,
+            status: options.status || null,
+        });
+    }
+
+    /**
+     * Invalidate every issued token, as if they had all expired
+     */
+    expireTokens() {
+        this.state.tokens.clear();
+    }
+
+    /**
+     * Build the Express app
+     * @returns {object} Express app
+     */
+    createApp() {
+        const app = express();
+        // The token request posts an empty JSON string
+        app.use(express.json({ limit: '5mb', strict: false }));
+
+        const service = express.Router();
+        service.post('/Token', (req, res) => this.respondLater(res, () => this.token(req, res)));
+        service.post('/ProcessData', (req, res) => this.respondLater(res, () => this.processData(req, res)));
+        app.use(['/eShopaidService.svc', '/'], service);
+
+        // Switches for tests and manual runs
+        app.get('/__mock/state', (req, res) => res.json(this.snapshot()));
+        app.post('/__mock/reset', (req, res) => {
+            this.reset();
+            res.json({ success: true });
+        });
+        app.post('/__mock/modes', (req, res) => res.json(this.setModes(req.body || {})));
+        app.post('/__mock/fail', (req, res) => {
+            const { method = '*', reason = 'Mock failure', times, status } = req.body || {};
+            this.failNext(method, reason, { times, status });
+            res.json({ success: true, failures: this.modes.failures });
+        });
+        app.post('/__mock/expire-tokens', (req, res) => {
+            this.expireTokens();
+            res.json({ success: true });
+        });
+
+        return app;
+    }
+
+    /**
+     * Apply the slow reply delay
+     * @param {object} res - Express response
+     * @param {function} reply - Sends the reply
+     */
+    respondLater(res, reply) {
+        if (!this.modes.delayMs) {
+            return reply();
+        }
+        const timer = setTimeout(reply, this.modes.delayMs);
+        res.on('close', () => clearTimeout(timer));
+    }
+
+    /**
+     * Send a response in the current format
+     * @param {object} res - Express response
+     * @param {object} response - Contents of the Response element
+     * @param {number} status - HTTP status
+     */
+    send(res, response, status = 200) {
+        if (this.modes.format === 'xml') {
+            res.status(status).type('application/xml').send(toXml('Response', response));
+        } else {
+            res.status(status).json({ Response: response });
+        }
+    }
+
+    /**
+     * POST /Token: issues a token for the configured credentials
+     */
+    token(req, res) {
+        if (req.get('SERVICE_METHODNAME') !== config.methods.GET_TOKEN) {
+            return this.send(res, { Result: 'FAILURE', FailureReason: 'Invalid SERVICE_METHODNAME' });
+        }
+        // The real service answers wrong credentials with a bare 401
+        if (req.get('Username') !== this.options.username || req.get('Password') !== this.options.password) {
+            return res.status(401).send('Unauthorized');
+        }
+
+        const token = crypto.randomBytes(48).toString('hex').toUpperCase();
+        this.state.tokens.add(token);
+        this.send(res, { Result: 'SUCCESS', Access_Token: token });
+    }
+
+    /**
+     * POST /ProcessData: checks the token and queued failures, then dispatches on SERVICE_METHODNAME
+     */
+    processData(req, res) {
+        const method = req.get('SERVICE_METHODNAME');
+        this.requests.push({ method, body: req.body, receivedAt: new Date().toISOString() });
+
+        if (!this.state.tokens.has(req.get('AUTHORIZATION'))) {
+            return this.send(res, { Result: 'FAILURE', FailureReason: 'Invalid or expired token' });
+        }
+
+        const failure = this.modes.failures.find(f => f.method === method || f.method === '*');
+        if (failure) {
+            failure.times--;
+            if (failure.times <= 0) {
+                this.modes.failures.splice(this.modes.failures.indexOf(failure), 1);
+            }
+            return this.send(res, { Result: 'FAILURE', FailureReason: failure.reason }, failure.status || 200);
+        }
+
+        const handler = this.handlers[method];
+        if (!handler) {
+            return this.send(res, { Result: 'FAILURE', FailureReason: `Invalid SERVICE_METHODNAME ${method}` });
+        }
+
+        try {
+            this.send(res, handler(req.body || {}));
+        } catch (error) {
+            this.send(res, { Result: 'FAILURE', FailureReason: error.message });
+        }
+    }
+
+    /**
+     * Find a store, failing like eShopaid when it isn't mapped
+     * @param {string} location - AlternateStoreCode
+     * @returns {object} Store
+     */
+    getStore(location) {
+        const store = this.state.inventory.find(s => s.Location === location);
+        if (!store) {
+            throw new Error('OrderLocation not mapped in eShopaid');
+        }
+        return store;
+    }
+
+    /**
+     * Change the stock of an item at a store
+     * @param {string} location - AlternateStoreCode
+     * @param {string} code - ItemCode, EANCode or ProductCode
+     * @param {number} delta - Stock change
+     */
+    adjustStock(location, code, delta) {
+        const item = this.getStore(location).Items.find(i =>
+            [i.ItemCode, i.EANCode, i.ProductCode].map(String).includes(String(code)));
+        if (!item) {
+            throw new Error('Product not mapped in eShopaid');
+        }
+        item.Stock = Number(item.Stock) + delta;
+        item.LastModifiedOn = new Date().toISOString().slice(0, 19);
+    }
+
+    /**
+     * Issue the next TargetRefID
+     * @param {string} prefix - Document prefix
+     * @returns {string} Reference
+     */
+    nextRefId(prefix) {
+        return `${prefix}${this.state.nextRefId++}`;
+    }
+
+    /**
+     * GetInventory: filters by Location, DateFilter, ProductCode and SKUList
+     */
+    getInventory(body) {
+        const params = body.Params || {};
+        const since = parseDateFilter(params.DateFilter);
+        const skus = asArray(params.SKUList?.SKUCode).map(String);
+        const productCode = params.ProductCode ? String(params.ProductCode) : '';
+
+        const stores = params.Location
+            ? [this.getStore(params.Location)]
+            : this.state.inventory;
+
+        const Inventory = stores.map(store => ({
+            Location: store.Location,
+            Items: {
+                Item: store.Items.filter(item => {
+                    const codes = [item.ItemCode, item.EANCode, item.ProductCode].map(String);
+                    if (since !== null && Date.parse(`${item.LastModifiedOn}Z`) < since) return false;
+                    if (productCode && String(item.ProductCode) !== productCode) return false;
+                    if (skus.length > 0 && !skus.some(sku => codes.includes(sku))) return false;
+                    return true;
+                }).map(item => ({
+                    ProductCode: item.ProductCode,
+                    EANCode: item.EANCode,
+                    ItemCode: item.ItemCode,
+                    ItemName: item.ItemName,
+                    BatchDescription: '',
+                    ExpiryDate: '',
+                    MRP: Number(item.MRP).toFixed(3),
+                    Stock: Number(item.Stock).toFixed(3),
+                    StockUOM: '',
+                    SalesPrice: Number(item.SalesPrice).toFixed(3),
+                    TaxRate: Number(item.TaxRate || 0).toFixed(3),
+                    LastModifiedOn: item.LastModifiedOn,
+                    SaleUnit: 1,
+                    PerUnitSalesPrice: Number(item.SalesPrice).toFixed(3),
+                })),
+            },
+        }));
+
+        return { Result: 'SUCCESS', Data: { Inventory } };
+    }
+
+    /**
+     * AddCustomer: issues a new CustomerCode
+     */
+    addCustomer(body) {
+        const customer = body.Customer || {};
+        if (!customer.FirstName) {
+            throw new Error('FirstName does not exist in the request');
+        }
+        if (!customer.MobileNumber) {
+            throw new Error('MobileNumber does not exist in the request');
+        }
+
+        const CustomerCode = this.state.nextCustomerCode++;
+        this.state.customers.set(String(CustomerCode), { ...customer, CustomerCode });
+
+        return { Result: 'SUCCESS', Data: { CustomerCode } };
+    }
+
+    /**
+     * ModifyCustomer: updates a customer added earlier
+     */
+    modifyCustomer(body) {
+        const customer = body.Customer || {};
+        const existing = this.state.customers.get(String(customer.CustomerCode));
+        if (!existing) {
+            throw new Error('Customer not found in eShopaid');
+        }
+
+        this.state.customers.set(String(customer.CustomerCode), { ...existing, ...customer });
+
+        return { Result: 'SUCCESS', Data: { CustomerCode: existing.CustomerCode } };
+    }
+
+    /**
+     * CreateSalesOrder: validates like eShopaid and takes the items out of the store's stock
+     */
+    createSalesOrder(body) {
+        const order = body.Order;
+        if (!order) {
+            throw new Error('SalesOrderNumber does not exist in the request');
+        }
+
+        const header = order.Header || {};
+        const items = asArray(order.Items?.Item);
+        if (items.length === 0) throw new Error('"Items\\Item" does not exist in the request');
+        if (!header.OrderNumber) throw new Error('OrderNumber does not exist in the request');
+        if (!header.OrderDate) throw new Error('OrderDate does not exist in the request');
+        if (!header.OrderLocation) throw new Error('OrderLocation does not exist in the request');
+        if (this.state.orders.has(header.OrderNumber)) {
+            throw new Error('OrderNumber already exists in eShopaid');
+        }
+
+        // Check every item before touching stock so a rejected order changes nothing
+        const store = this.getStore(header.OrderLocation);
+        for (const item of items) {
+            if (!store.Items.some(i => [i.ItemCode, i.EANCode, i.ProductCode].map(String).includes(String(item.ItemCode)))) {
+                throw new Error('Product not mapped in eShopaid');
+            }
+        }
+        for (const item of items) {
+            this.adjustStock(header.OrderLocation, item.ItemCode, -Number(item.Quantity || 0));
+        }
+
+        const TargetRefID = this.nextRefId('ORD');
+        this.state.orders.set(header.OrderNumber, { order, targetRefId: TargetRefID, status: 'CREATED' });
+
+        return {
+            Result: 'SUCCESS',
+            StatusMessage: 'Data processed successfully',
+            StatusReference: {
+                SourceRefID: header.OrderNumber,
+                TargetRefID,
+                RefDocType: 'CustomerOrder',
+                StatusCode: 'SUCCESS',
+                StatusMessage: 'Data processed successfully',
+            },
+        };
+    }
+
+    /**
+     * GetOrderDetail is not in the integration document; this returns the stored sales order
+     * with its eShopaid reference and status, keyed by Params.OrderNumber
+     */
+    getOrderDetail(body) {
+        const params = body.Params || body.OrderDetail || {};
+        const stored = this.state.orders.get(params.OrderNumber);
+        if (!stored) {
+            throw new Error('No Sales Order found');
+        }
+
+        return {
+            Result: 'SUCCESS',
+            Data: {
+                Order: {
+                    ...stored.order,
+                    Header: {
+                        ...stored.order.Header,
+                        TargetRefID: stored.targetRefId,
+                        OrderStatus: stored.status,
+                    },
+                },
+            },
+        };
+    }
+
+    /**
+     * PushReturnOrder: needs the referenced sales order and puts the items back into stock
+     */
+    pushReturnOrder(body) {
+        const returnOrder = body.ReturnOrder;
+        if (!returnOrder) {
+            throw new Error('ReturnOrder does not exist in the request');
+        }
+
+        const header = returnOrder.Header || {};
+        const items = asArray(returnOrder.Items?.Item);
+        const stored = this.state.orders.get(header.RefOrderNumber);
+        if (!stored) throw new Error('No Sales Order found');
+        if (!header.ReturnOrderNumber) throw new Error('ReturnOrderNumber does not exist in the request');
+        if (this.state.returns.has(header.ReturnOrderNumber)) {
+            throw new Error('ReturnOrderNumber already exists in eShopaid');
+        }
+        if (items.length === 0) throw new Error('"Items\\Item" does not exist in the request');
+
+        const location = header.RefOrderLocation || stored.order.Header.OrderLocation;
+        for (const item of items) {
+            this.adjustStock(location, item.ItemCode, Number(item.Quantity || 0));
+        }
+
+        const TargetRefID = this.nextRefId('RET');
+        this.state.returns.set(header.ReturnOrderNumber, { returnOrder, targetRefId: TargetRefID });
+
+        return {
+            Result: 'SUCCESS',
+            StatusMessage: 'Data processed successfully',
+            StatusReference: {
+                SourceRefID: header.ReturnOrderNumber,
+                TargetRefID,
+                RefDocType: 'ReturnOrder',
+                StatusCode: 'SUCCESS',
+                StatusMessage: 'Data processed successfully',
+            },
+        };
+    }
+
+    /**
+     * SetOrderStatus: records the new status of a sales order
+     */
+    setOrderStatus(body) {
+        const update = body.OrderStatusUpdate || {};
+        const stored = this.state.orders.get(update.VendorOrderNumber);
+        if (!stored) {
+            throw new Error('No Sales Order found');
+        }
+        if (!update.OrderStatus) {
+            throw new Error('OrderStatus does not exist in the request');
+        }
+
+        stored.status = update.OrderStatus;
+        this.state.statusUpdates.push({ ...update });
+
+        return {
+            Result: 'SUCCESS',
+            Data: {
+                OrderStatusUpdate: {
+                    VendorOrderNumber: update.VendorOrderNumber,
+                    OrderStatus: update.OrderStatus,
+                    StatusMessage: 'Data processed successfully',
+                },
+            },
+        };
+    }
+
+    /**
+     * CancelSalesOrder: cancels a sales order and puts its items back into stock
+     */
+    cancelSalesOrder(body) {
+        const cancel = body.SalesOrderCancel || {};
+        const stored = this.state.orders.get(cancel.OrderNumber);
+        if (!stored) {
+            throw new Error('No Sales Order found');
+        }
+        if (!/^\d{8}$/.test(String(cancel.OrderDate))) {
+            throw new Error('Invalid OrderDate');
+        }
+        if (stored.status === 'CANCELLED') {
+            throw new Error('Sales Order already cancelled');
+        }
+
+        const location = cancel.OrderLocation || stored.order.Header.OrderLocation;
+        for (const item of asArray(stored.order.Items?.Item)) {
+            this.adjustStock(location, item.ItemCode, Number(item.Quantity || 0));
+        }
+        stored.status = 'CANCELLED';
+
+        return {
+            Result: 'SUCCESS',
+            Data: {
+                SalesOrderCancel: {
+                    OrderNumber: cancel.OrderNumber,
+                    OrderDate: cancel.OrderDate,
+                    OrderLocation: location,
+                    Status: 'Cancelled',
+                },
+            },
+        };
+    }
+
+    /**
+     * Plain JSON view of the in-memory state
+     * @returns {object} State
+     */
+    snapshot() {
+        return {
+            inventory: this.state.inventory,
+            customers: [...this.state.customers.values()],
+            orders: [...this.state.orders.entries()].map(([orderNumber, o]) => ({ orderNumber, ...o })),
+            returns: [...this.state.returns.entries()].map(([returnNumber, r]) => ({ returnNumber, ...r })),
+            statusUpdates: this.state.statusUpdates,
+            modes: this.modes,
+            requestCount: this.requests.length,
+        };
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<string>} Service URL to use as ESHOPAID_SERVER_URL
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}/eShopaidService.svc`;
+                resolve(this.url);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.server.closeAllConnections?.();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+if (require.main === module) {
+    const mock = new MockEshopaidServer();
+    const port = parseInt(process.env.MOCK_ESHOPAID_PORT) || 4010;
+
+    mock.start(port).then(url => {
+        console.log(`[MockEshopaid] Listening at ${url}`);
+        console.log('[MockEshopaid] Switch error modes with POST /__mock/modes, /__mock/fail and /__mock/expire-tokens');
+    });
+}
+
+module.exports = MockEshopaidServer;
@@ -0,0 +1,218 @@
+/**
+ * Order Backfill
+ * Pushes historical Shopify orders that never reached eShopaid, page by page and resumably
+ */
+
+const config = require('./config');
+const orderService = require('./order-service');
+const shopifyService = require('./shopify-service');
+const webhookHandlers = require('./webhook-handlers');
+const customerMap = require('./customer-map');
+const syncLedger = require('./sync-ledger');
+const syncState = require('./sync-state');
+const tenants = require('./tenants');
+const logger = require('./logger').child('OrderBackfill');
+
+const FAILURES_KEPT = 100;
+
+// Counts of a fresh run, by processOrder status
+const EMPTY_COUNTS = { fetched: 0, pushed: 0, failed: 0, skipped: 0, cancelled: 0, would_push: 0, invalid: 0 };
+
+class OrderBackfill {
+    constructor() {
+        // Tenants with a backfill running
+        this.active = new Set();
+        this.lastPushAt = 0;
+    }
+
+    /**
+     * Turn backfill options into Shopify order filters
+     * Dates without a time cover whole days; cancelled orders are left out unless includeCancelled is set
+     * @param {object} options - { from, to, status, financialStatus, fulfillmentStatus, includeCancelled }
+     * @returns {object} Filters for shopifyService.listOrders, plus includeCancelled
+     */
+    buildFilters(options) {
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+        return {
+            createdAtMin: options.from && dateOnly.test(options.from) ? `${options.from}T00:00:00` : options.from || null,
+            createdAtMax: options.to && dateOnly.test(options.to) ? `${options.to}T23:59:59` : options.to || null,
+            status: options.status || 'any',
+            financialStatus: options.financialStatus || null,
+            fulfillmentStatus: options.fulfillmentStatus || null,
+            includeCancelled: options.includeCancelled === true,
+        };
+    }
+
+    /**
+     * Wait until the next push is allowed by config.backfill.ordersPerMinute
+     */
+    async throttle() {
+        const interval = 60000 / config.backfill.ordersPerMinute;
+        const wait = this.lastPushAt + interval - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastPushAt = Date.now();
+    }
+
+    /**
+     * Push one order, or build its payload in a dry run
+     * Orders already recorded in the sync ledger are skipped, and so are cancelled orders unless
+     * includeCancelled is set: pushing one would reserve stock for an order nobody will ship
+     * @param {object} order - Shopify order
+     * @param {boolean} dryRun - Only build the payload
+     * @param {boolean} includeCancelled - Push cancelled orders too
+     * @returns {Promise<object>} { status: pushed | failed | skipped | cancelled | would_push | invalid, ... }
+     */
+    async processOrder(order, dryRun, includeCancelled = false) {
+        const synced = syncLedger.getOrder(order.id);
+        if (synced?.result?.success) {
+            return { status: 'skipped', eshopaidRef: synced.targetRefId };
+        }
+        if (order.cancelled_at && !includeCancelled) {
+            return { status: 'cancelled' };
+        }
+
+        if (dryRun) {
+            const hsnCodes = await orderService.getHsnCodes(order);
+            const payload = orderService.transformShopifyOrder(order, {
+                customerCode: customerMap.findCode(order.customer),
+                hsnCodes,
+            });
+            const totals = orderService.validateOrderTotal(payload, order);
+            return { status: totals.valid ? 'would_push' : 'invalid', payload, totals };
+        }
+
+        await this.throttle();
+        const result = await webhookHandlers.handleOrderCreate(order);
+        return result.success
+            ? { status: 'pushed', eshopaidRef: result.eshopaidRef }
+            : { status: 'failed', error: result.error };
+    }
+
+    /**
+     * Backfill orders
+     * A real run saves its cursor after every page in sync-state.json, so { resume: true } carries on
+     * where an interrupted run stopped. Dry runs leave the saved run alone.
+     * @param {object} options - { from, to, status, financialStatus, fulfillmentStatus, includeCancelled, dryRun,
+     *   limit, resume } (dry run unless dryRun is false; limit caps the orders looked at)
+     * @param {function} onProgress - Called with ({ order, result, counts }) after each order
+     * @returns {Promise<object>} Report
+     */
+    async run(options = {}, onProgress = () => {}) {
+        if (this.active.has(tenants.currentId())) {
+            return { success: false, error: 'A backfill is already running' };
+        }
+
+        const dryRun = options.dryRun !== false;
+        const saved = syncState.get('backfill');
+        if (options.resume && (!saved.filters || saved.finished)) {
+            return { success: false, error: 'There is no unfinished backfill to resume' };
+        }
+
+        const filters = options.resume ? saved.filters : this.buildFilters(options);
+        const limit = options.limit || Infinity;
+        const report = {
+            success: true,
+            dryRun,
+            filters,
+            startedAt: options.resume ? saved.startedAt : new Date().toISOString(),
+            finished: false,
+            cursor: options.resume ? saved.cursor : null,
+            counts: { ...EMPTY_COUNTS, ...(options.resume ? saved.counts : {}) },
+            failures: options.resume ? [...saved.failures] : [],
+            orders: [],
+        };
+        const save = () => {
+            if (!dryRun) {
+                const { orders, ...state } = report;
+                syncState.update('backfill', { ...state, updatedAt: new Date().toISOString() });
+            }
+        };
+
+        const tenant = tenants.currentId();
+        this.active.add(tenant);
+        logger.info(`${options.resume ? 'Resuming' : 'Starting'} ${dryRun ? 'dry run ' : ''}backfill`, { filters });
+
+        try {
+            let looked = 0;
+            while (looked < limit) {
+                save();
+                const page = await shopifyService.listOrders({
+                    ...filters,
+                    pageInfo: report.cursor,
+                    limit: config.backfill.pageSize,
+                });
+
+                let pageDone = 0;
+                for (const order of page.orders) {
+                    if (looked >= limit) {
+                        break;
+                    }
+                    looked++;
+                    pageDone++;
+
+                    const result = await this.processOrder(order, dryRun, filters.includeCancelled);
+                    report.counts.fetched++;
+                    report.counts[result.status]++;
+
+                    if (result.status === 'failed' || result.status === 'invalid') {
+                        report.failures = [
+                            ...report.failures,
+                            { orderId: order.id, orderName: order.name, error: result.error || 'Order total mismatch' },
+                        ].slice(-FAILURES_KEPT);
+                    }
+                    if (dryRun) {
+                        report.orders.push({ orderId: order.id, orderName: order.name, ...result });
+                    }
+                    onProgress({ order, result, counts: report.counts });
+                }
+
+                // A page cut short by the limit is read again on resume; the ledger skips its pushed orders
+                if (pageDone < page.orders.length) {
+                    break;
+                }
+                report.cursor = page.nextPageInfo;
+                if (!report.cursor) {
+                    report.finished = true;
+                    break;
+                }
+            }
+        } catch (error) {
+            logger.error('Backfill stopped', { error });
+            report.success = false;
+            report.error = error.message;
+        } finally {
+            this.active.delete(tenant);
+        }
+
+        save();
+        logger.info(`Backfill ${report.finished ? 'finished' : 'stopped'}`, { counts: report.counts });
+
+        return report;
+    }
+
+    /**
+     * Start a backfill in the background
+     * @param {object} options - Same as run()
+     * @returns {object} Result ({ success } or { success: false, error })
+     */
+    start(options = {}) {
+        if (this.active.has(tenants.currentId())) {
+            return { success: false, error: 'A backfill is already running' };
+        }
+
+        this.run(options).catch(error => logger.error('Backfill failed', { error }));
+        return { success: true, message: 'Backfill started' };
+    }
+
+    /**
+     * Progress of the last real backfill
+     * @returns {object} Saved state plus whether a backfill is running
+     */
+    status() {
+        return { running: this.active.has(tenants.currentId()), ...syncState.get('backfill') };
+    }
+}
+
+module.exports = new OrderBackfill();
@@ -0,0 +1,262 @@
+/**
+ * Order Reconciliation
+ * Compares a day's Shopify orders with the sales orders in eShopaid and reports the differences
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const orderService = require('./order-service');
+const shopifyService = require('./shopify-service');
+const fulfillmentStatus = require('./fulfillment-status');
+const jobQueue = require('./job-queue');
+const syncLedger = require('./sync-ledger');
+const syncState = require('./sync-state');
+const tenants = require('./tenants');
+const { toCsv } = require('./csv');
+const logger = require('./logger').child('Reconciliation');
+
+const { STATUS } = jobQueue;
+
+const REPORT_DIR = 'reconciliation';
+const CSV_COLUMNS = ['date', 'orderId', 'orderName', 'type', 'shopify', 'eshopaid', 'detail'];
+
+class OrderReconciliation {
+    /**
+     * The day before today, as YYYY-MM-DD
+     * @returns {string} Date
+     */
+    yesterday() {
+        return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Path of a saved report (in the current tenant's data directory)
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} format - 'json' or 'csv'
+     * @returns {string} File path
+     */
+    reportPath(date, format) {
+        return path.resolve(config.storage.dataDir, tenants.dataDir(), REPORT_DIR, `${date}.${format}`);
+    }
+
+    /**
+     * Fetch every Shopify order created on a day
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<array>} Shopify orders
+     */
+    async fetchShopifyOrders(date) {
+        const orders = [];
+        let pageInfo = null;
+
+        do {
+            const page = await shopifyService.listOrders({
+                createdAtMin: `${date}T00:00:00`,
+                createdAtMax: `${date}T23:59:59`,
+                status: 'any',
+                pageInfo,
+                limit: 250,
+            });
+            orders.push(...page.orders);
+            pageInfo = page.nextPageInfo;
+        } while (pageInfo);
+
+        return orders;
+    }
+
+    /**
+     * Quantity of every item code on a list of eShopaid items
+     * @param {array} items - eShopaid items
+     * @returns {Map} Map of item code -> quantity
+     */
+    quantitiesByItem(items) {
+        const quantities = new Map();
+        for (const item of items) {
+            const code = String(item.ItemCode);
+            quantities.set(code, (quantities.get(code) || 0) + Number(item.Quantity || 0));
+        }
+        return quantities;
+    }
+
+    /**
+     * The status eShopaid should have for an order
+     * Only statuses the service sends itself are checked: the cancellation and the shipment stages.
+     * A cancelled order is only cancelled in eShopaid when something was still unshipped, so the
+     * cancellation ledger says which status it was left in (CancelSalesOrder may answer Shortclosed)
+     * @param {object} order - Shopify order
+     * @returns {string|null} Expected OrderStatus, or null when there is nothing to compare
+     */
+    expectedStatus(order) {
+        const shipmentStatus = fulfillmentStatus.getOrder(order.id)?.orderStatus || null;
+        if (!order.cancelled_at) {
+            return shipmentStatus;
+        }
+
+        const cancellation = syncLedger.getCancellation(order.id)?.result;
+        if (cancellation?.cancelled) {
+            return String(cancellation.eshopaidStatus || 'CANCELLED').toUpperCase();
+        }
+        if (cancellation) {
+            return shipmentStatus;
+        }
+
+        // Not synced yet: it will be cancelled unless everything had shipped
+        const shipped = orderService.shippedQuantities(order);
+        const unshipped = order.line_items.some(line => line.quantity > (shipped.get(String(line.id)) || 0));
+        return unshipped ? 'CANCELLED' : shipmentStatus;
+    }
+
+    /**
+     * Compare one Shopify order with its eShopaid sales order
+     * @param {object} order - Shopify order
+     * @param {object} detail - Result of orderService.getOrderDetail
+     * @returns {array} Discrepancies of { type, shopify, eshopaid, detail }
+     */
+    compare(order, detail) {
+        if (!detail.found) {
+            return [{ type: 'missing', shopify: order.name, eshopaid: null, detail: 'Order not found in eShopaid' }];
+        }
+
+        const discrepancies = [];
+        const header = detail.order.Header || {};
+
+        const shopifyTotal = orderService.round(parseFloat(order.total_price));
+        const eshopaidTotal = orderService.round(Number(header.TotalOrderValue));
+        if (shopifyTotal !== eshopaidTotal) {
+            discrepancies.push({ type: 'total', shopify: shopifyTotal, eshopaid: eshopaidTotal, detail: 'TotalOrderValue' });
+        }
+
+        const shopifyQuantities = this.quantitiesByItem(orderService.transformLineItems(order));
+        const eshopaidItems = detail.order.Items?.Item;
+        const eshopaidQuantities = this.quantitiesByItem(
+            Array.isArray(eshopaidItems) ? eshopaidItems : eshopaidItems ? [eshopaidItems] : []
+        );
+        for (const code of new Set([...shopifyQuantities.keys(), ...eshopaidQuantities.keys()])) {
+            const shopify = shopifyQuantities.get(code) || 0;
+            const eshopaid = eshopaidQuantities.get(code) || 0;
+            if (shopify !== eshopaid) {
+                discrepancies.push({ type: 'quantity', shopify, eshopaid, detail: code });
+            }
+        }
+
+        const status = this.expectedStatus(order);
+        if (status && status !== detail.status) {
+            discrepancies.push({ type: 'status', shopify: status, eshopaid: detail.status, detail: 'OrderStatus' });
+        }
+
+        return discrepancies;
+    }
+
+    /**
+     * Queue a missing order for a push, unless a push is already queued
+     * Orders the sync ledger holds as synced are forced through, since eShopaid doesn't have them
+     * @param {object} order - Shopify order
+     * @returns {object|null} Queued job, or null if one was already waiting
+     */
+    enqueueMissing(order) {
+        const waiting = jobQueue.list({ type: 'orders/create', limit: Infinity }).find(job =>
+            String(job.payload.id) === String(order.id) && [STATUS.PENDING, STATUS.RUNNING].includes(job.status));
+        if (waiting) {
+            return null;
+        }
+
+        const force = Boolean(syncLedger.getOrder(order.id)?.result?.success);
+        return jobQueue.enqueue('orders/create', order, { meta: { source: 'reconciliation', force } });
+    }
+
+    /**
+     * Reconcile the orders of one day and save the report as JSON and CSV
+     * Cancelled orders that never reached eShopaid are left out
+     * @param {object} options - { date: YYYY-MM-DD (default yesterday), enqueueMissing }
+     * @returns {Promise<object>} Report
+     */
+    async run(options = {}) {
+        const date = options.date || this.yesterday();
+        const enqueueMissing = options.enqueueMissing ?? config.reconciliation.enqueueMissing;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error('date must be YYYY-MM-DD');
+        }
+
+        logger.info(`Reconciling orders of ${date}`);
+        const report = {
+            date,
+            generatedAt: new Date().toISOString(),
+            success: true,
+            checked: 0,
+            matched: 0,
+            discrepancies: [],
+            enqueued: [],
+            errors: [],
+        };
+
+        for (const order of await this.fetchShopifyOrders(date)) {
+            let detail;
+            try {
+                detail = await orderService.getOrderDetail(order.name);
+            } catch (error) {
+                report.errors.push({ orderId: order.id, orderName: order.name, error: error.message });
+                continue;
+            }
+            if (!detail.found && order.cancelled_at) {
+                continue;
+            }
+
+            report.checked++;
+            const discrepancies = this.compare(order, detail);
+            if (discrepancies.length === 0) {
+                report.matched++;
+                continue;
+            }
+
+            for (const discrepancy of discrepancies) {
+                report.discrepancies.push({ date, orderId: order.id, orderName: order.name, ...discrepancy });
+            }
+            if (!detail.found && enqueueMissing && this.enqueueMissing(order)) {
+                report.enqueued.push(order.name);
+            }
+        }
+
+        report.success = report.errors.length === 0;
+        this.save(report);
+        syncState.recordRun('reconciliation', {
+            date,
+            finishedAt: new Date().toISOString(),
+            success: report.success,
+            checked: report.checked,
+            discrepancies: report.discrepancies.length,
+            enqueued: report.enqueued.length,
+        });
+
+        logger.info(`Reconciled ${report.checked} orders of ${date}: ${report.matched} matched, ` +
+            `${report.discrepancies.length} discrepancies, ${report.enqueued.length} queued, ${report.errors.length} errors`);
+
+        return report;
+    }
+
+    /**
+     * Write a report as JSON and as CSV (one line per discrepancy)
+     * @param {object} report - Report
+     */
+    save(report) {
+        fs.mkdirSync(path.dirname(this.reportPath(report.date, 'json')), { recursive: true });
+        fs.writeFileSync(this.reportPath(report.date, 'json'), JSON.stringify(report, null, 2));
+        fs.writeFileSync(this.reportPath(report.date, 'csv'), toCsv(CSV_COLUMNS, report.discrepancies));
+    }
+
+    /**
+     * Read a saved report
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} format - 'json' (parsed) or 'csv' (text)
+     * @returns {object|string|null} Report, or null if the day hasn't been reconciled
+     */
+    getReport(date, format = 'json') {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !fs.existsSync(this.reportPath(date, format))) {
+            return null;
+        }
+
+        const text = fs.readFileSync(this.reportPath(date, format), 'utf8');
+        return format === 'json' ? JSON.parse(text) : text;
+    }
+}
+
+module.exports = new OrderReconciliation();
@@ -3,89 +3,84 @@
  * Handles order creation, status updates, and returns
  */
 
-const axios = require('axios');
 const config = require('./config');
-const tokenManager = require('./token-manager');
+const eshopaidClient = require('./eshopaid-client');
+const { EshopaidFailureError } = require('./errors');
+const shopifyService = require('./shopify-service');
+const logger = require('./logger').child('OrderService');
 
 class OrderService {
     /**
-     * Make an authenticated API request to eShopaid
-     * @param {string} method - SERVICE_METHODNAME
-     * @param {object} data - Request body
-     * @returns {Promise<object>} Response data
+     * Create a sales order in eShopaid from Shopify order
+     * Refuses to push when the mapped lines and charges don't add up to the Shopify total
+     * @param {object} shopifyOrder - Shopify order object
+     * @param {object} options - { customerCode: eShopaid customer code, hsnCodes: Map of variant ID -> HSN code }
+     * @returns {Promise<object>} eShopaid response
      */
-    async makeRequest(method, data) {
-        const token = await tokenManager.getToken();
-        const url = `${config.eshopaid.serverUrl}${config.eshopaid.processDataEndpoint}`;
+    async createSalesOrder(shopifyOrder, options = {}) {
+        const hsnCodes = options.hsnCodes || await this.getHsnCodes(shopifyOrder);
+        const orderData = this.transformShopifyOrder(shopifyOrder, { ...options, hsnCodes });
 
-        try {
-            console.log(`[OrderService] Making request with SERVICE_METHODNAME: ${method}`);
-            const response = await axios.post(url, data, {
-                headers: {
-                    'SERVICE_METHODNAME': method,
-                    'AUTHORIZATION': token,
-                    'Content-Type': 'application/json',
-                },
-            });
-
-            return response.data;
-        } catch (error) {
-            console.error(`[OrderService] API request failed:`, error.message);
-            throw error;
+        const check = this.validateOrderTotal(orderData, shopifyOrder);
+        if (!check.valid) {
+            const error = `Order total mismatch: lines and charges add up to ${check.computedTotal}, ` +
+                `Shopify total_price is ${check.expectedTotal}`;
+            logger.error(`Not creating order ${shopifyOrder.name}: ${error}`);
+            // Retrying can't fix the order, so the job goes straight to the dead letter list
+            return { success: false, retryable: false, error, totals: check };
         }
+
+        logger.info(`Creating order: ${shopifyOrder.name || shopifyOrder.order_number}`);
+        const response = await eshopaidClient.request(config.methods.CREATE_SALES_ORDER, orderData);
+
+        return this.parseOrderResponse(response);
     }
 
     /**
-     * Create a sales order in eShopaid from Shopify order
-     * @param {object} shopifyOrder - Shopify order object
-     * @returns {Promise<object>} eShopaid response
+     * Look up the HSN codes of an order's variants in Shopify
+     * A failed lookup doesn't block the order; the lines are sent without HSN codes
+     * @param {object} order - Shopify order
+     * @returns {Promise<Map>} Map of variant ID -> HSN code
      */
-    async createSalesOrder(shopifyOrder) {
-        const orderData = this.transformShopifyOrder(shopifyOrder);
-
-        console.log(`[OrderService] Creating order: ${shopifyOrder.name || shopifyOrder.order_number}`);
-        const response = await this.makeRequest(config.methods.CREATE_SALES_ORDER, orderData);
+    async getHsnCodes(order) {
+        const variantIds = order.line_items.map(line => line.variant_id).filter(Boolean);
+        if (variantIds.length === 0) {
+            return new Map();
+        }
 
-        return this.parseOrderResponse(response);
+        try {
+            return await shopifyService.getHsnCodes(variantIds);
+        } catch (error) {
+            logger.warn(`HSN lookup failed for order ${order.name}`, { error });
+            return new Map();
+        }
     }
 
     /**
      * Transform Shopify order to eShopaid format
      * @param {object} order - Shopify order
+     * @param {object} options - { customerCode: eShopaid customer code, hsnCodes: Map of variant ID -> HSN code }
      * @returns {object} eShopaid order format
      */
-    transformShopifyOrder(order) {
-        const customer = order.customer || {};
+    transformShopifyOrder(order, options = {}) {
         const shippingAddress = order.shipping_address || order.billing_address || {};
-        const billingAddress = order.billing_address || {};
 
-        // Format date as YYYYMMDD
-        const orderDate = new Date(order.created_at);
-        const formattedDate = orderDate.toISOString().slice(0, 10).replace(/-/g, '');
-
-        // Transform line items
-        const items = order.line_items.map((item, index) => ({
-            LineNumber: index + 1,
-            ItemCode: item.sku || item.variant_id?.toString(),
-            Quantity: item.quantity,
-            Rate: parseFloat(item.price),
-            DiscountAmount: parseFloat(item.total_discount || 0),
-            LineRemarks: item.name,
-        }));
+        const formattedDate = this.formatDate(order.created_at);
+        const taxInclusive = Boolean(order.taxes_included);
+        const intraState = this.isIntraStateSupply(order);
 
-        // Calculate shipping charge
-        const shippingCharge = order.shipping_lines?.reduce(
-            (sum, line) => sum + parseFloat(line.price || 0), 0
-        ) || 0;
-
-        // Other charges (shipping)
-        const otherCharges = shippingCharge > 0 ? {
-            Charge: [{
-                ChargeDescription: 'Shipping',
-                ChargeValue: shippingCharge,
-                ChargeReference: order.shipping_lines?.[0]?.title || 'Standard Shipping',
-            }]
-        } : {};
+        const items = this.transformLineItems(order, { ...options, intraState });
+        const charges = [...this.transformShippingLines(order), ...this.transformExtraCharges(order)];
+
+        // Differences left by per-line rounding are sent as a round-off charge
+        const roundOff = this.round(parseFloat(order.total_price) - this.sumOrderValue(items, charges, taxInclusive));
+        if (roundOff !== 0 && Math.abs(roundOff) <= config.tax.roundingTolerance) {
+            charges.push({
+                ChargeDescription: 'Round Off',
+                ChargeValue: roundOff,
+                ChargeReference: 'Rounding',
+            });
+        }
 
         // Payment information
         const payments = {
@@ -103,26 +98,14 @@ class OrderService {
         return {
             Order: {
                 Customer: {
-                    TitleName: '',
-                    FirstName: customer.first_name || shippingAddress.first_name || 'Guest',
-                    MiddleName: '',
-                    LastName: customer.last_name || shippingAddress.last_name || '',
+                    ...this.transformOrderCustomer(order),
                     Gender: '',
-                    MobileNumber: shippingAddress.phone || customer.phone || '',
-                    EmailID: customer.email || order.email || '',
-                    CustomerAddressLine1: billingAddress.address1 || '',
-                    CustomerAddressLine2: billingAddress.address2 || '',
-                    CustomerAddressLine3: '',
-                    CustomerCityName: billingAddress.city || '',
-                    CustomerStateName: billingAddress.province || '',
-                    CustomerStateGSTCode: stateGSTCode,
-                    Pincode: billingAddress.zip || '',
                 },
                 Header: {
                     OrderDate: formattedDate,
                     OrderNumber: order.name || `ORD${order.id}`,
                     OrderLocation: config.eshopaid.storeLocation,
-                    CustomerCode: '',
+                    CustomerCode: options.customerCode || '',
                     DeliveryAddressLine1: shippingAddress.address1 || '',
                     DeliveryAddressLine2: shippingAddress.address2 || '',
                     DeliveryAddressLine3: '',
@@ -131,17 +114,343 @@ class OrderService {
                     DeliveryStateGSTCode: stateGSTCode,
                     DeliveryPincode: shippingAddress.zip || '',
                     TotalOrderValue: parseFloat(order.total_price),
+                    TaxInclusive: taxInclusive ? 1 : 0,
+                    GSTType: intraState ? 'CGST_SGST' : 'IGST',
                     ExpectedDeliveryDate: '',
                     OrderRemarks: order.note || '',
                     SourceChannel: config.eshopaid.sourceChannel,
                 },
                 Items: { Item: items },
-                OtherCharges: otherCharges,
+                OtherCharges: charges.length > 0 ? { Charge: charges } : {},
                 Payments: payments,
             }
         };
     }
 
+    /**
+     * Map order lines with their share of every discount and their GST
+     * @param {object} order - Shopify order
+     * @param {object} options - { hsnCodes, intraState }
+     * @returns {array} eShopaid order items
+     */
+    transformLineItems(order, options = {}) {
+        const taxInclusive = Boolean(order.taxes_included);
+        const hsnCodes = options.hsnCodes || new Map();
+        const discounts = this.allocateLineDiscounts(order);
+
+        return order.line_items.map((item, index) => {
+            const rate = parseFloat(item.price);
+            const discount = discounts[index];
+            const taxAmount = this.round(this.sumAmounts(item.tax_lines, 'price'));
+            const taxRate = this.round((item.tax_lines || []).reduce((sum, t) => sum + parseFloat(t.rate || 0), 0) * 100);
+            const netValue = rate * item.quantity - discount;
+            const gst = this.splitGST(taxAmount, taxRate, options.intraState);
+
+            return {
+                LineNumber: index + 1,
+                ItemCode: item.sku || item.variant_id?.toString(),
+                Quantity: item.quantity,
+                Rate: rate,
+                DiscountAmount: discount,
+                HSNCode: hsnCodes.get(String(item.variant_id)) || '',
+                TaxableValue: this.round(taxInclusive ? netValue - taxAmount : netValue),
+                TaxRate: taxRate,
+                TaxAmount: taxAmount,
+                ...gst,
+                LineRemarks: item.name,
+            };
+        });
+    }
+
+    /**
+     * Work out the discount of every line
+     * Uses Shopify's discount_allocations, which include order-level discount codes; any part of
+     * total_discounts that isn't allocated to a line or shipping is spread over the lines by value
+     * @param {object} order - Shopify order
+     * @returns {number[]} Discount per line, in line order
+     */
+    allocateLineDiscounts(order) {
+        const lines = order.line_items;
+        const discounts = lines.map(item => this.round(item.discount_allocations?.length
+            ? this.sumAmounts(item.discount_allocations, 'amount')
+            : parseFloat(item.total_discount || 0)));
+
+        const allocated = discounts.reduce((sum, d) => sum + d, 0) +
+            (order.shipping_lines || []).reduce((sum, line) => sum + this.sumAmounts(line.discount_allocations, 'amount'), 0);
+        const unallocated = this.round(parseFloat(order.total_discounts || 0) - allocated);
+        if (unallocated <= 0) {
+            return discounts;
+        }
+
+        const values = lines.map((item, index) => parseFloat(item.price) * item.quantity - discounts[index]);
+        const totalValue = values.reduce((sum, v) => sum + v, 0);
+        if (totalValue <= 0) {
+            return discounts;
+        }
+
+        // The last line takes the remainder so the shares add up exactly
+        let remaining = unallocated;
+        return discounts.map((discount, index) => {
+            const share = index === lines.length - 1
+                ? remaining
+                : this.round(unallocated * values[index] / totalValue);
+            remaining = this.round(remaining - share);
+            return this.round(discount + share);
+        });
+    }
+
+    /**
+     * Map shipping lines to charges, net of shipping discounts
+     * Shipping tax is added to the charge when prices exclude tax
+     * @param {object} order - Shopify order
+     * @returns {array} eShopaid charges
+     */
+    transformShippingLines(order) {
+        const taxInclusive = Boolean(order.taxes_included);
+
+        return (order.shipping_lines || [])
+            .map(line => {
+                const net = parseFloat(line.price || 0) - this.sumAmounts(line.discount_allocations, 'amount');
+                const tax = taxInclusive ? 0 : this.sumAmounts(line.tax_lines, 'price');
+                return {
+                    ChargeDescription: 'Shipping',
+                    ChargeValue: this.round(net + tax),
+                    ChargeReference: line.title || 'Standard Shipping',
+                };
+            })
+            .filter(charge => charge.ChargeValue > 0);
+    }
+
+    /**
+     * Map tips and import duties, the parts of total_price that aren't lines or shipping, to charges
+     * Line tax is not among them: it travels on the lines (TaxAmount)
+     * @param {object} order - Shopify order
+     * @returns {array} eShopaid charges
+     */
+    transformExtraCharges(order) {
+        return [
+            { ChargeDescription: 'Tip', ChargeValue: this.round(parseFloat(order.total_tip_received || 0)), ChargeReference: 'Tip' },
+            {
+                ChargeDescription: 'Duties',
+                ChargeValue: this.round(parseFloat(order.current_total_duties_set?.shop_money?.amount || 0)),
+                ChargeReference: 'Import duties',
+            },
+        ].filter(charge => charge.ChargeValue > 0);
+    }
+
+    /**
+     * Split a line's GST into CGST + SGST (same state) or IGST (other state)
+     * @param {number} taxAmount - Total tax of the line
+     * @param {number} taxRate - Total tax rate in percent
+     * @param {boolean} intraState - Ship-from and ship-to are in the same state
+     * @returns {object} CGST, SGST and IGST rates and amounts
+     */
+    splitGST(taxAmount, taxRate, intraState) {
+        if (!intraState) {
+            return { CGSTRate: 0, CGSTAmount: 0, SGSTRate: 0, SGSTAmount: 0, IGSTRate: taxRate, IGSTAmount: taxAmount };
+        }
+
+        const cgst = this.round(taxAmount / 2);
+        return {
+            CGSTRate: this.round(taxRate / 2),
+            CGSTAmount: cgst,
+            SGSTRate: this.round(taxRate / 2),
+            SGSTAmount: this.round(taxAmount - cgst),
+            IGSTRate: 0,
+            IGSTAmount: 0,
+        };
+    }
+
+    /**
+     * Decide whether an order is an intra-state supply (CGST + SGST) or inter-state (IGST)
+     * Compares SHIP_FROM_STATE with the shipping address; without it, follows Shopify's tax line titles
+     * @param {object} order - Shopify order
+     * @returns {boolean} Intra-state supply
+     */
+    isIntraStateSupply(order) {
+        const shippingAddress = order.shipping_address || order.billing_address || {};
+        const shipFrom = this.getStateGSTCode(config.tax.shipFromState);
+        const shipTo = this.getStateGSTCode(shippingAddress.province);
+
+        if (shipFrom && shipTo) {
+            return shipFrom === shipTo;
+        }
+
+        return order.line_items.some(item => (item.tax_lines || []).some(t => /\b[CS]GST\b/i.test(t.title || '')));
+    }
+
+    /**
+     * Check that the eShopaid order adds up to Shopify's total_price
+     * @param {object} orderData - Result of transformShopifyOrder
+     * @param {object} order - Shopify order
+     * @returns {object} { valid, computedTotal, expectedTotal, difference }
+     */
+    validateOrderTotal(orderData, order) {
+        const { Header, Items, OtherCharges } = orderData.Order;
+        const computedTotal = this.round(this.sumOrderValue(Items.Item, OtherCharges.Charge || [], Header.TaxInclusive === 1));
+        const expectedTotal = this.round(parseFloat(order.total_price));
+        const difference = this.round(expectedTotal - computedTotal);
+
+        return { valid: difference === 0, computedTotal, expectedTotal, difference };
+    }
+
+    /**
+     * Total value of order items and charges
+     * @param {array} items - eShopaid items
+     * @param {array} charges - eShopaid charges
+     * @param {boolean} taxInclusive - Item rates include tax
+     * @returns {number} Order value
+     */
+    sumOrderValue(items, charges, taxInclusive) {
+        const itemsValue = items.reduce((sum, item) =>
+            sum + item.Rate * item.Quantity - item.DiscountAmount + (taxInclusive ? 0 : item.TaxAmount), 0);
+        return this.round(itemsValue + charges.reduce((sum, charge) => sum + charge.ChargeValue, 0));
+    }
+
+    /**
+     * Sum an amount field over a list of Shopify entries
+     * @param {array} entries - e.g. tax_lines or discount_allocations
+     * @param {string} field - Amount field
+     * @returns {number} Sum
+     */
+    sumAmounts(entries, field) {
+        return (entries || []).reduce((sum, entry) => sum + parseFloat(entry[field] || 0), 0);
+    }
+
+    /**
+     * Round an amount to paise
+     * @param {number} value - Amount
+     * @returns {number} Rounded amount
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Build the eShopaid customer block of a Shopify order
+     * @param {object} order - Shopify order
+     * @returns {object} eShopaid customer
+     */
+    transformOrderCustomer(order) {
+        const customer = order.customer || {};
+        const shippingAddress = order.shipping_address || order.billing_address || {};
+        const billingAddress = order.billing_address || {};
+
+        return {
+            TitleName: '',
+            FirstName: customer.first_name || shippingAddress.first_name || 'Guest',
+            MiddleName: '',
+            LastName: customer.last_name || shippingAddress.last_name || '',
+            MobileNumber: shippingAddress.phone || customer.phone || '',
+            EmailID: customer.email || order.email || '',
+            CustomerAddressLine1: billingAddress.address1 || '',
+            CustomerAddressLine2: billingAddress.address2 || '',
+            CustomerAddressLine3: '',
+            CustomerCityName: billingAddress.city || '',
+            CustomerStateName: billingAddress.province || '',
+            CustomerStateGSTCode: this.getStateGSTCode(shippingAddress.province),
+            Pincode: billingAddress.zip || '',
+        };
+    }
+
+    /**
+     * Transform a Shopify refund into return order data for createReturnOrder
+     * Return lines point at their original sales order line, with discounts prorated
+     * to the returned quantity; refunded shipping becomes a charge and every
+     * successful refund transaction becomes a payment, up to the value of what is returned
+     * @param {object} refund - Shopify refund (refunds/create payload)
+     * @param {object} order - Parent Shopify order
+     * @returns {object} Return order data, with refundedValue (every refund transaction) and
+     *   notReturnedValue (the part of it that paid back lines that aren't returned)
+     */
+    transformShopifyRefund(refund, order) {
+        const lineDiscounts = this.allocateLineDiscounts(order);
+        const items = (refund.refund_line_items || [])
+            .filter(refundLine => refundLine.quantity > 0 && this.isReturnedLine(refundLine, refund, order))
+            .map((refundLine, index) => {
+                // Sales order lines are numbered by position in order.line_items
+                const lineIndex = order.line_items.findIndex(
+                    line => String(line.id) === String(refundLine.line_item_id)
+                );
+                if (lineIndex === -1) {
+                    throw new Error(`Refund line item ${refundLine.line_item_id} not found in order ${order.name}`);
+                }
+
+                const line = order.line_items[lineIndex];
+                const lineDiscount = lineDiscounts[lineIndex];
+
+                return {
+                    LineNumber: index + 1,
+                    RefLineNumber: lineIndex + 1,
+                    ItemCode: line.sku || line.variant_id?.toString(),
+                    Quantity: refundLine.quantity,
+                    Rate: parseFloat(line.price),
+                    DiscountAmount: this.round(lineDiscount * refundLine.quantity / line.quantity),
+                    TaxAmount: this.round(parseFloat(refundLine.total_tax || 0)),
+                    LineRemarks: line.name || '',
+                };
+            });
+
+        // Refunded shipping shows up as refund_shipping_lines (newer API versions)
+        // or as shipping_refund order adjustments (negative amounts)
+        const shippingRefund = refund.refund_shipping_lines?.length
+            ? refund.refund_shipping_lines.reduce(
+                (sum, line) => sum + parseFloat(line.subtotal_amount_set?.shop_money?.amount || line.amount || 0), 0)
+            : (refund.order_adjustments || [])
+                .filter(adjustment => adjustment.kind === 'shipping_refund')
+                .reduce((sum, adjustment) => sum + Math.abs(parseFloat(adjustment.amount || 0)), 0);
+
+        const otherCharges = shippingRefund > 0 ? [{
+            ChargeDescription: 'Shipping',
+            ChargeValue: this.round(shippingRefund),
+            ChargeReference: 'Shipping refund',
+        }] : [];
+
+        // A refund may be paid back through several transactions (e.g. gift card + card)
+        const transactions = (refund.transactions || []).filter(
+            t => t.kind === 'refund' && (!t.status || t.status === 'success')
+        );
+        const refunded = transactions.map(t => ({
+            PaymentMode: this.mapPaymentGateway(t.gateway),
+            PaymentValue: this.round(parseFloat(t.amount || 0)),
+            ModeType: t.gateway || '',
+            PaymentReference: String(t.id || refund.id),
+        }));
+        const refundedValue = this.round(refunded.reduce((sum, payment) => sum + payment.PaymentValue, 0));
+
+        // The header total is what the return carries; on a cancelled order the refund also pays back
+        // lines that aren't returned, so the payments stop at that total
+        const taxInclusive = Boolean(order.taxes_included);
+        const totalValue = this.round(items.reduce(
+            (sum, item) => sum + item.Rate * item.Quantity - item.DiscountAmount + (taxInclusive ? 0 : item.TaxAmount), 0
+        ) + shippingRefund);
+        const payments = this.limitPayments(refunded, totalValue);
+
+        return {
+            customer: this.transformOrderCustomer(order),
+            returnDate: this.formatDate(refund.created_at || new Date()),
+            returnOrderNumber: `RET${refund.id}`,
+            refOrderDate: this.formatDate(order.created_at),
+            refOrderNumber: order.name,
+            totalValue,
+            remarks: refund.note || 'Shopify refund',
+            items,
+            otherCharges,
+            payments,
+            refundedValue,
+            notReturnedValue: this.round(Math.max(refundedValue - totalValue, 0)),
+        };
+    }
+
+    /**
+     * Format a date as YYYYMMDD
+     * @param {string|Date} date - Date
+     * @returns {string} Formatted date
+     */
+    formatDate(date) {
+        return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
     /**
      * Map Shopify payment gateway to eShopaid payment mode
      * @param {string} gateway - Shopify gateway name
@@ -155,6 +464,7 @@ class OrderService {
             'paytm': 'OnlinePayment',
             'cod': 'Cash',
             'cash_on_delivery': 'Cash',
+            'cash on delivery (cod)': 'Cash', // Shopify's built-in COD method
             'manual': 'Cash',
         };
 
@@ -185,10 +495,64 @@ class OrderService {
         return gstCodes[stateName?.toLowerCase()] || '';
     }
 
+    /**
+     * Quantities of each line shipped by the order's successful fulfillments
+     * @param {object} order - Shopify order
+     * @returns {Map} Map of line item ID -> shipped quantity
+     */
+    shippedQuantities(order) {
+        const shipped = new Map();
+        for (const fulfillment of order.fulfillments || []) {
+            if (fulfillment.status && fulfillment.status !== 'success') {
+                continue;
+            }
+            for (const line of fulfillment.line_items || []) {
+                shipped.set(String(line.id), (shipped.get(String(line.id)) || 0) + Number(line.quantity || 0));
+            }
+        }
+        return shipped;
+    }
+
+    /**
+     * Cut refund payments down to a total, in transaction order
+     * @param {array} payments - Return order payments
+     * @param {number} total - Value the payments may add up to
+     * @returns {array} Payments
+     */
+    limitPayments(payments, total) {
+        let left = total;
+        return payments
+            .map(payment => {
+                const value = this.round(Math.min(payment.PaymentValue, left));
+                left = this.round(left - value);
+                return { ...payment, PaymentValue: value };
+            })
+            .filter(payment => payment.PaymentValue > 0);
+    }
+
+    /**
+     * Whether a refunded line comes back into eShopaid stock through a return order
+     * On a cancelled order only restocked, shipped lines do: unshipped lines (restock_type cancel)
+     * are released by CancelSalesOrder, and no_restock lines never come back
+     * @param {object} refundLine - Refund line item
+     * @param {object} refund - Shopify refund
+     * @param {object} order - Parent Shopify order
+     * @returns {boolean}
+     */
+    isReturnedLine(refundLine, refund, order) {
+        if (!order.cancelled_at) {
+            return true;
+        }
+        if (refundLine.restock_type) {
+            return ['return', 'legacy_restock'].includes(refundLine.restock_type);
+        }
+        return Boolean(refund.restock);
+    }
+
     /**
      * Set order status in eShopaid
      * @param {string} orderNumber - Vendor order number
-     * @param {string} orderDate - Order date (YYYY-MM-DD format)
+     * @param {string} orderDate - Order date (YYYYMMDD format)
      * @param {string} status - New status (DELIVERED, CANCELLED, etc.)
      * @param {string} location - Order location
      * @returns {Promise<object>} Response
@@ -203,19 +567,82 @@ class OrderService {
             }
         };
 
-        console.log(`[OrderService] Updating order ${orderNumber} status to: ${status}`);
-        const response = await this.makeRequest(config.methods.SET_ORDER_STATUS, statusData);
+        logger.info(`Updating order ${orderNumber} status to: ${status}`);
+        const response = await eshopaidClient.request(config.methods.SET_ORDER_STATUS, statusData);
 
         return this.parseStatusResponse(response);
     }
 
+    /**
+     * Cancel a sales order in eShopaid, releasing the stock of its undelivered items
+     * eShopaid answers with Status Cancelled, or Shortclosed when part of the order was delivered
+     * @param {string} orderNumber - Order number the order was created with (the Shopify order name)
+     * @param {string} orderDate - Order date (YYYYMMDD format)
+     * @param {string} reason - Cancellation reason (optional)
+     * @param {string} location - Order location
+     * @returns {Promise<object>} { success, status, error }
+     */
+    async cancelSalesOrder(orderNumber, orderDate, reason = '', location = config.eshopaid.storeLocation) {
+        logger.info(`Cancelling order ${orderNumber}`);
+        const response = await eshopaidClient.request(config.methods.CANCEL_SALES_ORDER, {
+            SalesOrderCancel: {
+                OrderNumber: orderNumber,
+                OrderDate: orderDate,
+                OrderLocation: location,
+                CancellationReason: reason || '',
+            },
+        });
+
+        if (response.Response) {
+            return {
+                success: response.Response.Result === 'SUCCESS',
+                status: response.Response.Data?.SalesOrderCancel?.Status || null,
+                error: response.Response.FailureReason,
+            };
+        }
+        return { success: false, error: 'Invalid response format' };
+    }
+
+    /**
+     * Fetch a sales order from eShopaid
+     * GetOrderDetail isn't in the integration document; it answers with the order as it was sent,
+     * plus TargetRefID and OrderStatus in the header
+     * @param {string} orderNumber - Order number the order was created with (the Shopify order name)
+     * @param {string} location - Order location
+     * @returns {Promise<object>} { success, found, order, status, eshopaidRef } (found is false for unknown orders)
+     */
+    async getOrderDetail(orderNumber, location = config.eshopaid.storeLocation) {
+        try {
+            const response = await eshopaidClient.request(config.methods.GET_ORDER_DETAIL, {
+                Params: {
+                    OrderNumber: orderNumber,
+                    OrderLocation: location,
+                },
+            });
+            const order = response.Response.Data?.Order;
+
+            return {
+                success: true,
+                found: Boolean(order),
+                order: order || null,
+                status: order?.Header?.OrderStatus || null,
+                eshopaidRef: order?.Header?.TargetRefID || null,
+            };
+        } catch (error) {
+            if (error instanceof EshopaidFailureError && /not found|no .*order/i.test(error.message)) {
+                return { success: true, found: false, order: null, status: null, eshopaidRef: null };
+            }
+            throw error;
+        }
+    }
+
     /**
      * Create a return order in eShopaid
      * @param {object} returnData - Return order data
      * @returns {Promise<object>} Response
      */
     async createReturnOrder(returnData) {
-        console.log(`[OrderService] Creating return order for: ${returnData.refOrderNumber}`);
+        logger.info(`Creating return order for: ${returnData.refOrderNumber}`);
 
         const returnOrder = {
             ReturnOrder: {
@@ -231,11 +658,12 @@ class OrderService {
                     SourceChannel: config.eshopaid.sourceChannel,
                 },
                 Items: { Item: returnData.items },
+                OtherCharges: returnData.otherCharges?.length ? { Charge: returnData.otherCharges } : {},
                 Payments: { Payment: returnData.payments },
             }
         };
 
-        const response = await this.makeRequest(config.methods.CREATE_RETURN_ORDER, returnOrder);
+        const response = await eshopaidClient.request(config.methods.CREATE_RETURN_ORDER, returnOrder);
         return this.parseOrderResponse(response);
     }
 
@@ -0,0 +1,182 @@
+/**
+ * Price Sync
+ * Applies eShopaid SalesPrice and MRP to Shopify variant price and compare-at price
+ */
+
+const config = require('./config');
+const inventoryService = require('./inventory-service');
+const shopifyService = require('./shopify-service');
+const syncState = require('./sync-state');
+const logger = require('./logger').child('PriceSync');
+
+class PriceSync {
+    /**
+     * Compare an eShopaid price row with its Shopify variant
+     * @param {object} row - Row from inventoryService.formatForShopify
+     * @param {object} variant - Variant from shopifyService.findVariantsByCodes
+     * @returns {object} Change with a status of update, unchanged, locked, threshold or invalid
+     */
+    diff(row, variant) {
+        const currentPrice = parseFloat(variant.price) || 0;
+        const currentCompareAt = variant.compareAtPrice ? parseFloat(variant.compareAtPrice) : null;
+        const newPrice = row.price;
+        // MRP only shows as a compare-at price when it is above the selling price
+        const newCompareAt = row.compareAtPrice > row.price ? row.compareAtPrice : null;
+        const changePercent = currentPrice > 0
+            ? Math.round(Math.abs(newPrice - currentPrice) / currentPrice * 10000) / 100
+            : null;
+
+        const change = {
+            sku: row.sku,
+            variantId: variant.variantId,
+            productId: variant.productId,
+            price: { from: currentPrice, to: newPrice },
+            compareAtPrice: { from: currentCompareAt, to: newCompareAt },
+            changePercent,
+            status: 'update',
+            reason: null,
+        };
+
+        if (!(newPrice > 0)) {
+            return { ...change, status: 'invalid', reason: 'eShopaid SalesPrice is missing or zero' };
+        }
+        if (newPrice === currentPrice && newCompareAt === currentCompareAt) {
+            return { ...change, status: 'unchanged' };
+        }
+        if (variant.productTags.includes(config.prices.lockTag)) {
+            return { ...change, status: 'locked', reason: `Product is tagged ${config.prices.lockTag}` };
+        }
+        if (changePercent !== null && changePercent > config.prices.maxChangePercent) {
+            return {
+                ...change,
+                status: 'threshold',
+                reason: `Price change of ${changePercent}% exceeds ${config.prices.maxChangePercent}%`,
+            };
+        }
+
+        return change;
+    }
+
+    /**
+     * Run a price sync
+     * @param {object} options - { dryRun: report changes without writing them (default true) }
+     * @returns {Promise<object>} Diff report
+     */
+    async run(options = {}) {
+        const dryRun = options.dryRun !== false;
+
+        if (!dryRun && !config.prices.enabled) {
+            return {
+                success: false,
+                dryRun,
+                error: 'Price sync is disabled; set PRICE_SYNC_ENABLED=true or run a dry run',
+            };
+        }
+
+        logger.info(`Price sync started${dryRun ? ' (dry run)' : ''}`);
+        const startedAt = new Date().toISOString();
+        const report = {
+            success: true,
+            dryRun,
+            summary: { update: 0, unchanged: 0, locked: 0, threshold: 0, invalid: 0, unmatched: 0, failed: 0 },
+            changes: [],
+            unmatchedSkus: [],
+            errors: [],
+        };
+
+        try {
+            const inventoryData = await inventoryService.getInventoryByLocation();
+            if (!inventoryData.success) {
+                throw new Error(inventoryData.error);
+            }
+
+            const rows = inventoryService.formatForShopify(inventoryData);
+            const variants = await shopifyService.findVariantsByCodes(
+                rows.flatMap(row => [row.sku, row.eanCode, row.itemCode])
+            );
+
+            const seen = new Set();
+            for (const row of rows) {
+                const variant = shopifyService.resolveVariant(row, variants);
+                if (!variant) {
+                    report.summary.unmatched++;
+                    report.unmatchedSkus.push(row.sku);
+                    continue;
+                }
+                if (seen.has(variant.variantId)) {
+                    continue;
+                }
+                seen.add(variant.variantId);
+
+                const change = this.diff(row, variant);
+                report.summary[change.status]++;
+                if (change.status !== 'unchanged') {
+                    report.changes.push({ ...change, variantGid: variant.id });
+                }
+            }
+
+            if (!dryRun) {
+                await this.apply(report);
+            }
+        } catch (error) {
+            logger.error('Price sync error', { error });
+            report.success = false;
+            report.error = error.message;
+        }
+
+        syncState.update('prices', {
+            lastRun: {
+                dryRun,
+                startedAt,
+                finishedAt: new Date().toISOString(),
+                success: report.success,
+                summary: report.summary,
+                error: report.error || null,
+            },
+        });
+
+        logger.info(`${dryRun ? 'Would update' : 'Updated'} ${report.summary.update} variants, ` +
+            `skipped ${report.summary.locked} locked and ${report.summary.threshold} over threshold`);
+
+        return report;
+    }
+
+    /**
+     * Write the accepted changes to Shopify, one bulk update per product (a bulk operation for large runs)
+     * @param {object} report - Report from run (mutated with failures)
+     */
+    async apply(report) {
+        const changes = report.changes.filter(c => c.status === 'update');
+        let errors;
+        try {
+            errors = await shopifyService.writeVariantPrices(changes.map(change => ({
+                productId: change.productId,
+                id: change.variantGid,
+                price: change.price.to.toFixed(2),
+                compareAtPrice: change.compareAtPrice.to === null ? null : change.compareAtPrice.to.toFixed(2),
+            })));
+        } catch (error) {
+            errors = [...new Set(changes.map(change => change.productId))].map(productId => ({ productId, message: error.message }));
+        }
+
+        const messages = new Map();
+        for (const { productId, message } of errors) {
+            messages.set(productId, [...(messages.get(productId) || []), message]);
+        }
+
+        for (const [productId, productErrors] of messages) {
+            const failed = changes.filter(change => change.productId === productId);
+            const error = productErrors.join('; ');
+            for (const change of failed) {
+                change.status = 'failed';
+                change.reason = error;
+            }
+            report.summary.update -= failed.length;
+            report.summary.failed += failed.length;
+            report.errors.push({ productId, error });
+            report.success = false;
+        }
+    }
+}
+
+module.exports = new PriceSync();
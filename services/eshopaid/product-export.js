@@ -0,0 +1,266 @@
+/**
+ * Product Export
+ * Turns eShopaid items into Shopify's product import CSV, one product per ProductCode
+ * with a variant per ItemCode
+ */
+
+const config = require('./config');
+const inventoryService = require('./inventory-service');
+const shopifyService = require('./shopify-service');
+const { toCsv } = require('./csv');
+const logger = require('./logger').child('ProductExport');
+
+// Header of Shopify's product import template (API Doc/product_template_csv_unit_price (1).csv)
+const COLUMNS = [
+    'Title', 'URL handle', 'Description', 'Vendor', 'Product category', 'Type', 'Tags',
+    'Published on online store', 'Status', 'SKU', 'Barcode',
+    'Option1 name', 'Option1 value', 'Option2 name', 'Option2 value', 'Option3 name', 'Option3 value',
+    'Price', 'Compare-at price', 'Cost per item', 'Charge tax', 'Tax code',
+    'Unit price total measure', 'Unit price total measure unit', 'Unit price base measure', 'Unit price base measure unit',
+    'Inventory tracker', 'Inventory quantity', 'Continue selling when out of stock',
+    'Weight value (grams)', 'Weight unit for display', 'Requires shipping', 'Fulfillment service',
+    'Product image URL', 'Image position', 'Image alt text', 'Variant image URL', 'Gift card',
+    'SEO title', 'SEO description', 'Google Shopping / Google product category', 'Google Shopping / Gender',
+    'Google Shopping / Age group', 'Google Shopping / MPN', 'Google Shopping / AdWords Grouping',
+    'Google Shopping / AdWords labels', 'Google Shopping / Condition', 'Google Shopping / Custom product',
+    'Google Shopping / Custom label 0', 'Google Shopping / Custom label 1', 'Google Shopping / Custom label 2',
+    'Google Shopping / Custom label 3', 'Google Shopping / Custom label 4',
+];
+
+// eShopaid SaleUnit -> Shopify unit price measure unit (other units, e.g. PCS, get no unit price)
+const MEASURE_UNITS = {
+    ml: 'ml', cl: 'cl', l: 'l', ltr: 'l', mg: 'mg', g: 'g', gm: 'g', gms: 'g', kg: 'kg',
+    mm: 'mm', cm: 'cm', m: 'm', mtr: 'm',
+};
+
+class ProductExport {
+    /**
+     * Split an item into its product and option values
+     * The product is the ProductCode (or the ItemCode up to its last dash); the rest of the ItemCode,
+     * split on dashes, gives the option values, the last part matching the last CATALOG_OPTION_NAMES
+     * name, e.g. UK1001-8 -> UK1001 with Size 8 and UK3003-BLK-9 -> UK3003 with Color BLK, Size 9.
+     * An ItemCode that doesn't extend its ProductCode is a product of its own.
+     * @param {object} item - Item from inventoryService.normalizeItems
+     * @returns {object} { productKey, options: [{ name, value }] }
+     */
+    splitItemCode(item) {
+        const itemCode = item.itemCode;
+        const productCode = item.productCode ? String(item.productCode) : itemCode.replace(/-[^-]+$/, '');
+        const productKey = itemCode.startsWith(`${productCode}-`) ? productCode : itemCode;
+        const suffix = itemCode.slice(productKey.length + 1);
+        const values = suffix ? suffix.split('-').slice(-3) : [];
+        const names = config.catalog.optionNames.slice(-values.length);
+
+        return {
+            productKey,
+            options: values.map((value, i) => ({ name: names[i] || `Option${i + 1}`, value })),
+        };
+    }
+
+    /**
+     * Product title: the item name without the option values it ends with, e.g. Runner Low 8 -> Runner Low
+     * @param {object} item - Item
+     * @param {array} options - Option values of the item
+     * @returns {string} Title
+     */
+    titleOf(item, options) {
+        let title = String(item.itemName || item.itemCode).trim();
+        for (const { value } of [...options].reverse()) {
+            const end = ` ${value}`.toLowerCase();
+            if (title.toLowerCase().endsWith(end)) {
+                title = title.slice(0, -end.length).trim();
+            }
+        }
+        return title;
+    }
+
+    /**
+     * URL handle of a product, e.g. runner-low-uk1001
+     * @param {string} title - Product title
+     * @param {string} productKey - Product code
+     * @returns {string} Handle
+     */
+    handleOf(title, productKey) {
+        return `${title} ${productKey}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Unit price columns, for items sold by a measure eShopaid gives a per-unit price for
+     * PerUnitSalesPrice is read as the price of one SaleUnit
+     * @param {object} item - Item
+     * @returns {object} Unit price cells (empty when the item has no unit price)
+     */
+    unitPrice(item) {
+        const unit = MEASURE_UNITS[String(item.saleUnit || '').trim().toLowerCase()];
+        if (!unit || !(item.perUnitPrice > 0) || !(item.salesPrice > 0)) {
+            return {};
+        }
+
+        return {
+            'Unit price total measure': (Math.round(item.salesPrice / item.perUnitPrice * 100) / 100).toFixed(2),
+            'Unit price total measure unit': unit,
+            'Unit price base measure': '1',
+            'Unit price base measure unit': unit,
+        };
+    }
+
+    /**
+     * Group items into products, keeping the first item of every ItemCode
+     * @param {array} items - Items from inventoryService.normalizeItems
+     * @returns {array} Products of { productKey, title, handle, optionNames, variants: [{ item, options }] }
+     */
+    groupProducts(items) {
+        const products = new Map();
+        const seen = new Set();
+
+        for (const item of items) {
+            if (!item.itemCode || seen.has(item.itemCode)) {
+                continue;
+            }
+            seen.add(item.itemCode);
+
+            const { productKey, options } = this.splitItemCode(item);
+            if (!products.has(productKey)) {
+                const title = this.titleOf(item, options);
+                products.set(productKey, {
+                    productKey,
+                    title,
+                    handle: this.handleOf(title, productKey),
+                    optionNames: options.map(option => option.name),
+                    variants: [],
+                });
+            }
+            products.get(productKey).variants.push({ item, options });
+        }
+
+        return [...products.values()];
+    }
+
+    /**
+     * CSV rows of a product: the first carries the product columns, every row one variant
+     * @param {object} product - Product from groupProducts (existing: Shopify has it)
+     * @returns {array} Rows keyed by column
+     */
+    toRows(product) {
+        return product.variants.map(({ item, options }, i) => {
+            const row = {
+                'URL handle': product.handle,
+                SKU: item.itemCode,
+                Barcode: item.eanCode,
+                Price: item.salesPrice.toFixed(2),
+                // MRP only shows as a compare-at price when it is above the selling price
+                'Compare-at price': item.mrp > item.salesPrice ? item.mrp.toFixed(2) : '',
+                'Charge tax': item.taxRate > 0 ? 'TRUE' : 'FALSE',
+                ...this.unitPrice(item),
+                'Inventory tracker': 'shopify',
+                'Continue selling when out of stock': 'deny',
+                'Requires shipping': 'TRUE',
+                'Fulfillment service': 'manual',
+                'Google Shopping / MPN': item.itemCode,
+            };
+
+            if (options.length === 0) {
+                row['Option1 value'] = 'Default Title';
+            }
+            options.forEach((option, n) => {
+                row[`Option${n + 1} value`] = option.value;
+            });
+
+            if (i === 0) {
+                row.Title = product.title;
+                // Products Shopify has keep their vendor, status and publishing
+                if (!product.existing) {
+                    Object.assign(row, {
+                        Vendor: config.catalog.vendor,
+                        'Published on online store': config.catalog.status === 'active' ? 'TRUE' : 'FALSE',
+                        Status: config.catalog.status,
+                        'Gift card': 'FALSE',
+                        'Google Shopping / Condition': 'new',
+                    });
+                }
+                if (options.length === 0) {
+                    row['Option1 name'] = 'Title';
+                }
+                product.optionNames.forEach((name, n) => {
+                    row[`Option${n + 1} name`] = name;
+                });
+            }
+
+            return row;
+        });
+    }
+
+    /**
+     * Items of every online location (the mapped ones, or ESHOPAID_STORE_LOCATION)
+     * @returns {Promise<array>} Items
+     */
+    async fetchItems() {
+        const mapped = Object.keys(config.inventory.locationMap);
+        const items = [];
+
+        for (const location of mapped.length > 0 ? mapped : [config.eshopaid.storeLocation]) {
+            const inventory = await inventoryService.getInventoryByLocation(location);
+            if (!inventory.success) {
+                throw new Error(`Inventory of ${location} failed: ${inventory.error}`);
+            }
+            items.push(...inventory.inventoryByLocation.flatMap(loc => loc.items));
+        }
+
+        return items;
+    }
+
+    /**
+     * Build the product import CSV from eShopaid
+     * With newOnly, SKUs Shopify already has (by SKU or barcode) are left out; new variants of a product
+     * Shopify has are written under that product's handle with only its title and option names
+     * @param {object} options - { newOnly }
+     * @returns {Promise<object>} { success, csv, products, variants, existing, existingHandles }
+     */
+    async run(options = {}) {
+        logger.info(`Exporting ${options.newOnly ? 'new ' : ''}eShopaid products`);
+        let products = this.groupProducts(await this.fetchItems());
+        let existing = 0;
+        const existingHandles = [];
+
+        if (options.newOnly) {
+            const variants = await shopifyService.findVariantsByCodes(
+                products.flatMap(product => product.variants.flatMap(({ item }) => [item.itemCode, item.eanCode]))
+            );
+
+            products = products.flatMap(product => {
+                const found = product.variants.map(({ item }) =>
+                    shopifyService.resolveVariant({ sku: item.itemCode, eanCode: item.eanCode }, variants));
+                const known = found.find(Boolean);
+                existing += found.filter(Boolean).length;
+
+                const fresh = product.variants.filter((_, i) => !found[i]);
+                if (fresh.length === 0) {
+                    return [];
+                }
+                if (known?.productHandle) {
+                    existingHandles.push(known.productHandle);
+                    return [{ ...product, handle: known.productHandle, existing: true, variants: fresh }];
+                }
+                return [{ ...product, variants: fresh }];
+            });
+        }
+
+        const variants = products.reduce((sum, product) => sum + product.variants.length, 0);
+        logger.info(`Exported ${products.length} products with ${variants} variants` +
+            (options.newOnly ? `, left out ${existing} SKUs Shopify has` : ''));
+
+        return {
+            success: true,
+            csv: toCsv(COLUMNS, products.flatMap(product => this.toRows(product))),
+            products: products.length,
+            variants,
+            existing,
+            existingHandles,
+        };
+    }
+}
+
+const productExport = new ProductExport();
+productExport.COLUMNS = COLUMNS;
+
+module.exports = productExport;
@@ -0,0 +1,379 @@
+/**
+ * Scheduler
+ * Registry of scheduled jobs: each runs on a cron expression or interval from config, never overlaps
+ * a run holding the same lock, and keeps its last runs and paused flag in the sync state
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const config = require('./config');
+const tenants = require('./tenants');
+const inventorySync = require('./inventory-sync');
+const priceSync = require('./price-sync');
+const orderReconciliation = require('./order-reconciliation');
+const tokenManager = require('./token-manager');
+const variantIndex = require('./variant-index');
+const syncState = require('./sync-state');
+const metrics = require('./metrics');
+const logger = require('./logger').child('Scheduler');
+
+class Scheduler {
+    constructor() {
+        // Job name -> definition
+        this.jobs = new Map();
+        // "tenant:lock" -> { job, trigger, startedAt, promise } of the run holding the lock
+        this.running = new Map();
+        // Started cron tasks and interval timers, for stop()
+        this.tasks = [];
+    }
+
+    /**
+     * Add a job to the registry
+     * @param {string} name - Job name, e.g. inventory-delta
+     * @param {object} definition - {
+     *   description,
+     *   schedule: () => ({ cron } | { everyMinutes } | null), read as the tenant (null: not scheduled),
+     *   lock: jobs sharing a lock never run at the same time (default: the job name),
+     *   run: async options => result ({ success: false } counts as a failure; options come from runNow
+     *     or trigger, and from scheduledOptions for scheduled runs),
+     *   scheduledOptions: options of scheduled runs (default none),
+     *   summarize: result => one-line summary for the log and the run record }
+     */
+    register(name, definition) {
+        this.jobs.set(name, { lock: name, summarize: () => '', ...definition, name });
+    }
+
+    /**
+     * Find a job
+     * @param {string} name - Job name
+     * @returns {object|undefined} Definition
+     */
+    get(name) {
+        return this.jobs.get(name);
+    }
+
+    /**
+     * Key of a job's lock for the current tenant
+     * @param {object} job - Definition
+     * @returns {string}
+     */
+    lockKey(job) {
+        return `${tenants.currentId()}:${job.lock}`;
+    }
+
+    /**
+     * Check a schedule from config
+     * Cron expressions must be valid; intervals are whole minutes, so any length works
+     * @param {object} schedule - { cron } or { everyMinutes }
+     * @returns {string|null} Problem, or null when the schedule can be used
+     */
+    validateSchedule(schedule) {
+        if (schedule.cron !== undefined) {
+            return cron.validate(schedule.cron) ? null : `Invalid cron expression "${schedule.cron}"`;
+        }
+        return Number.isInteger(schedule.everyMinutes) && schedule.everyMinutes > 0
+            ? null
+            : `Invalid interval of ${schedule.everyMinutes} minutes`;
+    }
+
+    /**
+     * Describe a schedule, e.g. "every 90 minutes" or "0 2 * * *"
+     * @param {object|null} schedule - Schedule
+     * @returns {string|null}
+     */
+    describeSchedule(schedule) {
+        if (!schedule) {
+            return null;
+        }
+        return schedule.cron !== undefined ? schedule.cron : `every ${schedule.everyMinutes} minutes`;
+    }
+
+    /**
+     * Jobs as the current tenant sees them
+     * @returns {array} [{ name, description, schedule, lock, paused, running, lastRun }]
+     */
+    list() {
+        return [...this.jobs.values()].map(job => {
+            const state = syncState.get(`schedule:${job.name}`);
+            const holder = this.running.get(this.lockKey(job));
+
+            return {
+                name: job.name,
+                description: job.description,
+                schedule: this.describeSchedule(job.schedule()),
+                lock: job.lock,
+                paused: Boolean(state.paused),
+                running: holder?.job === job.name ? { trigger: holder.trigger, startedAt: holder.startedAt } : null,
+                lastRun: state.lastRun || null,
+            };
+        });
+    }
+
+    /**
+     * Take a job's lock for the current tenant and run it
+     * A job whose lock is held is skipped rather than queued
+     * @param {object} job - Definition
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @param {object} options - Passed to the job's run
+     * @returns {Promise<object>|null} Promise of { record, result }, or null when the lock is held
+     */
+    launch(job, trigger, options) {
+        const key = this.lockKey(job);
+        const holder = this.running.get(key);
+        if (holder) {
+            logger.warn(`Skipping ${job.name}: ${holder.job} is still running`);
+            metrics.increment('eshopaid_scheduled_runs_total', { job: job.name, result: 'skipped' });
+            syncState.update(`schedule:${job.name}`, { lastSkippedAt: new Date().toISOString() });
+            return null;
+        }
+
+        logger.info(`Running ${job.name} (${trigger})`);
+        const lock = { job: job.name, trigger, startedAt: new Date().toISOString(), promise: null };
+        this.running.set(key, lock);
+        const outcome = this.perform(job, trigger, options);
+        lock.promise = outcome.then(({ record }) => record).finally(() => this.running.delete(key));
+
+        return outcome;
+    }
+
+    /**
+     * Run a job now as the current tenant and wait for it
+     * A job whose lock is held is skipped rather than queued
+     * @param {string} name - Job name
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @param {object} options - Passed to the job's run
+     * @returns {Promise<object>} Run record, or { success: false, skipped: true, error } when the lock is held
+     */
+    async execute(name, trigger = 'manual', options = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return { success: false, error: `Unknown job ${name}` };
+        }
+
+        const outcome = this.launch(job, trigger, options);
+        if (!outcome) {
+            return { success: false, skipped: true, error: `${this.running.get(this.lockKey(job)).job} is still running` };
+        }
+        return (await outcome).record;
+    }
+
+    /**
+     * Run a job by hand as the current tenant and answer with the job's own result (e.g. the sync
+     * counts), holding its lock and recording the run like any other
+     * @param {string} name - Job name
+     * @param {object} options - Passed to the job's run, e.g. { location } or { dryRun }
+     * @returns {Promise<object>} Job result, or { success: false, skipped: true, error } when the lock is held
+     */
+    async runNow(name, options = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return { success: false, error: `Unknown job ${name}` };
+        }
+
+        const outcome = this.launch(job, 'manual', options);
+        if (!outcome) {
+            return { success: false, skipped: true, error: `${this.running.get(this.lockKey(job)).job} is still running` };
+        }
+
+        const { record, result } = await outcome;
+        return result || { success: false, error: record.error };
+    }
+
+    /**
+     * Run a job and record the run, its result and duration
+     * @param {object} job - Definition
+     * @param {string} trigger - 'schedule' or 'manual'
+     * @param {object} options - Passed to the job's run
+     * @returns {Promise<object>} { record: { trigger, startedAt, finishedAt, durationMs, success, summary, error },
+     *   result: what the job returned (null when it threw) }
+     */
+    async perform(job, trigger, options = {}) {
+        const startedAt = Date.now();
+        const record = { trigger, startedAt: new Date(startedAt).toISOString(), success: true, summary: '', error: null };
+        let result = null;
+
+        try {
+            result = await job.run(options);
+            record.success = result?.success !== false;
+            record.summary = job.summarize(result || {});
+            record.error = record.success ? null : result.error || 'Run failed';
+        } catch (error) {
+            logger.error(`${job.name} failed`, { error });
+            record.success = false;
+            record.error = error.message;
+        }
+
+        record.finishedAt = new Date().toISOString();
+        record.durationMs = Date.now() - startedAt;
+        syncState.recordRun(`schedule:${job.name}`, record);
+        metrics.increment('eshopaid_scheduled_runs_total', { job: job.name, result: record.success ? 'success' : 'failure' });
+        logger.info(`${job.name} ${record.success ? 'finished' : 'failed'} in ${record.durationMs} ms` +
+            (record.summary ? `: ${record.summary}` : ''));
+
+        return { record, result };
+    }
+
+    /**
+     * Start a job in the background as the current tenant
+     * @param {string} name - Job name
+     * @param {object} options - Passed to the job's run, e.g. { dryRun: false }
+     * @returns {object} Result ({ success, message } or { success: false, error })
+     */
+    trigger(name, options = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return { success: false, error: `Unknown job ${name}` };
+        }
+
+        const holder = this.running.get(this.lockKey(job));
+        if (holder) {
+            return { success: false, error: `${holder.job} is still running` };
+        }
+
+        this.execute(name, 'manual', options).catch(error => logger.error(`${name} failed`, { error }));
+        return { success: true, message: `${name} started` };
+    }
+
+    /**
+     * The run holding a job's lock for the current tenant
+     * @param {string} name - Job name
+     * @returns {Promise|null} Promise of the run, or null when the lock is free
+     */
+    whenDone(name) {
+        const job = this.jobs.get(name);
+        return job ? this.running.get(this.lockKey(job))?.promise || null : null;
+    }
+
+    /**
+     * Pause or resume a job's schedule for the current tenant (manual runs still work)
+     * @param {string} name - Job name
+     * @param {boolean} paused - Pause when true
+     * @returns {object|null} Job as listed, or null for an unknown job
+     */
+    setPaused(name, paused) {
+        if (!this.jobs.has(name)) {
+            return null;
+        }
+
+        syncState.update(`schedule:${name}`, { paused });
+        logger.info(`${paused ? 'Paused' : 'Resumed'} ${name}`);
+        return this.list().find(job => job.name === name);
+    }
+
+    /**
+     * A scheduled tick: runs the job as the tenant under its own correlation ID, unless paused
+     * @param {string} tenant - Tenant ID
+     * @param {string} name - Job name
+     * @returns {Promise<object|null>} Run record, or null when paused
+     */
+    tick(tenant, name) {
+        return tenants.run(tenant, () => logger.runWithCorrelationId(`cron-${crypto.randomUUID()}`, async () => {
+            if (syncState.get(`schedule:${name}`).paused) {
+                logger.info(`Skipping ${name}: paused`);
+                return null;
+            }
+            return this.execute(name, 'schedule', this.jobs.get(name).scheduledOptions || {});
+        }));
+    }
+
+    /**
+     * Schedule every job for every tenant, each with the tenant's own settings
+     */
+    start() {
+        for (const tenant of tenants.list()) {
+            tenants.run(tenant, () => {
+                for (const job of this.jobs.values()) {
+                    const schedule = job.schedule();
+                    if (!schedule) {
+                        continue;
+                    }
+
+                    const problem = this.validateSchedule(schedule);
+                    if (problem) {
+                        logger.error(`Not scheduling ${job.name}: ${problem}`);
+                        continue;
+                    }
+
+                    const tick = () => this.tick(tenant, job.name).catch(error =>
+                        logger.error(`${job.name} failed`, { error }));
+                    if (schedule.cron !== undefined) {
+                        this.tasks.push(cron.schedule(schedule.cron, tick));
+                    } else {
+                        const timer = setInterval(tick, schedule.everyMinutes * 60 * 1000);
+                        this.tasks.push({ stop: () => clearInterval(timer) });
+                    }
+                    logger.info(`Scheduled ${job.name}: ${this.describeSchedule(schedule)}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Stop every schedule (running jobs finish)
+     */
+    stop() {
+        for (const task of this.tasks) {
+            task.stop();
+        }
+        this.tasks = [];
+    }
+}
+
+const scheduler = new Scheduler();
+
+scheduler.register('inventory-delta', {
+    description: 'Push stock changed in eShopaid since the last run into Shopify',
+    schedule: () => config.sync.inventoryDeltaCron
+        ? { cron: config.sync.inventoryDeltaCron }
+        : config.sync.inventoryIntervalMinutes > 0 ? { everyMinutes: config.sync.inventoryIntervalMinutes } : null,
+    lock: 'inventory',
+    run: (options = {}) => inventorySync.run(options.location, { mode: 'delta' }),
+    summarize: result => `${result.itemCount || 0} items: ${result.created || 0} created, ` +
+        `${result.updated || 0} updated, ${result.unmatched || 0} unmatched`,
+});
+
+scheduler.register('inventory-full', {
+    description: 'Push every eShopaid stock level into Shopify',
+    schedule: () => config.sync.inventoryFullSyncCron ? { cron: config.sync.inventoryFullSyncCron } : null,
+    lock: 'inventory',
+    run: (options = {}) => inventorySync.run(options.location, { mode: 'full' }),
+    summarize: result => `${result.itemCount || 0} items: ${result.created || 0} created, ` +
+        `${result.updated || 0} updated, ${result.unmatched || 0} unmatched`,
+});
+
+scheduler.register('reconciliation', {
+    description: "Compare the previous day's Shopify orders with eShopaid",
+    schedule: () => config.reconciliation.cron ? { cron: config.reconciliation.cron } : null,
+    run: () => orderReconciliation.run(),
+    summarize: result => `${result.date}: ${result.checked} checked, ` +
+        `${result.discrepancies?.length || 0} discrepancies, ${result.enqueued?.length || 0} queued`,
+});
+
+scheduler.register('prices', {
+    description: 'Apply eShopaid prices to Shopify (only with PRICE_SYNC_ENABLED)',
+    schedule: () => config.prices.cron && config.prices.enabled ? { cron: config.prices.cron } : null,
+    // Scheduled runs write; manual runs are dry runs unless dryRun is false
+    scheduledOptions: { dryRun: false },
+    run: (options = {}) => priceSync.run({ dryRun: options.dryRun !== false }),
+    summarize: result => `${result.dryRun ? 'dry run: ' : ''}${result.summary?.update || 0} updated, ` +
+        `${result.summary?.threshold || 0} over threshold, ${result.summary?.failed || 0} failed`,
+});
+
+scheduler.register('variant-index', {
+    description: 'Rebuild the index of Shopify variants by SKU and barcode from the whole catalog',
+    schedule: () => config.catalog.variantIndexCron ? { cron: config.catalog.variantIndexCron } : null,
+    run: () => variantIndex.rebuild(),
+    summarize: result => `${result.variants} variants of ${result.products} products`,
+});
+
+scheduler.register('token-warmup', {
+    description: 'Renew the eShopaid token before it expires so requests never wait for one',
+    schedule: () => config.eshopaid.tokenWarmupCron ? { cron: config.eshopaid.tokenWarmupCron } : null,
+    run: async () => {
+        await tokenManager.getToken();
+        return { success: true, expiresAt: new Date(tokenManager.tokenExpiry).toISOString() };
+    },
+    summarize: result => `token valid until ${result.expiresAt}`,
+});
+
+module.exports = scheduler;
@@ -4,13 +4,22 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const cron = require('node-cron');
 const eshopaid = require('./index');
+const { verifyShopifyWebhook } = require('./webhook-auth');
+const { requireAdmin } = require('./admin-auth');
+const { renderDashboard } = require('./admin-page');
+const metrics = require('./metrics');
+const tenants = require('./tenants');
+const logger = require('./logger').child('Server');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// req.ip is the client behind TRUST_PROXY proxies rather than the last proxy
+app.set('trust proxy', eshopaid.config.server.trustProxy);
+
 // Parse JSON bodies
 app.use(express.json({
     verify: (req, res, buf) => {
@@ -19,11 +28,61 @@ app.use(express.json({
     }
 }));
 
+// Everything logged while handling a request carries its correlation ID (the webhook ID for webhooks)
+app.use((req, res, next) => {
+    const correlationId = req.get('X-Shopify-Webhook-Id') || req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Correlation-Id', correlationId);
+    logger.runWithCorrelationId(correlationId, next);
+});
+
+/**
+ * Handle the rest of a request as the tenant picked by X-Tenant-Id or ?tenant= (the default store otherwise)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function selectTenant(req, res, next) {
+    const tenant = req.get('X-Tenant-Id') || req.query.tenant || tenants.DEFAULT_TENANT;
+    if (!tenants.has(tenant)) {
+        return res.status(404).json({ success: false, error: `Unknown tenant ${tenant}` });
+    }
+    tenants.run(tenant, next);
+}
+
+/**
+ * Let only the admin use the API; the storefront stock check stays public for the theme
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireAdminOutsideStorefront(req, res, next) {
+    if (req.path === '/storefront' || req.path.startsWith('/storefront/')) {
+        return next();
+    }
+    requireAdmin(req, res, next);
+}
+
+app.use('/api', requireAdminOutsideStorefront, selectTenant);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', service: 'eshopaid-integration' });
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+    const totals = {};
+    for (const tenant of tenants.list()) {
+        for (const [status, count] of Object.entries(tenants.run(tenant, () => eshopaid.queue.stats()))) {
+            totals[status] = (totals[status] || 0) + count;
+        }
+    }
+    for (const [status, count] of Object.entries(totals)) {
+        metrics.set('eshopaid_queue_jobs', { status }, count);
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Test connection endpoint
 app.get('/api/test-connection', async (req, res) => {
     try {
@@ -34,142 +93,422 @@ app.get('/api/test-connection', async (req, res) => {
     }
 });
 
-// Inventory sync endpoint
+// Inventory fetch endpoint (read-only, does not write to Shopify)
 app.get('/api/inventory', async (req, res) => {
     try {
         const location = req.query.location;
-        const result = await eshopaid.sync.inventory(location);
+        const result = await eshopaid.inventory.getInventoryByLocation(location);
         res.json(result);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Webhook: orders/create
-app.post('/webhooks/orders/create', async (req, res) => {
-    try {
-        const order = req.body;
-        console.log(`[Server] Received order create webhook: ${order.name}`);
+// Webhook topics processed through the job queue
+const webhookTopics = {
+    'orders/create': {
+        describe: order => `order create webhook: ${order.name}`,
+        // Reconciliation forces a push when the ledger holds an order eShopaid doesn't have
+        handle: (order, job) => eshopaid.webhooks.handleOrderCreate(order, { force: Boolean(job.meta.force) }),
+    },
+    'orders/updated': {
+        describe: order => `order update webhook: ${order.name}`,
+        handle: order => eshopaid.webhooks.handleOrderUpdate(order),
+    },
+    'orders/cancelled': {
+        describe: order => `order cancelled webhook: ${order.name}`,
+        handle: order => eshopaid.webhooks.handleOrderCancelled(order),
+    },
+    'fulfillments/create': {
+        describe: fulfillment => `fulfillment create webhook: ${fulfillment.name} (order ${fulfillment.order_id})`,
+        handle: fulfillment => eshopaid.webhooks.handleFulfillmentUpdate(fulfillment),
+    },
+    'fulfillments/update': {
+        describe: fulfillment => `fulfillment update webhook: ${fulfillment.name} (order ${fulfillment.order_id})`,
+        handle: fulfillment => eshopaid.webhooks.handleFulfillmentUpdate(fulfillment),
+    },
+    'customers/create': {
+        describe: customer => `customer create webhook: ${customer.email}`,
+        handle: customer => eshopaid.webhooks.handleCustomerCreate(customer),
+    },
+    'customers/update': {
+        describe: customer => `customer update webhook: ${customer.email}`,
+        handle: customer => eshopaid.webhooks.handleCustomerUpdate(customer),
+    },
+    'refunds/create': {
+        describe: refund => `refund create webhook: ${refund.id} (order ${refund.order_id})`,
+        handle: refund => eshopaid.webhooks.handleRefundCreate(refund),
+    },
+    'products/create': {
+        describe: product => `product create webhook: ${product.handle}`,
+        trim: product => eshopaid.webhooks.trimProduct(product),
+        handle: product => eshopaid.webhooks.handleProductUpdate(product),
+    },
+    'products/update': {
+        describe: product => `product update webhook: ${product.handle}`,
+        trim: product => eshopaid.webhooks.trimProduct(product),
+        handle: product => eshopaid.webhooks.handleProductUpdate(product),
+    },
+    'products/delete': {
+        describe: product => `product delete webhook: ${product.id}`,
+        handle: product => eshopaid.webhooks.handleProductDelete(product),
+    },
+};
 
-        // Respond immediately to Shopify
-        res.status(200).send('OK');
+for (const [topic, { describe, trim, handle }] of Object.entries(webhookTopics)) {
+    eshopaid.queue.registerHandler(topic, async (payload, job) => {
+        const result = await handle(payload, job);
+        eshopaid.ledger.completeWebhook(job.meta.webhookId, result);
+        return result;
+    }, { trim: trim || (payload => eshopaid.webhooks.trimPayload(payload)) });
 
-        // Process webhook asynchronously
-        const result = await eshopaid.webhooks.handleOrderCreate(order);
-        console.log('[Server] Order sync result:', result);
-    } catch (error) {
-        console.error('[Server] Order webhook error:', error.message);
-        res.status(500).send('Error');
+    app.post(`/webhooks/${topic}`, verifyShopifyWebhook(topic), (req, res) => {
+        try {
+            logger.info(`Received ${describe(req.body)}`);
+
+            // Shopify delivers at least once, so a known webhook ID is acknowledged without reprocessing
+            const webhookId = req.get('X-Shopify-Webhook-Id') || null;
+            const seen = eshopaid.ledger.getWebhook(webhookId);
+            if (seen) {
+                logger.info(`Duplicate ${topic} webhook ${webhookId}, already handled by job ${seen.jobId}`);
+                metrics.increment('eshopaid_webhooks_received_total', { topic, result: 'duplicate' });
+                return res.status(200).json({ received: true, duplicate: true, jobId: seen.jobId, result: seen.result });
+            }
+
+            // Persist the job before acknowledging so Shopify redelivers if this fails
+            const job = eshopaid.queue.enqueue(topic, req.body, { meta: { webhookId } });
+            eshopaid.ledger.recordWebhook(webhookId, topic, job.id);
+            metrics.increment('eshopaid_webhooks_received_total', { topic, result: 'accepted' });
+
+            res.status(200).json({ received: true, jobId: job.id });
+        } catch (error) {
+            logger.error(`${topic} webhook error`, { error });
+            metrics.increment('eshopaid_webhooks_received_total', { topic, result: 'error' });
+            res.status(500).send('Error');
+        }
+    });
+}
+
+// Job queue endpoints
+app.get('/api/jobs', (req, res) => {
+    const { status, type } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+
+    res.json({
+        stats: eshopaid.queue.stats(),
+        jobs: eshopaid.queue.list({ status, type, limit }),
+    });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = eshopaid.queue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
     }
+    res.json(job);
 });
 
-// Webhook: orders/updated
-app.post('/webhooks/orders/updated', async (req, res) => {
-    try {
-        const order = req.body;
-        console.log(`[Server] Received order update webhook: ${order.name}`);
+app.post('/api/jobs/:id/retry', (req, res) => {
+    const job = eshopaid.queue.retry(req.params.id);
+    if (!job) {
+        return res.status(409).json({ success: false, error: 'Job not found or not retryable' });
+    }
+    res.json({ success: true, job });
+});
 
-        res.status(200).send('OK');
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = eshopaid.queue.discard(req.params.id);
+    if (!job) {
+        return res.status(409).json({ success: false, error: 'Job not found or not discardable' });
+    }
+    res.json({ success: true, job });
+});
+
+// Manual sync endpoints
+app.post('/api/sync/inventory', async (req, res) => {
+    try {
+        const { location } = req.body;
+        const mode = req.query.mode || req.body.mode || 'full';
+        if (!['full', 'delta'].includes(mode)) {
+            return res.status(400).json({ success: false, error: 'mode must be full or delta' });
+        }
 
-        const result = await eshopaid.webhooks.handleOrderUpdate(order);
-        console.log('[Server] Order update result:', result);
+        const result = await eshopaid.sync.inventory(location, { mode });
+        res.status(result.skipped ? 409 : 200).json(result);
     } catch (error) {
-        console.error('[Server] Order update webhook error:', error.message);
-        res.status(500).send('Error');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Webhook: orders/cancelled
-app.post('/webhooks/orders/cancelled', async (req, res) => {
+app.post('/api/sync/order', async (req, res) => {
     try {
         const order = req.body;
-        console.log(`[Server] Received order cancelled webhook: ${order.name}`);
-
-        res.status(200).send('OK');
+        const result = await eshopaid.sync.order(order, { force: req.query.force === 'true' });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const result = await eshopaid.webhooks.handleOrderCancelled(order);
-        console.log('[Server] Order cancellation result:', result);
+/**
+ * Sync prices from eShopaid into Shopify
+ * Only reports the changes unless dryRun=false is passed and price sync is enabled
+ */
+app.post('/api/sync/prices', async (req, res) => {
+    try {
+        const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true') !== 'false';
+        const result = await eshopaid.sync.prices({ dryRun });
+        res.status(result.skipped ? 409 : 200).json(result);
     } catch (error) {
-        console.error('[Server] Order cancellation webhook error:', error.message);
-        res.status(500).send('Error');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Webhook: customers/create
-app.post('/webhooks/customers/create', async (req, res) => {
+/**
+ * Backfill historical orders into eShopaid
+ * Dry runs (the default) answer with the payloads; a real run continues in the background
+ */
+app.post('/api/backfill/orders', async (req, res) => {
     try {
-        const customer = req.body;
-        console.log(`[Server] Received customer create webhook: ${customer.email}`);
+        const options = { ...req.query, ...req.body };
+        const dryRun = String(options.dryRun ?? 'true') !== 'false';
+        const backfill = {
+            from: options.from,
+            to: options.to,
+            status: options.status,
+            financialStatus: options.financialStatus,
+            fulfillmentStatus: options.fulfillmentStatus,
+            includeCancelled: String(options.includeCancelled) === 'true',
+            resume: String(options.resume) === 'true',
+            limit: parseInt(options.limit) || (dryRun ? 20 : null),
+            dryRun,
+        };
 
-        res.status(200).send('OK');
+        if (dryRun) {
+            const result = await eshopaid.backfill.run(backfill);
+            return res.status(result.success || result.counts ? 200 : 409).json(result);
+        }
 
-        const result = await eshopaid.webhooks.handleCustomerCreate(customer);
-        console.log('[Server] Customer sync result:', result);
+        const result = eshopaid.backfill.start(backfill);
+        res.status(result.success ? 202 : 409).json(result);
     } catch (error) {
-        console.error('[Server] Customer webhook error:', error.message);
-        res.status(500).send('Error');
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Webhook: refunds/create
-app.post('/webhooks/refunds/create', async (req, res) => {
+app.get('/api/backfill/orders', (req, res) => {
+    res.json(eshopaid.backfill.status());
+});
+
+/**
+ * Reconcile a day's Shopify orders with eShopaid (yesterday unless ?date=YYYY-MM-DD)
+ */
+app.post('/api/reconciliation', async (req, res) => {
     try {
-        const data = req.body;
-        console.log(`[Server] Received refund create webhook`);
+        const date = req.query.date || req.body.date;
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        }
+        const enqueue = req.query.enqueueMissing ?? req.body.enqueueMissing;
+        const result = await eshopaid.reconciliation.run({
+            date,
+            enqueueMissing: enqueue === undefined ? undefined : String(enqueue) === 'true',
+        });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        res.status(200).send('OK');
+app.get('/api/reconciliation/:date', (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const report = eshopaid.reconciliation.getReport(req.params.date, format);
+    if (!report) {
+        return res.status(404).json({ success: false, error: 'No reconciliation report for that date' });
+    }
 
-        // Note: You'll need to fetch the original order from Shopify
-        // This is a simplified version
-        const result = await eshopaid.webhooks.handleRefundCreate(data.refund, data.order);
-        console.log('[Server] Refund sync result:', result);
-    } catch (error) {
-        console.error('[Server] Refund webhook error:', error.message);
-        res.status(500).send('Error');
+    if (format === 'csv') {
+        return res.type('text/csv').attachment(`reconciliation-${req.params.date}.csv`).send(report);
     }
+    res.json(report);
 });
 
-// Manual sync endpoints
-app.post('/api/sync/inventory', async (req, res) => {
+// Scheduled jobs: inventory syncs, reconciliation, price sync and token warm-up
+app.get('/api/scheduled-jobs', (req, res) => {
+    res.json({ jobs: eshopaid.scheduler.list() });
+});
+
+app.post('/api/scheduled-jobs/:name/run', (req, res) => {
+    if (!eshopaid.scheduler.get(req.params.name)) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    // Jobs that can dry run (prices) do so unless asked for ?dryRun=false
+    const result = eshopaid.scheduler.trigger(req.params.name, req.query.dryRun === 'false' ? { dryRun: false } : {});
+    res.status(result.success ? 202 : 409).json(result);
+});
+
+for (const [action, paused] of [['pause', true], ['resume', false]]) {
+    app.post(`/api/scheduled-jobs/:name/${action}`, (req, res) => {
+        const job = eshopaid.scheduler.setPaused(req.params.name, paused);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job });
+    });
+}
+
+// Shopify product import CSV of eShopaid items (?newOnly=true leaves out SKUs Shopify has)
+app.get('/api/catalog/export', async (req, res) => {
     try {
-        const { location } = req.body;
-        const result = await eshopaid.sync.inventory(location);
-        res.json(result);
+        const result = await eshopaid.productExport.run({ newOnly: req.query.newOnly === 'true' });
+        res.set({
+            'X-Export-Products': String(result.products),
+            'X-Export-Variants': String(result.variants),
+        });
+        res.type('text/csv').attachment('products.csv').send(result.csv);
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/sync/order', async (req, res) => {
+// Shopify variants indexed by SKU and barcode for inventory sync
+app.get('/api/catalog/variant-index', (req, res) => {
+    res.json(eshopaid.variantIndex.stats());
+});
+
+app.post('/api/catalog/variant-index/rebuild', async (req, res) => {
     try {
-        const order = req.body;
-        const result = await eshopaid.sync.order(order);
-        res.json(result);
+        res.json(await eshopaid.variantIndex.rebuild());
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Schedule periodic inventory sync
-const syncIntervalMinutes = eshopaid.config.sync.inventoryIntervalMinutes;
-if (syncIntervalMinutes > 0) {
-    cron.schedule(`*/${syncIntervalMinutes} * * * *`, async () => {
-        console.log('[Cron] Running scheduled inventory sync...');
-        try {
-            const result = await eshopaid.sync.inventory();
-            console.log(`[Cron] Synced ${result.itemCount || 0} items`);
-        } catch (error) {
-            console.error('[Cron] Inventory sync failed:', error.message);
+// eShopaid items and Shopify variants that don't match each other (?format=csv for the CSV)
+app.get('/api/catalog/data-quality', async (req, res) => {
+    try {
+        if (req.query.format === 'csv') {
+            const csv = await eshopaid.variantIndex.report({ format: 'csv' });
+            return res.type('text/csv').attachment('data-quality.csv').send(csv);
         }
-    });
-    console.log(`[Server] Inventory sync scheduled every ${syncIntervalMinutes} minutes`);
+        res.json(await eshopaid.variantIndex.report());
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Storefront stock check: the theme calls it from STOREFRONT_ORIGINS before checkout
+app.use('/api/storefront', (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin && eshopaid.config.storefront.origins.includes(origin)) {
+        res.set({
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Tenant-Id',
+            'Vary': 'Origin',
+        });
+    }
+
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+app.post('/api/storefront/stock', async (req, res) => {
+    const limit = eshopaid.stockCheck.takeRequest(req.ip);
+    if (!limit.allowed) {
+        res.set('Retry-After', String(limit.retryAfter));
+        return res.status(429).json({ success: false, error: 'Too many stock checks, try again shortly' });
+    }
+
+    const invalid = eshopaid.stockCheck.validateLines(req.body.lines);
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+
+    try {
+        res.json(await eshopaid.stockCheck.check(req.body.lines));
+    } catch (error) {
+        // The storefront lets the cart through when stock can't be checked
+        logger.warn('Storefront stock check failed', { error });
+        res.status(503).json({ success: false, error: 'Stock could not be checked' });
+    }
+});
+
+// Admin dashboard (basic auth or ADMIN_TOKEN)
+app.use('/admin', requireAdmin, express.urlencoded({ extended: false }), selectTenant);
+
+/**
+ * Answer an admin action: forms are sent back to the dashboard with a notice, API calls get JSON
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} result - Action result ({ success, message } or { success: false, error })
+ */
+function respondToAdminAction(req, res, result) {
+    if (!req.is('application/x-www-form-urlencoded')) {
+        return res.status(result.success ? 200 : 409).json(result);
+    }
+
+    const query = new URLSearchParams(result.success ? { notice: result.message } : { error: result.error });
+    if (tenants.currentId() !== tenants.DEFAULT_TENANT) {
+        query.set('tenant', tenants.currentId());
+    }
+    res.redirect(303, `/admin?${query}`);
 }
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`[Server] eShopaid Integration Service running on port ${PORT}`);
-    console.log(`[Server] Webhook endpoints available at /webhooks/*`);
-    console.log(`[Server] API endpoints available at /api/*`);
+app.get('/admin', (req, res) => {
+    const search = (req.query.q || '').trim();
+    const overview = eshopaid.admin.overview({ search });
+    res.type('html').send(renderDashboard(overview, {
+        search,
+        notice: req.query.notice,
+        error: req.query.error,
+        tenant: tenants.currentId(),
+        tenantIds: tenants.list(),
+    }));
 });
 
+app.get('/admin/api/overview', (req, res) => {
+    res.json(eshopaid.admin.overview({ search: (req.query.q || '').trim(), limit: parseInt(req.query.limit) || 50 }));
+});
+
+app.post('/admin/orders/:id/repush', async (req, res) => {
+    try {
+        respondToAdminAction(req, res, await eshopaid.admin.rePushOrder(req.params.id));
+    } catch (error) {
+        respondToAdminAction(req, res, { success: false, error: error.message });
+    }
+});
+
+app.post('/admin/sync/inventory', (req, res) => {
+    const mode = req.body.mode || req.query.mode || 'delta';
+    if (!['full', 'delta'].includes(mode)) {
+        return res.status(400).json({ success: false, error: 'mode must be full or delta' });
+    }
+
+    respondToAdminAction(req, res, eshopaid.admin.triggerInventorySync(mode));
+});
+
+// Start job processing, schedules and server when run directly (not when required by tests)
+if (require.main === module) {
+    eshopaid.scheduler.start();
+    eshopaid.queue.start();
+
+    // Write the queue's batched job changes before exiting
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            eshopaid.queue.stop();
+            process.exit(0);
+        });
+    }
+
+    app.listen(PORT, () => {
+        logger.info(`eShopaid Integration Service running on port ${PORT}`);
+        logger.info(`Webhook endpoints available at /webhooks/*`);
+        logger.info(`API endpoints available at /api/*`);
+    });
+}
+
 module.exports = app;
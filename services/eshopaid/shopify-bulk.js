@@ -0,0 +1,277 @@
+/**
+ * Shopify Bulk Operations
+ * Runs a GraphQL mutation over a JSONL file of variables: the file is staged, the bulk operation
+ * started and polled, and its JSONL result read back. Used for loads too large for batched calls.
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const tenants = require('./tenants');
+const logger = require('./logger').child('ShopifyBulk');
+
+// Quantities Shopify accepts in one inventorySetQuantities call
+const INVENTORY_BATCH_SIZE = 250;
+
+const INVENTORY_SET_QUANTITIES = `
+    mutation SetInventoryQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+            userErrors { field message }
+        }
+    }
+`;
+
+const PRODUCT_VARIANTS_BULK_UPDATE = `
+    mutation UpdateVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+            userErrors { field message }
+        }
+    }
+`;
+
+// Bulk operation states after which polling stops
+const FINISHED = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+/**
+ * Variables of inventorySetQuantities calls, INVENTORY_BATCH_SIZE quantities each
+ * @param {array} quantities - [{ inventoryItemId, locationId, quantity }] (numeric IDs)
+ * @returns {array} Variables of each call
+ */
+function inventoryInputs(quantities) {
+    const inputs = [];
+    for (let i = 0; i < quantities.length; i += INVENTORY_BATCH_SIZE) {
+        inputs.push({
+            input: {
+                name: 'available',
+                reason: 'correction',
+                ignoreCompareQuantity: true,
+                quantities: quantities.slice(i, i + INVENTORY_BATCH_SIZE).map(q => ({
+                    inventoryItemId: `gid://shopify/InventoryItem/${q.inventoryItemId}`,
+                    locationId: `gid://shopify/Location/${q.locationId}`,
+                    quantity: q.quantity,
+                })),
+            },
+        });
+    }
+    return inputs;
+}
+
+/**
+ * User errors of one inventorySetQuantities call, with the quantity each belongs to
+ * @param {array} userErrors - [{ field, message }] of the call
+ * @param {number} call - Position of the call among the inventoryInputs
+ * @returns {array} [{ index, field, message }] (index into all the quantities, null when the field names none)
+ */
+function inventoryErrors(userErrors, call) {
+    return userErrors.map(error => ({
+        ...error,
+        index: Array.isArray(error.field) && /^\d+$/.test(error.field[2])
+            ? call * INVENTORY_BATCH_SIZE + Number(error.field[2])
+            : null,
+    }));
+}
+
+/**
+ * GraphQL errors of a bulk result line: the whole call failed rather than some of its inputs
+ * @param {object} line - Result line ({ data, errors, __lineNumber })
+ * @returns {string|null} Error messages, null when the call ran
+ */
+function lineError(line) {
+    return line.errors?.length ? line.errors.map(e => e.message).join('; ') : null;
+}
+
+/**
+ * Variables of productVariantsBulkUpdate calls, one per product
+ * @param {array} prices - [{ productId, id, price, compareAtPrice }] (GIDs)
+ * @returns {array} Variables of each call
+ */
+function priceInputs(prices) {
+    const byProduct = new Map();
+    for (const { productId, ...variant } of prices) {
+        byProduct.set(productId, [...(byProduct.get(productId) || []), variant]);
+    }
+    return [...byProduct].map(([productId, variants]) => ({ productId, variants }));
+}
+
+class ShopifyBulk {
+    /**
+     * @param {object} client - Shopify service (for graphql)
+     */
+    constructor(client) {
+        this.client = client;
+        // Tenant ID -> promise of its last queued bulk operation (settles, never rejects)
+        this.queues = new Map();
+    }
+
+    /**
+     * Upload a JSONL file of mutation variables to Shopify's staged upload storage
+     * @param {array} variables - Variables of each mutation call
+     * @returns {Promise<string>} stagedUploadPath for bulkOperationRunMutation
+     */
+    async stageUpload(variables) {
+        const data = await this.client.graphql(`
+            mutation StageBulkVariables($input: [StagedUploadInput!]!) {
+                stagedUploadsCreate(input: $input) {
+                    stagedTargets { url parameters { name value } }
+                    userErrors { field message }
+                }
+            }
+        `, {
+            input: [{ resource: 'BULK_MUTATION_VARIABLES', filename: 'bulk.jsonl', mimeType: 'text/jsonl', httpMethod: 'POST' }],
+        });
+
+        const { stagedTargets, userErrors } = data.stagedUploadsCreate;
+        if (userErrors?.length) {
+            throw new Error(`Staged upload refused: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+
+        const [target] = stagedTargets;
+        const form = new FormData();
+        for (const { name, value } of target.parameters) {
+            form.append(name, value);
+        }
+        const jsonl = variables.map(line => JSON.stringify(line)).join('\n');
+        form.append('file', new Blob([jsonl], { type: 'text/jsonl' }), 'bulk.jsonl');
+        await axios.post(target.url, form);
+
+        return target.parameters.find(parameter => parameter.name === 'key').value;
+    }
+
+    /**
+     * Poll a bulk operation until it finishes
+     * @param {string} id - Bulk operation GID
+     * @returns {Promise<object>} Bulk operation { id, status, errorCode, objectCount, url }
+     */
+    async waitFor(id) {
+        const deadline = Date.now() + config.shopify.bulkTimeoutMinutes * 60 * 1000;
+
+        for (;;) {
+            const { node } = await this.client.graphql(`
+                query BulkOperation($id: ID!) {
+                    node(id: $id) {
+                        ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+                    }
+                }
+            `, { id });
+
+            if (FINISHED.includes(node.status)) {
+                return node;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Bulk operation ${id} still ${node.status} after ${config.shopify.bulkTimeoutMinutes} minutes`);
+            }
+            await new Promise(resolve => setTimeout(resolve, config.shopify.bulkPollSeconds * 1000));
+        }
+    }
+
+    /**
+     * Run a mutation once per line of variables as a bulk operation
+     * Shopify runs one bulk mutation per shop at a time, so the tenant's operations are queued
+     * behind each other whichever job or request starts them
+     * @param {string} mutation - GraphQL mutation
+     * @param {array} variables - Variables of each call
+     * @returns {Promise<array>} Result of each call ({ data, errors, __lineNumber })
+     */
+    run(mutation, variables) {
+        const tenant = tenants.currentId();
+        const result = (this.queues.get(tenant) || Promise.resolve()).then(() => this.execute(mutation, variables));
+
+        const settled = result.catch(() => {});
+        this.queues.set(tenant, settled);
+        settled.then(() => {
+            if (this.queues.get(tenant) === settled) {
+                this.queues.delete(tenant);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Stage the variables, start the bulk operation and read its result once it completes
+     * @param {string} mutation - GraphQL mutation
+     * @param {array} variables - Variables of each call
+     * @returns {Promise<array>} Result of each call ({ data, errors, __lineNumber })
+     */
+    async execute(mutation, variables) {
+        const stagedUploadPath = await this.stageUpload(variables);
+
+        const data = await this.client.graphql(`
+            mutation RunBulkMutation($mutation: String!, $stagedUploadPath: String!) {
+                bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+                    bulkOperation { id status }
+                    userErrors { field message }
+                }
+            }
+        `, { mutation, stagedUploadPath });
+
+        const { bulkOperation, userErrors } = data.bulkOperationRunMutation;
+        if (userErrors?.length) {
+            throw new Error(`Bulk operation refused: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+
+        logger.info(`Bulk operation ${bulkOperation.id} started with ${variables.length} calls`);
+        const operation = await this.waitFor(bulkOperation.id);
+        if (operation.status !== 'COMPLETED') {
+            throw new Error(`Bulk operation ${operation.id} ${operation.status}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+        }
+
+        logger.info(`Bulk operation ${operation.id} completed: ${operation.objectCount} objects`);
+        if (!operation.url) {
+            return [];
+        }
+
+        const { data: text } = await axios.get(operation.url, { responseType: 'text' });
+        return String(text).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Set available quantities with a bulk operation
+     * @param {array} quantities - [{ inventoryItemId, locationId, quantity }] (numeric IDs)
+     * @returns {Promise<array>} User errors of every call as { index, field, message }, one per
+     * quantity for a call that failed as a whole
+     */
+    async setInventoryQuantities(quantities) {
+        const inputs = inventoryInputs(quantities);
+        const results = await this.run(INVENTORY_SET_QUANTITIES, inputs);
+
+        return results.flatMap(line => {
+            const message = lineError(line);
+            if (message) {
+                return (inputs[line.__lineNumber]?.input.quantities || []).map((_, i) => ({
+                    index: line.__lineNumber * INVENTORY_BATCH_SIZE + i,
+                    field: null,
+                    message,
+                }));
+            }
+            return inventoryErrors(line.data?.inventorySetQuantities?.userErrors || [], line.__lineNumber);
+        });
+    }
+
+    /**
+     * Update variant prices with a bulk operation
+     * @param {array} prices - [{ productId, id, price, compareAtPrice }]
+     * @returns {Promise<array>} User errors of every call, with the product they belong to
+     */
+    async updateVariantPrices(prices) {
+        const inputs = priceInputs(prices);
+        const results = await this.run(PRODUCT_VARIANTS_BULK_UPDATE, inputs);
+
+        return results.flatMap(line => {
+            const productId = inputs[line.__lineNumber]?.productId;
+            const message = lineError(line);
+            if (message) {
+                return [{ productId, field: null, message }];
+            }
+            return (line.data?.productVariantsBulkUpdate?.userErrors || []).map(error => ({ ...error, productId }));
+        });
+    }
+}
+
+module.exports = {
+    ShopifyBulk,
+    INVENTORY_SET_QUANTITIES,
+    PRODUCT_VARIANTS_BULK_UPDATE,
+    inventoryInputs,
+    inventoryErrors,
+    priceInputs,
+};
@@ -0,0 +1,520 @@
+/**
+ * Shopify Service
+ * Handles Shopify Admin API access for writing eShopaid data into the store
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const tenants = require('./tenants');
+const { ShopifyBulk, INVENTORY_SET_QUANTITIES, PRODUCT_VARIANTS_BULK_UPDATE, inventoryInputs, inventoryErrors, priceInputs } = require('./shopify-bulk');
+const logger = require('./logger').child('ShopifyService');
+
+// Shopify limits search queries to 50 ids per call
+const LOOKUP_BATCH_SIZE = 50;
+
+// Inventory items read per nodes query when looking up levels
+const LEVELS_BATCH_SIZE = 250;
+
+class ShopifyService {
+    constructor() {
+        // Tenant ID -> the shop's primary location
+        this.primaryLocationIds = new Map();
+        // Tenant ID -> { available, maximum, restoreRate, at } from the last GraphQL throttleStatus
+        this.throttleStatus = new Map();
+        // GraphQL document -> requested cost of its last call, to wait for before the next
+        this.queryCosts = new Map();
+        // Bulk operations for loads over SHOPIFY_BULK_THRESHOLD
+        this.bulk = new ShopifyBulk(this);
+    }
+
+    /**
+     * Build the Admin API base URL
+     * @returns {string} Base URL
+     */
+    getBaseUrl() {
+        const storeUrl = (config.shopify.storeUrl || '').replace(/\/+$/, '');
+        return `${storeUrl}/admin/api/${config.shopify.apiVersion}`;
+    }
+
+    /**
+     * Make an authenticated REST request to the Shopify Admin API
+     * Retries when Shopify answers 429 (rate limited)
+     * @param {string} method - HTTP method
+     * @param {string} path - Resource path, e.g. /shop.json
+     * @param {object} data - Request body (optional)
+     * @param {object} params - Query string parameters (optional)
+     * @returns {Promise<object>} Response data
+     */
+    async makeRequest(method, path, data = null, params = null) {
+        const response = await this.send(method, path, data, params);
+        return response.data;
+    }
+
+    /**
+     * Send a REST request and return the whole response, headers included
+     * @param {string} method - HTTP method
+     * @param {string} path - Resource path
+     * @param {object} data - Request body (optional)
+     * @param {object} params - Query string parameters (optional)
+     * @returns {Promise<object>} Axios response
+     */
+    async send(method, path, data = null, params = null) {
+        if (!config.shopify.storeUrl || !config.shopify.accessToken) {
+            throw new Error('Shopify store URL and access token must be configured');
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await axios({
+                    method,
+                    url: `${this.getBaseUrl()}${path}`,
+                    data,
+                    params,
+                    headers: {
+                        'X-Shopify-Access-Token': config.shopify.accessToken,
+                        'Content-Type': 'application/json',
+                    },
+                });
+            } catch (error) {
+                if (error.response?.status === 429 && attempt < config.shopify.maxRetries) {
+                    const retryAfter = parseFloat(error.response.headers?.['retry-after']) || 2;
+                    logger.warn(`Rate limited, retrying in ${retryAfter}s`);
+                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                    continue;
+                }
+
+                logger.error(`${method.toUpperCase()} ${path} failed`, { error });
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Wait until the shop's GraphQL cost bucket, refilled at its restore rate since the last
+     * throttleStatus, holds a query's cost
+     * @param {number} cost - Expected query cost (0 or unknown: no wait)
+     * @param {number} minimumMs - Wait at least this long (after a THROTTLED answer)
+     */
+    async waitForCapacity(cost, minimumMs = 0) {
+        const status = this.throttleStatus.get(tenants.currentId());
+        let waitMs = minimumMs;
+
+        if (status && cost > 0) {
+            const available = Math.min(status.maximum, status.available + (Date.now() - status.at) / 1000 * status.restoreRate);
+            const needed = Math.min(cost, status.maximum);
+            if (available < needed) {
+                waitMs = Math.max(waitMs, Math.ceil((needed - available) / status.restoreRate * 1000));
+            }
+        }
+
+        if (waitMs > 0) {
+            logger.debug(`Waiting ${waitMs} ms for GraphQL capacity (cost ${cost || 'unknown'})`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+
+    /**
+     * Run a GraphQL Admin API query
+     * Respects the cost-based throttle: waits for the bucket to refill before a query whose last
+     * call cost more than is left, and retries THROTTLED answers
+     * @param {string} query - GraphQL document
+     * @param {object} variables - Query variables
+     * @returns {Promise<object>} Response data
+     */
+    async graphql(query, variables = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForCapacity(this.queryCosts.get(query));
+            const response = await this.makeRequest('post', '/graphql.json', { query, variables });
+
+            const cost = response.extensions?.cost;
+            if (cost?.throttleStatus) {
+                this.queryCosts.set(query, cost.requestedQueryCost);
+                this.throttleStatus.set(tenants.currentId(), {
+                    available: cost.throttleStatus.currentlyAvailable,
+                    maximum: cost.throttleStatus.maximumAvailable,
+                    restoreRate: cost.throttleStatus.restoreRate,
+                    at: Date.now(),
+                });
+            }
+
+            if (response.errors) {
+                const throttled = Array.isArray(response.errors) &&
+                    response.errors.some(e => e.extensions?.code === 'THROTTLED');
+                if (throttled && attempt < config.shopify.maxRetries) {
+                    logger.warn('GraphQL query throttled, waiting for capacity');
+                    await this.waitForCapacity(cost?.requestedQueryCost, 1000);
+                    continue;
+                }
+
+                const message = Array.isArray(response.errors)
+                    ? response.errors.map(e => e.message).join('; ')
+                    : String(response.errors);
+                throw new Error(`Shopify GraphQL error: ${message}`);
+            }
+
+            return response.data;
+        }
+    }
+
+    /**
+     * Fetch an order from the Admin API
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Promise<object>} Shopify order
+     */
+    async getOrder(orderId) {
+        const { order } = await this.makeRequest('get', `/orders/${orderId}.json`, null, { status: 'any' });
+        return order;
+    }
+
+    /**
+     * Add tags to an order (tags it already has are kept)
+     * @param {string|number} orderId - Shopify order ID
+     * @param {string[]} tags - Tags to add
+     */
+    async addOrderTags(orderId, tags) {
+        const data = await this.graphql(`
+            mutation TagOrder($id: ID!, $tags: [String!]!) {
+                tagsAdd(id: $id, tags: $tags) {
+                    userErrors { field message }
+                }
+            }
+        `, { id: `gid://shopify/Order/${orderId}`, tags });
+
+        const userErrors = data.tagsAdd.userErrors || [];
+        if (userErrors.length) {
+            throw new Error(`Could not tag order ${orderId}: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+    }
+
+    /**
+     * Fetch one page of orders, oldest first
+     * Shopify only accepts limit alongside a page cursor, so the filters apply to the first page
+     * @param {object} filters - { createdAtMin, createdAtMax, status, financialStatus, fulfillmentStatus, limit, pageInfo }
+     * @returns {Promise<object>} { orders, nextPageInfo } (nextPageInfo is null on the last page)
+     */
+    async listOrders(filters = {}) {
+        const limit = filters.limit || 50;
+        const params = filters.pageInfo ? { limit, page_info: filters.pageInfo } : {
+            limit,
+            status: filters.status || 'any',
+            order: 'created_at asc',
+            ...(filters.createdAtMin ? { created_at_min: filters.createdAtMin } : {}),
+            ...(filters.createdAtMax ? { created_at_max: filters.createdAtMax } : {}),
+            ...(filters.financialStatus ? { financial_status: filters.financialStatus } : {}),
+            ...(filters.fulfillmentStatus ? { fulfillment_status: filters.fulfillmentStatus } : {}),
+        };
+
+        const response = await this.send('get', '/orders.json', null, params);
+        const next = /<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/.exec(response.headers?.link || '');
+
+        return { orders: response.data.orders, nextPageInfo: next ? decodeURIComponent(next[1]) : null };
+    }
+
+    /**
+     * Get the Shopify location that receives eShopaid stock
+     * @returns {Promise<string>} Location ID
+     */
+    async getDefaultLocationId() {
+        if (config.shopify.locationId) {
+            return String(config.shopify.locationId);
+        }
+
+        const tenant = tenants.currentId();
+        if (!this.primaryLocationIds.has(tenant)) {
+            const { shop } = await this.makeRequest('get', '/shop.json');
+            this.primaryLocationIds.set(tenant, String(shop.primary_location_id));
+        }
+
+        return this.primaryLocationIds.get(tenant);
+    }
+
+    /**
+     * Find Shopify variants whose SKU or barcode matches any of the given codes
+     * @param {string[]} codes - SKU/EAN codes
+     * @returns {Promise<Map>} Map of code -> variant
+     */
+    async findVariantsByCodes(codes) {
+        const unique = [...new Set(codes.filter(Boolean).map(String))];
+        const variants = new Map();
+
+        for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+            const batch = unique.slice(i, i + LOOKUP_BATCH_SIZE);
+            const search = batch
+                .map(code => `sku:"${code}" OR barcode:"${code}"`)
+                .join(' OR ');
+
+            const data = await this.graphql(`
+                query VariantsByCode($first: Int!, $query: String!) {
+                    productVariants(first: $first, query: $query) {
+                        nodes {
+                            id
+                            legacyResourceId
+                            sku
+                            barcode
+                            price
+                            compareAtPrice
+                            inventoryItem { legacyResourceId }
+                            product { id handle tags }
+                        }
+                    }
+                }
+            `, { first: 250, query: search });
+
+            for (const node of data.productVariants.nodes) {
+                const variant = {
+                    id: node.id,
+                    variantId: node.legacyResourceId,
+                    inventoryItemId: node.inventoryItem?.legacyResourceId,
+                    sku: node.sku,
+                    barcode: node.barcode,
+                    price: node.price,
+                    compareAtPrice: node.compareAtPrice,
+                    productId: node.product?.id,
+                    productHandle: node.product?.handle,
+                    productTags: node.product?.tags || [],
+                };
+
+                for (const key of [node.sku, node.barcode]) {
+                    if (key && batch.includes(key) && !variants.has(key)) {
+                        variants.set(key, variant);
+                    }
+                }
+            }
+        }
+
+        return variants;
+    }
+
+    /**
+     * Get the HSN (harmonized system) codes of variants
+     * @param {string[]} variantIds - Shopify variant IDs
+     * @returns {Promise<Map>} Map of variant ID -> HSN code (variants without a code are left out)
+     */
+    async getHsnCodes(variantIds) {
+        const unique = [...new Set(variantIds.map(String))];
+        const codes = new Map();
+
+        for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+            const batch = unique.slice(i, i + LOOKUP_BATCH_SIZE);
+            const data = await this.graphql(`
+                query VariantHsnCodes($ids: [ID!]!) {
+                    nodes(ids: $ids) {
+                        ... on ProductVariant {
+                            legacyResourceId
+                            inventoryItem { harmonizedSystemCode }
+                        }
+                    }
+                }
+            `, { ids: batch.map(id => `gid://shopify/ProductVariant/${id}`) });
+
+            for (const node of data.nodes) {
+                if (node?.inventoryItem?.harmonizedSystemCode) {
+                    codes.set(node.legacyResourceId, node.inventoryItem.harmonizedSystemCode);
+                }
+            }
+        }
+
+        return codes;
+    }
+
+    /**
+     * Get current available quantities at a location
+     * @param {string[]} inventoryItemIds - Shopify inventory item IDs
+     * @param {string} locationId - Shopify location ID
+     * @returns {Promise<Map>} Map of inventoryItemId -> available quantity (items not stocked there are left out)
+     */
+    async getInventoryLevels(inventoryItemIds, locationId) {
+        const levels = new Map();
+
+        for (let i = 0; i < inventoryItemIds.length; i += LEVELS_BATCH_SIZE) {
+            const batch = inventoryItemIds.slice(i, i + LEVELS_BATCH_SIZE);
+            const data = await this.graphql(`
+                query InventoryLevels($ids: [ID!]!, $locationId: ID!) {
+                    nodes(ids: $ids) {
+                        ... on InventoryItem {
+                            legacyResourceId
+                            inventoryLevel(locationId: $locationId) {
+                                quantities(names: ["available"]) { name quantity }
+                            }
+                        }
+                    }
+                }
+            `, {
+                ids: batch.map(id => `gid://shopify/InventoryItem/${id}`),
+                locationId: `gid://shopify/Location/${locationId}`,
+            });
+
+            for (const node of data.nodes) {
+                const available = node?.inventoryLevel?.quantities.find(q => q.name === 'available');
+                if (available) {
+                    levels.set(String(node.legacyResourceId), available.quantity);
+                }
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Update prices of several variants of one product
+     * @param {string} productId - Product GID
+     * @param {array} variants - [{ id: variant GID, price, compareAtPrice }]
+     * @returns {Promise<array>} User errors reported by Shopify
+     */
+    async updateVariantPrices(productId, variants) {
+        const data = await this.graphql(PRODUCT_VARIANTS_BULK_UPDATE, { productId, variants });
+
+        return data.productVariantsBulkUpdate.userErrors || [];
+    }
+
+    /**
+     * Update the prices of many variants: one productVariantsBulkUpdate per product, or a bulk
+     * operation when there are more than SHOPIFY_BULK_THRESHOLD variants
+     * A product whose update fails doesn't stop the others
+     * @param {array} prices - [{ productId, id: variant GID, price, compareAtPrice }]
+     * @returns {Promise<array>} Errors as { productId, field, message }
+     */
+    async writeVariantPrices(prices) {
+        if (prices.length > config.shopify.bulkThreshold) {
+            logger.info(`Updating ${prices.length} variant prices with a bulk operation`);
+            return this.bulk.updateVariantPrices(prices);
+        }
+
+        const errors = [];
+        for (const { productId, variants } of priceInputs(prices)) {
+            try {
+                const userErrors = await this.updateVariantPrices(productId, variants);
+                errors.push(...userErrors.map(error => ({ ...error, productId })));
+            } catch (error) {
+                errors.push({ productId, field: null, message: error.message });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Set available quantities, INVENTORY_BATCH_SIZE per inventorySetQuantities call, or with a bulk
+     * operation when there are more than SHOPIFY_BULK_THRESHOLD
+     * @param {array} quantities - [{ inventoryItemId, locationId, quantity }] (numeric IDs)
+     * @returns {Promise<array>} User errors as { index, field, message } (index into quantities when known)
+     */
+    async setInventoryQuantities(quantities) {
+        if (quantities.length > config.shopify.bulkThreshold) {
+            logger.info(`Setting ${quantities.length} inventory quantities with a bulk operation`);
+            return this.bulk.setInventoryQuantities(quantities);
+        }
+
+        const errors = [];
+        for (const [call, variables] of inventoryInputs(quantities).entries()) {
+            const data = await this.graphql(INVENTORY_SET_QUANTITIES, variables);
+            errors.push(...inventoryErrors(data.inventorySetQuantities.userErrors || [], call));
+        }
+        return errors;
+    }
+
+    /**
+     * Resolve a formatForShopify row to a Shopify variant
+     * Tries the row SKU first, then the EAN and ERP item code
+     * @param {object} row - Row from inventoryService.formatForShopify
+     * @param {Map} variants - Map from findVariantsByCodes
+     * @returns {object|null} Variant
+     */
+    resolveVariant(row, variants) {
+        for (const code of [row.sku, row.eanCode, row.itemCode]) {
+            if (code && variants.has(String(code))) {
+                return variants.get(String(code));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Write eShopaid stock into Shopify
+     * @param {array} updates - Rows from inventoryService.formatForShopify
+     * @param {string} locationId - Shopify location ID (optional)
+     * @param {Map} variants - Variants by code, e.g. from variantIndex.findByCodes (optional, searched in Shopify)
+     * @returns {Promise<object>} Counts of created, updated, unchanged and unmatched items
+     */
+    async pushInventory(updates, locationId = null, variants = null) {
+        const targetLocation = locationId || await this.getDefaultLocationId();
+        const result = {
+            success: true,
+            locationId: targetLocation,
+            created: 0,
+            updated: 0,
+            unchanged: 0,
+            unmatched: 0,
+            failed: 0,
+            unmatchedSkus: [],
+            errors: [],
+        };
+
+        if (!variants) {
+            variants = await this.findVariantsByCodes(updates.flatMap(row => [row.sku, row.eanCode, row.itemCode]));
+        }
+
+        const matched = [];
+        for (const row of updates) {
+            const variant = this.resolveVariant(row, variants);
+            if (variant?.inventoryItemId) {
+                matched.push({ row, variant });
+            } else {
+                result.unmatched++;
+                result.unmatchedSkus.push(row.sku);
+            }
+        }
+
+        const levels = await this.getInventoryLevels(
+            [...new Set(matched.map(m => m.variant.inventoryItemId))],
+            targetLocation
+        );
+
+        // Last row wins when several rows resolve to the same inventory item
+        const changes = new Map();
+        for (const { row, variant } of matched) {
+            const current = levels.get(String(variant.inventoryItemId));
+            if (current === row.quantity) {
+                result.unchanged++;
+                continue;
+            }
+            changes.set(String(variant.inventoryItemId), { row, created: current === undefined });
+        }
+
+        // inventorySetQuantities also stocks items the location doesn't carry yet
+        const writes = [...changes].map(([inventoryItemId, { row, created }]) =>
+            ({ inventoryItemId, locationId: targetLocation, quantity: row.quantity, row, created }));
+
+        const failures = new Map();
+        try {
+            for (const error of writes.length > 0 ? await this.setInventoryQuantities(writes) : []) {
+                if (error.index === null) {
+                    result.failed++;
+                    result.errors.push({ sku: null, error: error.message });
+                } else {
+                    failures.set(error.index, error.message);
+                }
+            }
+        } catch (error) {
+            writes.forEach((_, i) => failures.set(i, error.message));
+        }
+
+        writes.forEach(({ row, created }, i) => {
+            if (failures.has(i)) {
+                result.failed++;
+                result.errors.push({ sku: row.sku, error: failures.get(i) });
+            } else if (created) {
+                result.created++;
+            } else {
+                result.updated++;
+            }
+        });
+
+        result.success = result.failed === 0;
+        logger.info(`Inventory pushed: ${result.created} created, ${result.updated} updated, ` +
+            `${result.unchanged} unchanged, ${result.unmatched} unmatched, ${result.failed} failed`);
+
+        return result;
+    }
+}
+
+module.exports = new ShopifyService();
@@ -0,0 +1,204 @@
+/**
+ * Stock Check
+ * Live eShopaid stock for storefront carts, so limited drops can't sell more than the ERP holds
+ */
+
+const config = require('./config');
+const inventoryService = require('./inventory-service');
+const tenants = require('./tenants');
+const logger = require('./logger').child('StockCheck');
+
+// Length of a rate limit window
+const WINDOW_MS = 60000;
+
+class StockCheck {
+    constructor() {
+        // "tenant:location:code" -> { stock, expiresAt } (stock is null for codes eShopaid doesn't know)
+        this.cache = new Map();
+        // "client:<ip>" or "all" -> { count, resetAt }
+        this.windows = new Map();
+    }
+
+    /**
+     * eShopaid locations whose stock is sold online: the mapped ones, or ESHOPAID_STORE_LOCATION
+     * @returns {string[]} Location codes
+     */
+    getLocations() {
+        const mapped = Object.keys(config.inventory.locationMap);
+        return mapped.length > 0 ? mapped : [config.eshopaid.storeLocation];
+    }
+
+    /**
+     * Forget every cached stock level and rate limit window
+     */
+    clearCache() {
+        this.cache.clear();
+        this.windows.clear();
+    }
+
+    /**
+     * Count a request against the per-client and overall limits (one-minute windows)
+     * The endpoint is public, so this keeps anyone from driving GetInventory calls through it
+     * @param {string} client - Client IP
+     * @returns {object} { allowed, retryAfter } (retryAfter in seconds)
+     */
+    takeRequest(client) {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) {
+                this.windows.delete(key);
+            }
+        }
+
+        const limits = [
+            [`client:${client}`, config.storefront.requestsPerMinute],
+            ['all', config.storefront.totalRequestsPerMinute],
+        ].map(([key, limit]) => {
+            if (!this.windows.has(key)) {
+                this.windows.set(key, { count: 0, resetAt: now + WINDOW_MS });
+            }
+            return { window: this.windows.get(key), limit };
+        });
+
+        const full = limits.find(({ window, limit }) => window.count >= limit);
+        if (full) {
+            return { allowed: false, retryAfter: Math.ceil((full.window.resetAt - now) / 1000) };
+        }
+        for (const { window } of limits) {
+            window.count++;
+        }
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /**
+     * Check a request body's lines
+     * @param {*} lines - Lines from the request
+     * @returns {string|null} Problem, or null when the lines can be checked
+     */
+    validateLines(lines) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return 'lines must be a non-empty array';
+        }
+        if (lines.length > config.storefront.maxLines) {
+            return `At most ${config.storefront.maxLines} lines can be checked at once`;
+        }
+
+        const invalid = lines.find(line => !line || typeof line.sku !== 'string' || !line.sku.trim() ||
+            !Number.isInteger(line.quantity) || line.quantity < 1);
+        if (invalid) {
+            return 'Every line needs a sku and a positive whole quantity';
+        }
+
+        const codes = new Set(lines.map(line => line.sku.trim()));
+        return codes.size > config.storefront.maxCodes
+            ? `At most ${config.storefront.maxCodes} different SKUs can be checked at once`
+            : null;
+    }
+
+    /**
+     * Stock of SKU/EAN codes over the online locations, fetched with GetInventory SKUList
+     * Levels are cached for STOCK_CHECK_CACHE_SECONDS per tenant, location and code. When eShopaid
+     * can't be reached, expired levels up to staleSeconds old answer instead.
+     * @param {string[]} codes - SKU/EAN codes
+     * @returns {Promise<object>} { stock: Map of code -> whole units in stock (codes eShopaid doesn't know
+     *   are left out), stale: some levels are expired }
+     */
+    async getStock(codes) {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.expiresAt + config.storefront.staleSeconds * 1000 <= now) {
+                this.cache.delete(key);
+            }
+        }
+
+        const stock = new Map();
+        let stale = false;
+        for (const location of this.getLocations()) {
+            const prefix = `${tenants.currentId()}:${location}`;
+            const uncached = codes.filter(code => !(this.cache.get(`${prefix}:${code}`)?.expiresAt > now));
+
+            let inventory = null;
+            if (uncached.length > 0) {
+                try {
+                    inventory = await inventoryService.getInventoryBySKUList(uncached, location);
+                } catch (error) {
+                    inventory = { success: false, error: error.message };
+                }
+            }
+
+            if (inventory && !inventory.success) {
+                if (uncached.some(code => !this.cache.has(`${prefix}:${code}`))) {
+                    throw new Error(`Stock lookup at ${location} failed: ${inventory.error}`);
+                }
+                logger.warn(`Stock lookup at ${location} failed, answering from expired levels: ${inventory.error}`);
+                stale = true;
+            } else if (inventory) {
+                const found = new Map();
+                for (const item of inventory.inventoryByLocation.flatMap(loc => loc.items)) {
+                    for (const code of new Set([item.eanCode, item.itemCode])) {
+                        if (code) {
+                            found.set(code, (found.get(code) || 0) + Math.max(0, Math.floor(item.stock)));
+                        }
+                    }
+                }
+
+                const expiresAt = now + config.storefront.stockCacheSeconds * 1000;
+                for (const code of uncached) {
+                    this.cache.set(`${prefix}:${code}`, { stock: found.has(code) ? found.get(code) : null, expiresAt });
+                }
+            }
+
+            for (const code of codes) {
+                const entry = this.cache.get(`${prefix}:${code}`);
+                if (entry.stock !== null) {
+                    stock.set(code, (stock.get(code) || 0) + entry.stock);
+                }
+            }
+        }
+
+        return { stock, stale };
+    }
+
+    /**
+     * Check cart lines against live stock
+     * Lines sharing a SKU draw from the same stock, in the order given. SKUs eShopaid doesn't know
+     * (gift cards, for example) come back as unknown and aren't limited.
+     * @param {array} lines - [{ sku, quantity, key }] (key is passed back, e.g. the Shopify cart line key)
+     * @returns {Promise<object>} { success, available, stale, lines: [{ key, sku, requested, available, allowed, status }] }
+     *   (stale when eShopaid couldn't be reached and expired levels answered)
+     */
+    async check(lines) {
+        const { stock, stale } = await this.getStock([...new Set(lines.map(line => line.sku.trim()))]);
+        const remaining = new Map(stock);
+
+        const results = lines.map(line => {
+            const sku = line.sku.trim();
+            const result = { key: line.key ?? null, sku, requested: line.quantity };
+
+            if (!remaining.has(sku)) {
+                return { ...result, available: null, allowed: line.quantity, status: 'unknown' };
+            }
+
+            const available = remaining.get(sku);
+            const allowed = Math.min(line.quantity, available);
+            remaining.set(sku, available - allowed);
+
+            let status = 'ok';
+            if (allowed === 0) {
+                status = 'out_of_stock';
+            } else if (allowed < line.quantity) {
+                status = 'insufficient';
+            }
+            return { ...result, available, allowed, status };
+        });
+
+        const short = results.filter(line => line.status === 'out_of_stock' || line.status === 'insufficient');
+        if (short.length > 0) {
+            logger.info(`Stock check limited ${short.map(line => `${line.sku} to ${line.allowed}`).join(', ')}`);
+        }
+
+        return { success: true, available: short.length === 0, stale, lines: results };
+    }
+}
+
+module.exports = new StockCheck();
@@ -0,0 +1,196 @@
+/**
+ * Sync Ledger
+ * Records which Shopify orders and webhook deliveries have already reached eShopaid
+ */
+
+const config = require('./config');
+const JsonStore = require('./json-store');
+
+class SyncLedger {
+    constructor() {
+        this.store = new JsonStore('sync-ledger.json', { orders: {}, refunds: {}, webhooks: {} });
+    }
+
+    /**
+     * Get the recorded sync of a Shopify order
+     * @param {string|number} shopifyOrderId - Shopify order ID
+     * @returns {object|null} Ledger entry
+     */
+    getOrder(shopifyOrderId) {
+        return this.store.load().orders[String(shopifyOrderId)] || null;
+    }
+
+    /**
+     * List recorded orders
+     * @returns {array} Ledger entries
+     */
+    listOrders() {
+        return Object.values(this.store.load().orders);
+    }
+
+    /**
+     * Record a Shopify order that was created in eShopaid
+     * @param {object} order - Shopify order
+     * @param {object} result - Sync result ({ success, eshopaidRef })
+     * @returns {object} Ledger entry
+     */
+    recordOrder(order, result) {
+        const entry = {
+            orderId: order.id,
+            orderName: order.name,
+            targetRefId: result.eshopaidRef || null,
+            syncedAt: new Date().toISOString(),
+            result,
+        };
+
+        this.store.load().orders[String(order.id)] = entry;
+        this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Get the recorded sync of a Shopify refund
+     * @param {string|number} refundId - Shopify refund ID
+     * @returns {object|null} Ledger entry
+     */
+    getRefund(refundId) {
+        const refunds = this.store.load().refunds || {};
+        return refunds[String(refundId)] || null;
+    }
+
+    /**
+     * List recorded refunds
+     * @returns {array} Ledger entries
+     */
+    listRefunds() {
+        return Object.values(this.store.load().refunds || {});
+    }
+
+    /**
+     * Record a Shopify refund that was pushed to eShopaid as a return order
+     * @param {object} refund - Shopify refund
+     * @param {object} order - Parent Shopify order
+     * @param {object} result - Sync result ({ success, eshopaidRef })
+     * @returns {object} Ledger entry
+     */
+    recordRefund(refund, order, result) {
+        const data = this.store.load();
+        data.refunds = data.refunds || {};
+
+        const entry = {
+            refundId: refund.id,
+            orderId: order.id,
+            orderName: order.name,
+            targetRefId: result.eshopaidRef || null,
+            syncedAt: new Date().toISOString(),
+            result,
+        };
+
+        data.refunds[String(refund.id)] = entry;
+        this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Get the recorded cancellation of a Shopify order
+     * @param {string|number} shopifyOrderId - Shopify order ID
+     * @returns {object|null} Ledger entry
+     */
+    getCancellation(shopifyOrderId) {
+        const cancellations = this.store.load().cancellations || {};
+        return cancellations[String(shopifyOrderId)] || null;
+    }
+
+    /**
+     * Record the progress of an order cancellation, so a retry skips the eShopaid calls already confirmed
+     * @param {object} order - Shopify order
+     * @param {object} result - Cancellation result ({ cancelled, returns, tagged })
+     * @returns {object} Ledger entry
+     */
+    recordCancellation(order, result) {
+        const data = this.store.load();
+        data.cancellations = data.cancellations || {};
+
+        const entry = {
+            orderId: order.id,
+            orderName: order.name,
+            cancelledAt: order.cancelled_at || null,
+            syncedAt: new Date().toISOString(),
+            result,
+        };
+
+        data.cancellations[String(order.id)] = entry;
+        this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Get a recorded webhook delivery
+     * @param {string} webhookId - X-Shopify-Webhook-Id
+     * @returns {object|null} Ledger entry
+     */
+    getWebhook(webhookId) {
+        if (!webhookId) {
+            return null;
+        }
+        return this.store.load().webhooks[webhookId] || null;
+    }
+
+    /**
+     * Record a webhook delivery as accepted
+     * @param {string} webhookId - X-Shopify-Webhook-Id
+     * @param {string} topic - Webhook topic
+     * @param {string} jobId - Queue job processing the delivery
+     */
+    recordWebhook(webhookId, topic, jobId) {
+        if (!webhookId) {
+            return;
+        }
+
+        this.pruneWebhooks();
+        this.store.load().webhooks[webhookId] = {
+            topic,
+            jobId,
+            receivedAt: new Date().toISOString(),
+            processedAt: null,
+            result: null,
+        };
+        this.store.save();
+    }
+
+    /**
+     * Store the outcome of a webhook delivery
+     * @param {string} webhookId - X-Shopify-Webhook-Id
+     * @param {object} result - Handler result
+     */
+    completeWebhook(webhookId, result) {
+        const entry = this.getWebhook(webhookId);
+        if (!entry) {
+            return;
+        }
+
+        entry.processedAt = new Date().toISOString();
+        entry.result = result;
+        this.store.save();
+    }
+
+    /**
+     * Forget webhook IDs older than the retention window
+     * Shopify stops redelivering after 48 hours, so old IDs can't come back
+     */
+    pruneWebhooks() {
+        const webhooks = this.store.load().webhooks;
+        const cutoff = Date.now() - config.ledger.webhookRetentionDays * 24 * 60 * 60 * 1000;
+
+        for (const [id, entry] of Object.entries(webhooks)) {
+            if (Date.parse(entry.receivedAt) < cutoff) {
+                delete webhooks[id];
+            }
+        }
+    }
+}
+
+module.exports = new SyncLedger();
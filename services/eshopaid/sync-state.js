@@ -0,0 +1,50 @@
+/**
+ * Sync State
+ * Persists watermarks and last-run details of scheduled syncs
+ */
+
+const JsonStore = require('./json-store');
+
+const RUN_HISTORY = 20; // Runs kept per sync
+
+class SyncState {
+    constructor() {
+        this.store = new JsonStore('sync-state.json', {});
+    }
+
+    /**
+     * Get the state of a sync
+     * @param {string} name - Sync name, e.g. inventory
+     * @returns {object} State (empty object if never run)
+     */
+    get(name) {
+        return { ...(this.store.load()[name] || {}) };
+    }
+
+    /**
+     * Merge values into the state of a sync
+     * @param {string} name - Sync name
+     * @param {object} values - Values to store
+     * @returns {object} Updated state
+     */
+    update(name, values) {
+        const data = this.store.load();
+        data[name] = { ...(data[name] || {}), ...values };
+        this.store.save();
+
+        return { ...data[name] };
+    }
+
+    /**
+     * Store a run as the last run of a sync and add it to its history (newest first)
+     * @param {string} name - Sync name
+     * @param {object} run - Run details
+     * @returns {object} Updated state
+     */
+    recordRun(name, run) {
+        const runs = [run, ...(this.get(name).runs || [])].slice(0, RUN_HISTORY);
+        return this.update(name, { lastRun: run, runs });
+    }
+}
+
+module.exports = new SyncState();
@@ -0,0 +1,115 @@
+/**
+ * Tenants
+ * Storefronts and channels served by one integration service. The tenant of the current webhook,
+ * request, job or scheduled run decides which config sections, data files and tokens are used.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+
+// The store configured through .env
+const DEFAULT_TENANT = 'default';
+
+// Tenant ID of the webhook, request, job or scheduled run being handled
+const context = new AsyncLocalStorage();
+
+class Tenants {
+    constructor() {
+        // Tenant ID -> config section overrides, e.g. { shopify: { storeUrl }, eshopaid: { sourceChannel } }
+        this.overrides = new Map([[DEFAULT_TENANT, {}]]);
+        // "tenant:section" -> section with the tenant's overrides on top of the default
+        this.sections = new Map();
+    }
+
+    /**
+     * Add a tenant, or replace its overrides
+     * @param {string} id - Tenant ID (lowercase letters, digits and dashes)
+     * @param {object} overrides - Config sections to override
+     */
+    define(id, overrides) {
+        if (!/^[a-z0-9-]+$/.test(id) || id === DEFAULT_TENANT) {
+            throw new Error(`Invalid tenant ID "${id}": use lowercase letters, digits and dashes`);
+        }
+
+        this.overrides.set(id, overrides);
+        for (const key of this.sections.keys()) {
+            if (key.startsWith(`${id}:`)) {
+                this.sections.delete(key);
+            }
+        }
+    }
+
+    /**
+     * IDs of every tenant, the default first
+     * @returns {string[]} Tenant IDs
+     */
+    list() {
+        return [...this.overrides.keys()];
+    }
+
+    /**
+     * Check whether a tenant exists
+     * @param {string} id - Tenant ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.overrides.has(id);
+    }
+
+    /**
+     * Tenant of the current context
+     * @returns {string} Tenant ID (the default outside any tenant)
+     */
+    currentId() {
+        return context.getStore() || DEFAULT_TENANT;
+    }
+
+    /**
+     * Run a function as a tenant; everything it awaits or schedules stays with the tenant
+     * @param {string} id - Tenant ID
+     * @param {function} fn - Function to run
+     * @returns {*} Return value of fn
+     */
+    run(id, fn) {
+        if (!this.has(id)) {
+            throw new Error(`Unknown tenant ${id}`);
+        }
+        return context.run(id, fn);
+    }
+
+    /**
+     * A config section as the current tenant sees it
+     * Values the tenant doesn't override are read from the default section, so changes to it show through
+     * @param {string} name - Section name, e.g. shopify
+     * @param {object} base - Default section
+     * @returns {object} Section
+     */
+    section(name, base) {
+        const id = this.currentId();
+        const overrides = this.overrides.get(id)[name];
+        if (!overrides) {
+            return base;
+        }
+
+        const key = `${id}:${name}`;
+        if (!this.sections.has(key)) {
+            this.sections.set(key, Object.assign(Object.create(base), overrides));
+        }
+        return this.sections.get(key);
+    }
+
+    /**
+     * Directory of a tenant's data files, relative to DATA_DIR
+     * The default tenant keeps its files at the top so single-store installs are unchanged
+     * @param {string} id - Tenant ID (default: the current tenant)
+     * @returns {string} Relative directory ('' for the default tenant)
+     */
+    dataDir(id = this.currentId()) {
+        return id === DEFAULT_TENANT ? '' : path.join('tenants', id);
+    }
+}
+
+const tenants = new Tenants();
+tenants.DEFAULT_TENANT = DEFAULT_TENANT;
+
+module.exports = tenants;
@@ -2,7 +2,7 @@
  * Experimental script to find enabled return methods
  */
 
-const orderService = require('./order-service');
+const eshopaidClient = require('./eshopaid-client');
 const config = require('./config');
 
 async function testMethods() {
@@ -13,13 +13,13 @@ async function testMethods() {
     for (const method of methods) {
         console.log(`\nTesting method: ${method}...`);
         try {
-            const response = await orderService.makeRequest(method, {
+            const response = await eshopaidClient.request(method, {
                 // Sending minimum data to see if we get a method error or a data error
                 Ping: "Test"
             });
             console.log(`Response for ${method}:`, JSON.stringify(response, null, 2));
         } catch (error) {
-            console.log(`Method ${method} failed:`, error.response ? error.response.statusText : error.message);
+            console.log(`Method ${method} failed (${error.name}):`, error.message);
         }
     }
 }
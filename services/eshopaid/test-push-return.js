@@ -2,7 +2,7 @@
  * Full test for PushOrderReturn
  */
 
-const orderService = require('./order-service');
+const eshopaidClient = require('./eshopaid-client');
 const config = require('./config');
 
 async function runTest() {
@@ -57,12 +57,12 @@ async function runTest() {
 
     try {
         console.log('Testing PushOrderReturn...');
-        const response = await orderService.makeRequest('PushOrderReturn', returnData);
+        const response = await eshopaidClient.request('PushOrderReturn', returnData);
         console.log('Response:', JSON.stringify(response, null, 2));
     } catch (error) {
-        console.log('PushOrderReturn failed:', error.response ? error.response.statusText : error.message);
-        if (error.response && error.response.data) {
-            console.log('Error Data:', JSON.stringify(error.response.data, null, 2));
+        console.log(`PushOrderReturn failed (${error.name}):`, error.message);
+        if (error.response) {
+            console.log('Error Data:', JSON.stringify(error.response, null, 2));
         }
     }
 }
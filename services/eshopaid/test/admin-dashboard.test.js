@@ -0,0 +1,117 @@
+const { loadFixture, startMock } = require('./helpers');
+const { describe, it, before, after, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const adminDashboard = require('../admin-dashboard');
+const webhookHandlers = require('../webhook-handlers');
+const shopifyService = require('../shopify-service');
+const variantIndex = require('../variant-index');
+const jobQueue = require('../job-queue');
+const scheduler = require('../scheduler');
+
+describe('adminDashboard', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+        jobQueue.registerHandler('orders/create', order => webhookHandlers.handleOrderCreate(order));
+    });
+
+    after(() => mock.stop());
+
+    it('lists synced and failed orders with the FailureReason', async () => {
+        const rejected = loadFixture('order-multi-currency');
+        rejected.line_items[0].sku = 'UNKNOWN-SKU';
+        jobQueue.enqueue('orders/create', loadFixture('order-prepaid'));
+        jobQueue.enqueue('orders/create', rejected, { maxAttempts: 1 });
+        await jobQueue.processDue();
+
+        const orders = adminDashboard.listOrders();
+        assert.deepEqual(
+            orders.map(row => [row.orderName, row.status, row.eshopaidRef, row.failureReason]),
+            [
+                ['#UK1044', 'dead', null, 'Product not mapped in eShopaid'],
+                ['#UK1042', 'synced', 'ORD1065756', null],
+            ]
+        );
+    });
+
+    it('searches orders by name with or without the #', () => {
+        assert.deepEqual(adminDashboard.listOrders({ search: 'uk1042' }).map(row => row.orderName), ['#UK1042']);
+        assert.deepEqual(adminDashboard.listOrders({ search: '#UK1044' }).map(row => row.orderName), ['#UK1044']);
+        assert.deepEqual(adminDashboard.listOrders({ search: 'UK2000' }), []);
+    });
+
+    it('lists the customers created with orders', () => {
+        const [customer] = adminDashboard.listCustomers();
+
+        assert.equal(customer.customerCode, '1001');
+        assert.equal(customer.status, 'synced');
+    });
+
+    it('retries the dead job when an order is re-pushed', async () => {
+        const [dead] = adminDashboard.listOrders({ search: 'UK1044' });
+
+        const result = await adminDashboard.rePushOrder(dead.orderId);
+        assert.equal(result.success, true);
+        assert.equal(result.job.id, dead.jobId);
+        assert.equal(result.job.status, 'pending');
+
+        const again = await adminDashboard.rePushOrder(dead.orderId);
+        assert.match(again.error, /already queued/);
+        await jobQueue.processDue();
+    });
+
+    it('refuses to re-push an order that is already in eShopaid', async () => {
+        const result = await adminDashboard.rePushOrder(loadFixture('order-prepaid').id);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Order #UK1042 is already in eShopaid as ORD1065756');
+    });
+
+    it('queues an order it has never seen from Shopify', async () => {
+        const order = loadFixture('order-cod');
+        const getOrder = stub.method(shopifyService, 'getOrder', async () => order);
+
+        try {
+            const result = await adminDashboard.rePushOrder(order.id);
+            assert.equal(result.success, true);
+            assert.equal(result.job.payload.name, '#UK1043');
+
+            await jobQueue.processDue();
+            assert.equal(adminDashboard.listOrders({ search: 'UK1043' })[0].status, 'synced');
+        } finally {
+            getOrder.mock.restore();
+        }
+    });
+
+    it('runs one inventory sync at a time and records each run', async () => {
+        const pushInventory = stub.method(shopifyService, 'pushInventory', async (rows, locationId) => ({
+            success: true, locationId, created: 0, updated: rows.length, unchanged: 0, unmatched: 0, failed: 0,
+            unmatchedSkus: [], errors: [],
+        }));
+        const findByCodes = stub.method(variantIndex, 'findByCodes', async () => new Map());
+
+        try {
+            const started = adminDashboard.triggerInventorySync('full');
+            const second = adminDashboard.triggerInventorySync('delta');
+
+            assert.equal(started.success, true);
+            assert.equal(second.success, false);
+
+            assert.equal(adminDashboard.overview().inventorySyncRunning, true);
+            await scheduler.whenDone('inventory-full');
+            const [run] = adminDashboard.listInventoryRuns();
+            assert.deepEqual([run.mode, run.success, run.itemCount, run.updated], ['full', true, 3, 3]);
+            assert.equal(adminDashboard.overview().inventorySyncRunning, false);
+
+            // A delta run shows as running too
+            assert.equal(adminDashboard.triggerInventorySync('delta').success, true);
+            assert.equal(adminDashboard.overview().inventorySyncRunning, true);
+            await scheduler.whenDone('inventory-delta');
+            assert.equal(adminDashboard.overview().inventorySyncRunning, false);
+        } finally {
+            pushInventory.mock.restore();
+            findByCodes.mock.restore();
+        }
+    });
+});
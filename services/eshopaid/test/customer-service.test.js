@@ -0,0 +1,47 @@
+const { loadFixture, assertGolden, startMock } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const customerService = require('../customer-service');
+const customerMap = require('../customer-map');
+
+describe('customerService.transformShopifyCustomer', () => {
+    it('maps a Shopify customer to the eShopaid customer format', () => {
+        const customer = loadFixture('customer');
+        assertGolden('customer', customerService.formatCustomerData(customerService.transformShopifyCustomer(customer)));
+    });
+
+    it('reads the birthday when the customer has one', () => {
+        const customer = { ...loadFixture('customer'), birthday: '1994-08-17' };
+        const data = customerService.transformShopifyCustomer(customer);
+
+        assert.deepEqual([data.dobDay, data.dobMonth, data.dobYear], [17, 8, 1994]);
+    });
+});
+
+describe('customerService.syncFromShopify', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    it('adds a new customer and records the code', async () => {
+        const customer = loadFixture('customer');
+        const result = await customerService.syncFromShopify(customer);
+
+        assert.equal(result.success, true);
+        assert.equal(result.customerCode, 1001);
+        assert.equal(customerMap.findCode(customer), '1001');
+    });
+
+    it('modifies a mapped customer instead of adding it again', async () => {
+        const customer = { ...loadFixture('customer'), id: 7102938475611, last_name: 'Rao-Menon' };
+        const result = await customerService.syncFromShopify(customer);
+
+        assert.equal(result.customerCode, 1001);
+        assert.equal(mock.state.customers.size, 1);
+        assert.equal(mock.state.customers.get('1001').LastName, 'Rao-Menon');
+    });
+});
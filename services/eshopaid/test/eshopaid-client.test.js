@@ -0,0 +1,160 @@
+const { startMock } = require('./helpers');
+const { describe, it, before, after, beforeEach, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const eshopaidClient = require('../eshopaid-client');
+const tokenManager = require('../token-manager');
+const {
+    EshopaidAuthError,
+    EshopaidFailureError,
+    EshopaidHttpError,
+    EshopaidNetworkError,
+} = require('../errors');
+
+const INVENTORY_REQUEST = { Params: { Location: 'HO', DateFilter: '', ProductCode: '' } };
+
+describe('eshopaidClient', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        tokenManager.clearToken();
+    });
+
+    afterEach(() => stub.restoreAll());
+
+    it('gets a token and returns the normalized response', async () => {
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST);
+
+        assert.equal(response.Response.Result, 'SUCCESS');
+        assert.equal(mock.state.tokens.size, 1);
+    });
+
+    it('refreshes an expired token and retries once', async () => {
+        await eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST);
+        mock.expireTokens();
+
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST);
+        assert.equal(response.Response.Result, 'SUCCESS');
+        assert.equal(mock.requests.length, 3);
+    });
+
+    it('throws EshopaidFailureError with the FailureReason', async () => {
+        mock.failNext(config.methods.CREATE_SALES_ORDER, 'Store not mapped in eShopaid');
+
+        await assert.rejects(
+            eshopaidClient.request(config.methods.CREATE_SALES_ORDER, { Order: {} }),
+            error => error instanceof EshopaidFailureError &&
+                error.failureReason === 'Store not mapped in eShopaid' &&
+                error.method === config.methods.CREATE_SALES_ORDER
+        );
+    });
+
+    it('retries server errors', async () => {
+        mock.failNext(config.methods.GET_INVENTORY, 'Service unavailable', { status: 503 });
+
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST);
+        assert.equal(response.Response.Result, 'SUCCESS');
+    });
+
+    it('gives up after the configured retries', async () => {
+        mock.failNext(config.methods.GET_INVENTORY, 'Service unavailable', { status: 503, times: 5 });
+
+        await assert.rejects(
+            eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST),
+            error => error instanceof EshopaidHttpError && error.status === 503
+        );
+        assert.equal(mock.requests.length, config.eshopaid.maxRetries + 1);
+    });
+
+    it('does not repeat a write eShopaid may have applied', async () => {
+        mock.failNext(config.methods.CREATE_SALES_ORDER, 'Service unavailable', { status: 503 });
+
+        await assert.rejects(
+            eshopaidClient.request(config.methods.CREATE_SALES_ORDER, { Order: {} }),
+            error => error instanceof EshopaidHttpError && error.status === 503
+        );
+        assert.equal(mock.requests.length, 1);
+
+        stub.method(eshopaidClient, 'send', async () => {
+            throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        });
+        await assert.rejects(
+            eshopaidClient.request(config.methods.CREATE_SALES_ORDER, { Order: {} }),
+            error => error instanceof EshopaidNetworkError && error.code === 'ECONNRESET'
+        );
+        assert.equal(eshopaidClient.send.mock.callCount(), 1);
+    });
+
+    it('retries a write whose connection was refused before sending', async () => {
+        const send = eshopaidClient.send;
+        let calls = 0;
+        stub.method(eshopaidClient, 'send', async (...args) => {
+            if (++calls === 1) {
+                throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:80'), { code: 'ECONNREFUSED' });
+            }
+            return send.apply(eshopaidClient, args);
+        });
+
+        const response = await eshopaidClient.request(config.methods.ADD_CUSTOMER, {
+            Customer: { FirstName: 'Asha', MobileNumber: '9876543210' },
+        });
+
+        assert.equal(response.Response.Result, 'SUCCESS');
+        assert.equal(calls, 2);
+        assert.equal(mock.state.customers.size, 1);
+    });
+
+    it('treats only the documented token rejection as an auth failure', async () => {
+        mock.failNext(config.methods.CREATE_SALES_ORDER, 'Gift card token already redeemed');
+
+        await assert.rejects(
+            eshopaidClient.request(config.methods.CREATE_SALES_ORDER, { Order: {} }),
+            error => error instanceof EshopaidFailureError
+        );
+        assert.equal(mock.state.tokens.size, 1);
+        assert.equal(mock.requests.length, 1);
+    });
+
+    it('times out slow replies', async () => {
+        const { timeoutMs, maxRetries } = config.eshopaid;
+        config.eshopaid.timeoutMs = 100;
+        config.eshopaid.maxRetries = 0;
+        await tokenManager.getToken();
+        mock.setModes({ delayMs: 300 });
+
+        try {
+            await assert.rejects(
+                eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST),
+                error => error instanceof EshopaidNetworkError && /timed out/.test(error.message)
+            );
+        } finally {
+            Object.assign(config.eshopaid, { timeoutMs, maxRetries });
+        }
+    });
+
+    it('parses XML responses', async () => {
+        mock.setModes({ format: 'xml' });
+
+        const response = await eshopaidClient.request(config.methods.GET_INVENTORY, INVENTORY_REQUEST);
+        assert.equal(response.Response.Data.Inventory.Location, 'HO');
+        assert.equal(response.Response.Data.Inventory.Items.Item.length, 3);
+    });
+
+    it('reports rejected credentials as EshopaidAuthError', async () => {
+        const { password } = config.eshopaid;
+        config.eshopaid.password = 'wrong';
+
+        try {
+            await assert.rejects(tokenManager.getToken(), error => error instanceof EshopaidAuthError);
+        } finally {
+            config.eshopaid.password = password;
+        }
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Test Helpers
+ * Require this before any service module: it replaces the .env settings with test values,
+ * so nothing reaches a live eShopaid server or Shopify store, and gives every test file
+ * its own data directory
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'eshopaid-test-'));
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const SHOP_DOMAIN = 'unmatched-kicks-test.myshopify.com';
+
+// dotenv never overrides variables that are already set
+Object.assign(process.env, {
+    ESHOPAID_SERVER_URL: 'http://127.0.0.1:1/eShopaidService.svc', // Replaced by startMock
+    ESHOPAID_USERNAME: 'Wondersoft',
+    ESHOPAID_PASSWORD: 'Wondersoft#12',
+    ESHOPAID_STORE_LOCATION: 'HO',
+    ESHOPAID_SOURCE_CHANNEL: 'Shopify',
+    ESHOPAID_TIMEOUT_MS: '2000',
+    ESHOPAID_MAX_RETRIES: '1',
+    SHOPIFY_STORE_URL: 'http://127.0.0.1:1', // Unreachable: tests stub the Shopify calls they need
+    SHOPIFY_ACCESS_TOKEN: 'shpat_test',
+    SHOPIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    SHOPIFY_SHOP_DOMAIN: SHOP_DOMAIN,
+    SHOPIFY_LOCATION_ID: '71234567',
+    SHIP_FROM_STATE: 'Karnataka',
+    ORDER_ROUNDING_TOLERANCE: '1',
+    INVENTORY_LOCATION_MAP: '',
+    PRICE_SYNC_ENABLED: 'false',
+    PRICE_SYNC_CRON: '',
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'test-admin-password',
+    ADMIN_TOKEN: 'test-admin-token',
+    TRUST_PROXY: '',
+    DATA_DIR,
+});
+
+// Service logs drown the test report; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+    for (const level of ['log', 'warn', 'error']) {
+        console[level] = () => {};
+    }
+}
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * Load a fixture payload (a fresh copy every time)
+ * @param {string} name - File name without .json
+ * @returns {object} Fixture
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Compare a value with its golden file
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended change
+ * @param {string} name - File name without .json
+ * @param {*} actual - Generated value
+ */
+function assertGolden(name, actual) {
+    const file = path.join(GOLDEN_DIR, `${name}.json`);
+    const serialized = JSON.parse(JSON.stringify(actual));
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.writeFileSync(file, `${JSON.stringify(serialized, null, 2)}\n`);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `golden file ${name}.json is missing, run with UPDATE_GOLDEN=1 to create it`);
+
+    assert.deepStrictEqual(serialized, JSON.parse(fs.readFileSync(file, 'utf8')), `golden file ${name}.json differs`);
+}
+
+/**
+ * Start the eShopaid mock and point the services at it
+ * @param {object} options - MockEshopaidServer options
+ * @returns {Promise<object>} Running mock
+ */
+async function startMock(options = {}) {
+    const MockEshopaidServer = require('../mock-eshopaid-server');
+    const config = require('../config');
+    const tokenManager = require('../token-manager');
+
+    const mock = new MockEshopaidServer(options);
+    config.eshopaid.serverUrl = await mock.start();
+    config.eshopaid.retryDelayMs = 10;
+    tokenManager.clearToken();
+
+    return mock;
+}
+
+/**
+ * Listen on a free port
+ * @param {object} app - Express app
+ * @returns {Promise<object>} { url, close }
+ */
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                }),
+            });
+        });
+    });
+}
+
+/**
+ * Build the headers Shopify sends with a webhook
+ * @param {string} topic - Webhook topic
+ * @param {string} body - Raw JSON body
+ * @param {object} overrides - Header overrides
+ * @returns {object} Headers
+ */
+function webhookHeaders(topic, body, overrides = {}) {
+    return {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': topic,
+        'X-Shopify-Shop-Domain': SHOP_DOMAIN,
+        'X-Shopify-Webhook-Id': crypto.randomUUID(),
+        'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', WEBHOOK_SECRET).update(body, 'utf8').digest('base64'),
+        ...overrides,
+    };
+}
+
+module.exports = {
+    DATA_DIR,
+    loadFixture,
+    assertGolden,
+    startMock,
+    listen,
+    webhookHeaders,
+};
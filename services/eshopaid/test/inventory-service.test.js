@@ -0,0 +1,112 @@
+const { loadFixture, startMock } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const inventoryService = require('../inventory-service');
+
+describe('inventoryService.parseInventoryResponse', () => {
+    it('parses several locations with single and repeated items', () => {
+        const result = inventoryService.parseInventoryResponse(loadFixture('inventory-response'));
+
+        assert.equal(result.success, true);
+        assert.equal(result.totalItems, 3);
+        assert.deepEqual(result.inventoryByLocation.map(l => l.location), ['2-SIUD-1068', '2-SIYA-5838']);
+        assert.equal(result.inventoryByLocation[1].items.length, 1);
+    });
+
+    it('parses a single location object', () => {
+        const response = loadFixture('inventory-response');
+        response.Response.Data.Inventory = response.Response.Data.Inventory[1];
+
+        const result = inventoryService.parseInventoryResponse(response);
+        assert.equal(result.totalItems, 1);
+        assert.equal(result.inventoryByLocation[0].location, '2-SIYA-5838');
+    });
+
+    it('reports the FailureReason of a failed response', () => {
+        const result = inventoryService.parseInventoryResponse({
+            Response: { Result: 'FAILURE', FailureReason: 'Location not found' },
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Location not found');
+    });
+});
+
+describe('inventoryService.normalizeItems', () => {
+    it('converts codes to strings and amounts to numbers', () => {
+        const [item] = inventoryService.normalizeItems(loadFixture('inventory-response').Response.Data.Inventory[0].Items.Item);
+
+        assert.deepEqual(item, {
+            productCode: 1,
+            eanCode: '1014',
+            itemCode: '3000-13-48-1',
+            itemName: 'Carepack 3 Year Nbd Onsite Compaq Pavilion',
+            mrp: 16000,
+            stock: 1233,
+            salesPrice: 15500,
+            taxRate: 18,
+            lastModified: '2022-05-30T09:40:00',
+            saleUnit: 1,
+            perUnitPrice: 15500,
+        });
+    });
+
+    it('accepts a single item and no items', () => {
+        assert.equal(inventoryService.normalizeItems({ ItemCode: 'A' }).length, 1);
+        assert.deepEqual(inventoryService.normalizeItems(undefined), []);
+    });
+});
+
+describe('inventoryService.formatForShopify', () => {
+    it('uses the EAN as SKU, or the item code when there is none', () => {
+        const data = inventoryService.parseInventoryResponse(loadFixture('inventory-response'));
+        const rows = inventoryService.formatForShopify(data);
+
+        assert.deepEqual(rows[0], {
+            sku: '1014',
+            eanCode: '1014',
+            itemCode: '3000-13-48-1',
+            location: '2-SIUD-1068',
+            quantity: 1233,
+            price: 15500,
+            compareAtPrice: 16000,
+        });
+        assert.equal(rows[1].sku, '2');
+        assert.equal(rows[1].quantity, 39);
+    });
+});
+
+describe('inventoryService against the eShopaid mock', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    it('fetches a location', async () => {
+        const result = await inventoryService.getInventoryByLocation();
+
+        assert.equal(result.success, true);
+        assert.equal(result.inventoryByLocation[0].location, 'HO');
+        assert.equal(result.totalItems, 3);
+    });
+
+    it('fetches a SKU list', async () => {
+        const result = await inventoryService.getInventoryBySKUList(['8901000000035']);
+
+        assert.deepEqual(result.inventoryByLocation[0].items.map(i => i.itemCode), ['UK2002-OS']);
+    });
+
+    it('reads XML responses the same way', async () => {
+        const json = await inventoryService.getInventoryByLocation();
+        mock.setModes({ format: 'xml' });
+        const xml = await inventoryService.getInventoryByLocation();
+        mock.setModes({ format: 'json' });
+
+        // XML carries no types, so SaleUnit and ProductCode come back as strings
+        const strip = data => data.inventoryByLocation[0].items.map(({ productCode, saleUnit, ...item }) => item);
+        assert.deepEqual(strip(xml), strip(json));
+    });
+});
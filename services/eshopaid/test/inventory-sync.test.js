@@ -0,0 +1,66 @@
+require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const inventoryService = require('../inventory-service');
+const inventorySync = require('../inventory-sync');
+const shopifyService = require('../shopify-service');
+const syncState = require('../sync-state');
+const variantIndex = require('../variant-index');
+
+const LAST_WEEK = '2026-01-05T02:00:00.000Z';
+
+describe('inventorySync.run', () => {
+    let locationMap;
+
+    before(() => {
+        locationMap = config.inventory.locationMap;
+        config.inventory.locationMap = { HO: '71234567', BLR: '71234568' };
+    });
+
+    after(() => {
+        config.inventory.locationMap = locationMap;
+    });
+
+    afterEach(() => stub.restoreAll());
+
+    it('keeps the delta watermark of locations a single-location run left out', async () => {
+        const fetched = [];
+        const inventory = location => ({
+            success: true,
+            totalItems: 1,
+            inventoryByLocation: [{ location, items: [{ eanCode: `${location}-1`, itemCode: `${location}-1`, stock: 2 }] }],
+        });
+        stub.method(inventoryService, 'getInventoryByLocation', async location => {
+            fetched.push([location, 'full']);
+            return inventory(location);
+        });
+        stub.method(inventoryService, 'getIncrementalInventory', async (dateFilter, location) => {
+            fetched.push([location, dateFilter]);
+            return inventory(location);
+        });
+        stub.method(variantIndex, 'findByCodes', async () => new Map());
+        stub.method(shopifyService, 'pushInventory', async (rows, locationId) => ({
+            success: true, locationId, created: 0, updated: rows.length, unchanged: 0, unmatched: 0, failed: 0,
+            unmatchedSkus: [], errors: [],
+        }));
+        syncState.update('inventory', { lastSyncAt: LAST_WEEK, lastFullSyncAt: LAST_WEEK });
+
+        const single = await inventorySync.run('HO', { mode: 'full' });
+        assert.equal(single.success, true);
+        assert.equal(syncState.get('inventory').lastSyncAt, LAST_WEEK);
+
+        fetched.length = 0;
+        const delta = await inventorySync.run(undefined, { mode: 'delta' });
+
+        const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        assert.deepEqual(fetched, [['HO', today], ['BLR', '20260105']]);
+        assert.deepEqual([delta.mode, delta.since], ['delta', LAST_WEEK]);
+
+        const state = syncState.get('inventory');
+        assert.notEqual(state.lastSyncAt, LAST_WEEK);
+        assert.equal(state.locations.BLR.lastSyncAt, state.lastSyncAt);
+        assert.equal(state.locations.BLR.lastFullSyncAt, undefined);
+        assert.equal(state.lastFullSyncAt, LAST_WEEK);
+    });
+});
@@ -0,0 +1,111 @@
+const { loadFixture } = require('./helpers');
+const { describe, it, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const config = require('../config');
+const jobQueue = require('../job-queue');
+const orderService = require('../order-service');
+const webhookHandlers = require('../webhook-handlers');
+
+const { STATUS } = jobQueue;
+
+/**
+ * Jobs as last written to disk
+ * @returns {array} Jobs
+ */
+function savedJobs() {
+    return JSON.parse(fs.readFileSync(jobQueue.store.filePath, 'utf8')).jobs;
+}
+
+describe('jobQueue', () => {
+    afterEach(() => {
+        stub.restoreAll();
+        jobQueue.flush();
+    });
+
+    it('writes new jobs at once and batches the changes made while running them', async () => {
+        const { saveDelayMs } = config.queue;
+        config.queue.saveDelayMs = 20;
+        jobQueue.registerHandler('test/echo', payload => ({ success: true, echoed: payload.value }));
+
+        try {
+            const job = jobQueue.enqueue('test/echo', { value: 1 });
+            assert.equal(savedJobs().find(saved => saved.id === job.id).status, STATUS.PENDING);
+
+            await jobQueue.processDue();
+            assert.equal(jobQueue.get(job.id).status, STATUS.COMPLETED);
+            assert.equal(savedJobs().find(saved => saved.id === job.id).status, STATUS.PENDING);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            const saved = savedJobs().find(entry => entry.id === job.id);
+            assert.deepEqual([saved.status, saved.attempts, saved.result], [STATUS.COMPLETED, 1, { success: true, echoed: 1 }]);
+        } finally {
+            config.queue.saveDelayMs = saveDelayMs;
+        }
+    });
+
+    it('keeps the newest dead jobs and warns about the ones it drops', async () => {
+        const { deadRetention } = config.queue;
+        config.queue.deadRetention = 2;
+        jobQueue.registerHandler('test/reject', () => ({ success: false, retryable: false, error: 'Rejected' }));
+        const warn = stub.method(console, 'warn', () => {});
+
+        try {
+            const jobs = [1, 2, 3].map(value => jobQueue.enqueue('test/reject', { value }));
+            await jobQueue.processDue();
+
+            assert.deepEqual(
+                jobQueue.list({ status: STATUS.DEAD }).map(job => job.payload.value),
+                [3, 2]
+            );
+            assert.equal(jobQueue.get(jobs[0].id), undefined);
+
+            const dropped = warn.mock.calls.map(call => JSON.parse(call.arguments[0]))
+                .find(entry => /dead jobs/.test(entry.msg));
+            assert.equal(dropped.msg, 'Dropped 1 dead jobs beyond the 2 kept');
+            assert.deepEqual(dropped.jobs, [`test/reject ${jobs[0].id}`]);
+        } finally {
+            config.queue.deadRetention = deadRetention;
+        }
+    });
+
+    it('retries only dead and discarded jobs', async () => {
+        jobQueue.registerHandler('test/reject', () => ({ success: false, retryable: false, error: 'Rejected' }));
+
+        const job = jobQueue.enqueue('test/reject', { value: 1 });
+        const { nextRunAt } = job;
+        assert.equal(jobQueue.retry(job.id), null);
+        assert.equal(jobQueue.get(job.id).nextRunAt, nextRunAt);
+
+        await jobQueue.processDue();
+        assert.equal(jobQueue.get(job.id).status, STATUS.DEAD);
+
+        const retried = jobQueue.retry(job.id);
+        assert.deepEqual([retried.status, retried.attempts], [STATUS.PENDING, 0]);
+        assert.equal(jobQueue.retry('missing'), null);
+    });
+
+    it('keeps only what the handlers read of a queued payload', () => {
+        const order = loadFixture('order-multi-currency');
+        jobQueue.registerHandler('test/order', () => ({ success: true }), {
+            trim: payload => webhookHandlers.trimPayload(payload),
+        });
+
+        const job = jobQueue.enqueue('test/order', order);
+
+        assert.doesNotMatch(JSON.stringify(job.payload), /presentment_money|admin_graphql_api_id/);
+        assert.deepEqual(orderService.transformShopifyOrder(job.payload), orderService.transformShopifyOrder(order));
+
+        const product = webhookHandlers.trimProduct({
+            id: 1,
+            handle: 'runner-low',
+            title: 'Runner Low',
+            body_html: '<p>Suede upper</p>',
+            images: [{ id: 9, src: 'https://cdn.shopify.com/runner-low.jpg' }],
+            variants: [{ id: 11, sku: 'UK1001-8', barcode: '8901000000011', inventory_item_id: 511, title: '8', price: '4999.00' }],
+        });
+        assert.deepEqual(Object.keys(product), ['id', 'handle', 'title', 'variants']);
+        assert.deepEqual(Object.keys(product.variants[0]).sort(),
+            ['admin_graphql_api_id', 'barcode', 'id', 'inventory_item_id', 'sku', 'title']);
+    });
+});
@@ -0,0 +1,79 @@
+require('./helpers');
+const { describe, it, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const logger = require('../logger');
+const { EshopaidFailureError } = require('../errors');
+
+/**
+ * Capture the JSON lines written while running a function
+ * @param {function} fn - Function to run
+ * @returns {Promise<array>} Parsed log entries
+ */
+async function capture(fn) {
+    const entries = [];
+    const methods = ['log', 'warn', 'error'].map(level =>
+        stub.method(console, level, line => entries.push(JSON.parse(line))));
+
+    try {
+        await fn();
+    } finally {
+        methods.forEach(method => method.mock.restore());
+    }
+    return entries;
+}
+
+describe('logger', () => {
+    const log = logger.child('OrderService');
+
+    it('writes one JSON object per line with the component', async () => {
+        const [entry] = await capture(() => log.info('Creating order', { orderName: '#UK1042' }));
+
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.component, 'OrderService');
+        assert.equal(entry.msg, 'Creating order');
+        assert.equal(entry.orderName, '#UK1042');
+        assert.equal(entry.correlationId, null);
+    });
+
+    it('carries the correlation ID across awaits and timers', async () => {
+        const entries = await capture(() => logger.runWithCorrelationId('webhook-1', async () => {
+            log.info('before');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            logger.child('TokenManager').info('after');
+        }));
+
+        assert.deepEqual(entries.map(entry => entry.correlationId), ['webhook-1', 'webhook-1']);
+        assert.equal(logger.getCorrelationId(), null);
+    });
+
+    it('reduces errors to their name, message and FailureReason', async () => {
+        const error = new EshopaidFailureError('Store not mapped in eShopaid', {
+            method: 'CreateSalesOrder',
+            failureReason: 'Store not mapped in eShopaid',
+        });
+        const [entry] = await capture(() => log.error('Order failed', { error }));
+
+        assert.deepEqual(entry.error, {
+            name: 'EshopaidFailureError',
+            message: 'Store not mapped in eShopaid',
+            method: 'CreateSalesOrder',
+            failureReason: 'Store not mapped in eShopaid',
+        });
+    });
+
+    it('drops lines below LOG_LEVEL', async () => {
+        const { level } = config.logging;
+        config.logging.level = 'warn';
+
+        try {
+            const entries = await capture(() => {
+                log.info('hidden');
+                log.warn('shown');
+            });
+            assert.deepEqual(entries.map(entry => entry.msg), ['shown']);
+        } finally {
+            config.logging.level = level;
+        }
+    });
+});
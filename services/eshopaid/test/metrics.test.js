@@ -0,0 +1,41 @@
+require('./helpers');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+describe('metrics', () => {
+    beforeEach(() => metrics.reset());
+
+    it('renders counters by label set', () => {
+        metrics.increment('eshopaid_erp_requests_total', { method: 'GetInventory', result: 'success' });
+        metrics.increment('eshopaid_erp_requests_total', { method: 'GetInventory', result: 'success' });
+        metrics.increment('eshopaid_erp_requests_total', { method: 'CreateSalesOrder', result: 'EshopaidFailureError' });
+
+        const text = metrics.render();
+        assert.match(text, /^# TYPE eshopaid_erp_requests_total counter$/m);
+        assert.match(text, /^eshopaid_erp_requests_total\{method="GetInventory",result="success"\} 2$/m);
+        assert.match(text, /^eshopaid_erp_requests_total\{method="CreateSalesOrder",result="EshopaidFailureError"\} 1$/m);
+    });
+
+    it('renders cumulative histogram buckets', () => {
+        metrics.observe('eshopaid_erp_request_duration_seconds', { method: 'GetInventory' }, 0.3);
+        metrics.observe('eshopaid_erp_request_duration_seconds', { method: 'GetInventory' }, 45);
+
+        const text = metrics.render();
+        assert.match(text, /^eshopaid_erp_request_duration_seconds_bucket\{method="GetInventory",le="0.25"\} 0$/m);
+        assert.match(text, /^eshopaid_erp_request_duration_seconds_bucket\{method="GetInventory",le="0.5"\} 1$/m);
+        assert.match(text, /^eshopaid_erp_request_duration_seconds_bucket\{method="GetInventory",le="\+Inf"\} 2$/m);
+        assert.match(text, /^eshopaid_erp_request_duration_seconds_sum\{method="GetInventory"\} 45.3$/m);
+        assert.match(text, /^eshopaid_erp_request_duration_seconds_count\{method="GetInventory"\} 2$/m);
+    });
+
+    it('escapes label values', () => {
+        metrics.increment('eshopaid_webhooks_received_total', { topic: 'a"b\\c', result: 'accepted' });
+
+        assert.match(metrics.render(), /topic="a\\"b\\\\c"/);
+    });
+
+    it('refuses metrics it does not define', () => {
+        assert.throws(() => metrics.increment('eshopaid_unknown_total'), /Unknown metric/);
+    });
+});
@@ -0,0 +1,135 @@
+const { loadFixture, startMock } = require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const orderBackfill = require('../order-backfill');
+const shopifyService = require('../shopify-service');
+const syncLedger = require('../sync-ledger');
+const syncState = require('../sync-state');
+
+/**
+ * Stub the Shopify orders endpoint with two pages: #UK1042 and #UK1043, then #UK1044
+ * @param {object} options - { failSecondPage }
+ * @returns {array} Query parameters of every request
+ */
+function stubOrderPages({ failSecondPage = false } = {}) {
+    const requests = [];
+    stub.method(shopifyService, 'send', async (method, path, data, params) => {
+        if (path !== '/orders.json') {
+            return { data: { data: { nodes: [] } }, headers: {} };
+        }
+        requests.push(params);
+        if (!params.page_info) {
+            return {
+                data: { orders: [loadFixture('order-prepaid'), loadFixture('order-cod')] },
+                headers: {
+                    link: '<http://127.0.0.1:1/admin/api/2024-01/orders.json?limit=2&page_info=cursor-2>; rel="next"',
+                },
+            };
+        }
+        if (failSecondPage) {
+            throw new Error('connect ECONNREFUSED');
+        }
+        return { data: { orders: [loadFixture('order-multi-currency')] }, headers: {} };
+    });
+    return requests;
+}
+
+describe('orderBackfill', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+        config.backfill.ordersPerMinute = 60000;
+        config.backfill.pageSize = 2;
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => stub.restoreAll());
+
+    it('sends the filters with the first page and only the cursor after it', async () => {
+        const requests = stubOrderPages();
+
+        const first = await shopifyService.listOrders({ createdAtMin: '2024-04-01T00:00:00', financialStatus: 'paid', limit: 2 });
+        const second = await shopifyService.listOrders({ createdAtMin: '2024-04-01T00:00:00', pageInfo: first.nextPageInfo, limit: 2 });
+
+        assert.equal(first.nextPageInfo, 'cursor-2');
+        assert.equal(second.nextPageInfo, null);
+        assert.deepEqual(requests, [
+            { limit: 2, status: 'any', order: 'created_at asc', created_at_min: '2024-04-01T00:00:00', financial_status: 'paid' },
+            { limit: 2, page_info: 'cursor-2' },
+        ]);
+    });
+
+    it('shows the payloads in a dry run without pushing or saving progress', async () => {
+        stubOrderPages();
+
+        const report = await orderBackfill.run({ from: '2024-04-01', to: '2024-04-30', limit: 2 });
+
+        assert.equal(report.dryRun, true);
+        assert.deepEqual(report.filters, {
+            createdAtMin: '2024-04-01T00:00:00',
+            createdAtMax: '2024-04-30T23:59:59',
+            status: 'any',
+            financialStatus: null,
+            fulfillmentStatus: null,
+            includeCancelled: false,
+        });
+        assert.deepEqual(report.orders.map(order => [order.orderName, order.status]), [
+            ['#UK1042', 'would_push'],
+            ['#UK1043', 'would_push'],
+        ]);
+        assert.equal(report.orders[0].payload.Order.Header.OrderNumber, '#UK1042');
+        assert.equal(syncLedger.getOrder(loadFixture('order-prepaid').id), null);
+        assert.deepEqual(syncState.get('backfill'), {});
+    });
+
+    it('stops on a failed page and resumes from it, skipping pushed orders', async () => {
+        stubOrderPages({ failSecondPage: true });
+        const stopped = await orderBackfill.run({ dryRun: false });
+
+        assert.equal(stopped.success, false);
+        assert.equal(stopped.finished, false);
+        assert.deepEqual(syncState.get('backfill').counts, {
+            fetched: 2, pushed: 2, failed: 0, skipped: 0, cancelled: 0, would_push: 0, invalid: 0,
+        });
+        assert.equal(syncState.get('backfill').cursor, 'cursor-2');
+
+        stub.restoreAll();
+        const requests = stubOrderPages();
+        const resumed = await orderBackfill.run({ dryRun: false, resume: true });
+
+        assert.equal(resumed.success, true);
+        assert.equal(resumed.finished, true);
+        assert.deepEqual(requests, [{ limit: 2, page_info: 'cursor-2' }]);
+        assert.equal(resumed.counts.pushed, 3);
+        assert.equal(syncLedger.getOrder(loadFixture('order-multi-currency').id).result.success, true);
+
+        const again = await orderBackfill.run({ dryRun: false });
+        assert.deepEqual(again.counts, {
+            fetched: 3, pushed: 0, failed: 0, skipped: 3, cancelled: 0, would_push: 0, invalid: 0,
+        });
+    });
+
+    it('leaves cancelled orders out unless they are asked for', async () => {
+        const cancelled = { ...loadFixture('order-cod'), id: 5820193847590, name: '#UK1090', cancelled_at: '2024-04-03T10:00:00+05:30' };
+        stub.method(shopifyService, 'send', async () => ({ data: { orders: [cancelled] }, headers: {} }));
+
+        const report = await orderBackfill.run({ dryRun: false });
+        assert.deepEqual(report.counts, {
+            fetched: 1, pushed: 0, failed: 0, skipped: 0, cancelled: 1, would_push: 0, invalid: 0,
+        });
+        assert.equal(syncLedger.getOrder(cancelled.id), null);
+        assert.equal(mock.state.orders.has('#UK1090'), false);
+
+        const included = await orderBackfill.run({ includeCancelled: true });
+        assert.deepEqual(included.orders.map(order => [order.orderName, order.status]), [['#UK1090', 'would_push']]);
+    });
+
+    it('has nothing to resume once a run has finished', async () => {
+        const result = await orderBackfill.run({ dryRun: false, resume: true });
+
+        assert.deepEqual(result, { success: false, error: 'There is no unfinished backfill to resume' });
+    });
+});
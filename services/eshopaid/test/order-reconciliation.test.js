@@ -0,0 +1,140 @@
+const { loadFixture, startMock } = require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const orderReconciliation = require('../order-reconciliation');
+const orderService = require('../order-service');
+const shopifyService = require('../shopify-service');
+const webhookHandlers = require('../webhook-handlers');
+const jobQueue = require('../job-queue');
+const syncState = require('../sync-state');
+
+/**
+ * The day's orders as Shopify has them now:
+ * #UK1042 unchanged, #UK1043 with one more pair and cancelled, #UK1044 never pushed,
+ * and a cancelled order that was never pushed either
+ * @returns {array} Shopify orders
+ */
+function shopifyOrders() {
+    const changed = loadFixture('order-cod');
+    changed.line_items[0].quantity += 1;
+    changed.cancelled_at = '2024-04-16T10:00:00+05:30';
+
+    const cancelled = loadFixture('order-multi-currency');
+    cancelled.id = 5820193847700;
+    cancelled.name = '#UK1050';
+    cancelled.cancelled_at = '2024-04-15T18:00:00+05:30';
+
+    return [loadFixture('order-prepaid'), changed, loadFixture('order-multi-currency'), cancelled];
+}
+
+describe('orderReconciliation', () => {
+    let mock;
+    let requests;
+
+    before(async () => {
+        mock = await startMock();
+        await webhookHandlers.handleOrderCreate(loadFixture('order-prepaid'));
+        await webhookHandlers.handleOrderCreate(loadFixture('order-cod'));
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => stub.restoreAll());
+
+    /**
+     * Stub the Shopify orders endpoint with the day's orders
+     */
+    function stubShopify() {
+        requests = [];
+        stub.method(shopifyService, 'send', async (method, path, data, params) => {
+            if (path !== '/orders.json') {
+                return { data: { data: { nodes: [] } }, headers: {} };
+            }
+            requests.push(params);
+            return { data: { orders: shopifyOrders() }, headers: {} };
+        });
+    }
+
+    it('fetches a sales order with its eShopaid reference and status', async () => {
+        const detail = await orderService.getOrderDetail('#UK1042');
+
+        assert.equal(detail.found, true);
+        assert.equal(detail.eshopaidRef, 'ORD1065756');
+        assert.equal(detail.status, 'CREATED');
+        assert.equal(detail.order.Header.OrderNumber, '#UK1042');
+    });
+
+    it('answers found: false for an order eShopaid does not have', async () => {
+        const detail = await orderService.getOrderDetail('#UK9999');
+
+        assert.deepEqual(detail, { success: true, found: false, order: null, status: null, eshopaidRef: null });
+    });
+
+    it('reports missing orders, quantity and status differences', async () => {
+        stubShopify();
+
+        const report = await orderReconciliation.run({ date: '2024-04-15', enqueueMissing: false });
+
+        assert.deepEqual(requests[0], {
+            limit: 250,
+            status: 'any',
+            order: 'created_at asc',
+            created_at_min: '2024-04-15T00:00:00',
+            created_at_max: '2024-04-15T23:59:59',
+        });
+        assert.equal(report.checked, 3);
+        assert.equal(report.matched, 1);
+        assert.deepEqual(
+            report.discrepancies.map(d => [d.orderName, d.type, d.shopify, d.eshopaid, d.detail]),
+            [
+                ['#UK1043', 'quantity', 2, 1, loadFixture('order-cod').line_items[0].sku],
+                ['#UK1043', 'status', 'CANCELLED', 'CREATED', 'OrderStatus'],
+                ['#UK1044', 'missing', '#UK1044', null, 'Order not found in eShopaid'],
+            ]
+        );
+        assert.deepEqual(report.enqueued, []);
+        assert.equal(syncState.get('reconciliation').lastRun.discrepancies, 3);
+    });
+
+    it('saves the report as JSON and CSV', () => {
+        const csv = orderReconciliation.getReport('2024-04-15', 'csv').split('\r\n');
+
+        assert.equal(orderReconciliation.getReport('2024-04-15').matched, 1);
+        assert.equal(csv[0], 'date,orderId,orderName,type,shopify,eshopaid,detail');
+        assert.equal(csv[3], '2024-04-15,5820193847612,#UK1044,missing,#UK1044,,Order not found in eShopaid');
+        assert.equal(orderReconciliation.getReport('2024-04-14'), null);
+    });
+
+    it('queues missing orders for a push once', async () => {
+        stubShopify();
+
+        const report = await orderReconciliation.run({ date: '2024-04-15', enqueueMissing: true });
+        assert.deepEqual(report.enqueued, ['#UK1044']);
+
+        const [job] = jobQueue.list({ type: 'orders/create' });
+        assert.equal(job.payload.name, '#UK1044');
+        assert.equal(job.meta.source, 'reconciliation');
+        assert.equal(job.meta.force, false);
+
+        const again = await orderReconciliation.run({ date: '2024-04-15', enqueueMissing: true });
+        assert.deepEqual(again.enqueued, []);
+    });
+
+    it('expects a shipped order cancelled afterwards to stay shipped', async () => {
+        const fulfillment = loadFixture('fulfillment-prepaid');
+        const cancelled = { ...loadFixture('order-prepaid'), cancelled_at: '2024-04-18T10:00:00+05:30', fulfillments: [fulfillment] };
+        stub.method(shopifyService, 'getOrder', async () => loadFixture('order-prepaid'));
+        stub.method(shopifyService, 'addOrderTags', async () => ({}));
+        stub.method(shopifyService, 'send', async () => ({ data: { orders: [cancelled] }, headers: {} }));
+
+        await webhookHandlers.handleFulfillmentUpdate(fulfillment);
+        const cancellation = await webhookHandlers.handleOrderCancelled(cancelled);
+        assert.deepEqual([cancellation.success, cancellation.cancelled], [true, false]);
+
+        const report = await orderReconciliation.run({ date: '2024-04-16', enqueueMissing: false });
+
+        assert.equal(orderReconciliation.expectedStatus(cancelled), 'SHIPPED');
+        assert.deepEqual(report.discrepancies, []);
+        assert.equal(report.matched, 1);
+    });
+});
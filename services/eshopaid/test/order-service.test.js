@@ -0,0 +1,224 @@
+const { loadFixture, assertGolden } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const orderService = require('../order-service');
+
+describe('orderService.transformShopifyOrder', () => {
+    it('maps a prepaid order with a discount code and shipping', () => {
+        const order = loadFixture('order-prepaid');
+        const hsnCodes = new Map([['44120193847561', '6404'], ['44120193847562', '6115']]);
+        assertGolden('order-prepaid', orderService.transformShopifyOrder(order, { customerCode: 1001, hsnCodes }));
+    });
+
+    it('splits GST into CGST and SGST within the ship-from state', () => {
+        const [shoes] = orderService.transformShopifyOrder(loadFixture('order-prepaid')).Order.Items.Item;
+
+        assert.equal(shoes.DiscountAmount, 1000);
+        assert.equal(shoes.TaxableValue, 11015.44);
+        assert.deepEqual(
+            [shoes.CGSTRate, shoes.CGSTAmount, shoes.SGSTRate, shoes.SGSTAmount, shoes.IGSTAmount],
+            [9, 991.28, 9, 991.28, 0]
+        );
+    });
+
+    it('charges IGST when shipping to another state', () => {
+        const [item] = orderService.transformShopifyOrder(loadFixture('order-cod')).Order.Items.Item;
+
+        assert.deepEqual([item.IGSTRate, item.IGSTAmount, item.CGSTAmount], [18, 1067.64, 0]);
+    });
+
+    it('spreads an order discount without allocations over the lines by value', () => {
+        const order = loadFixture('order-prepaid');
+        order.line_items[0].discount_allocations = [];
+
+        const items = orderService.transformShopifyOrder(order).Order.Items.Item;
+        assert.deepEqual(items.map(item => item.DiscountAmount), [965.58, 34.42]);
+    });
+
+    it('nets shipping discounts out of the shipping charge', () => {
+        const order = loadFixture('order-prepaid');
+        order.shipping_lines[0].discount_allocations = [{ amount: '99.00' }];
+        order.total_discounts = '1099.00';
+        order.total_price = '13497.00';
+
+        const result = orderService.transformShopifyOrder(order);
+        assert.deepEqual(result.Order.OtherCharges, {});
+        assert.equal(orderService.validateOrderTotal(result, order).valid, true);
+    });
+
+    it('sends a small difference from total_price as round-off', () => {
+        const order = loadFixture('order-prepaid');
+        order.total_price = '13596.40';
+
+        const result = orderService.transformShopifyOrder(order);
+        assert.deepEqual(result.Order.OtherCharges.Charge[1], {
+            ChargeDescription: 'Round Off',
+            ChargeValue: 0.4,
+            ChargeReference: 'Rounding',
+        });
+        assert.equal(orderService.validateOrderTotal(result, order).valid, true);
+    });
+
+    it('adds tax to the total when prices exclude it', () => {
+        const order = loadFixture('order-prepaid');
+        order.taxes_included = false;
+        order.total_price = '15602.32';
+
+        const result = orderService.transformShopifyOrder(order);
+        assert.equal(result.Order.Header.TaxInclusive, 0);
+        assert.equal(result.Order.Items.Item[0].TaxableValue, 12998);
+        // Tax is on the lines only, so the invoice doesn't count it twice
+        assert.deepEqual(result.Order.OtherCharges.Charge.map(charge => charge.ChargeDescription), ['Shipping']);
+        assert.equal(orderService.validateOrderTotal(result, order).valid, true);
+    });
+
+    it('sends tips and duties as charges', () => {
+        const order = loadFixture('order-prepaid');
+        order.total_tip_received = '150.00';
+        order.current_total_duties_set = { shop_money: { amount: '320.50', currency_code: 'INR' } };
+        order.total_price = '14066.50';
+
+        const result = orderService.transformShopifyOrder(order);
+        assert.deepEqual(result.Order.OtherCharges.Charge.map(charge => [charge.ChargeDescription, charge.ChargeValue]), [
+            ['Shipping', 99],
+            ['Tip', 150],
+            ['Duties', 320.5],
+        ]);
+        assert.equal(orderService.validateOrderTotal(result, order).valid, true);
+    });
+
+    it('maps a guest cash on delivery order', () => {
+        const result = orderService.transformShopifyOrder(loadFixture('order-cod'));
+
+        assert.equal(result.Order.Payments.Payment[0].PaymentMode, 'Cash');
+        assert.equal(result.Order.Header.CustomerCode, '');
+        assertGolden('order-cod', result);
+    });
+
+    it('sends shop currency amounts for orders paid in another currency', () => {
+        const result = orderService.transformShopifyOrder(loadFixture('order-multi-currency'));
+
+        assert.equal(result.Order.Header.TotalOrderValue, 9499);
+        assert.equal(result.Order.Items.Item[0].Rate, 7999);
+        assertGolden('order-multi-currency', result);
+    });
+
+    it('falls back to the variant ID when a line has no SKU', () => {
+        const order = loadFixture('order-prepaid');
+        order.line_items[1].sku = '';
+
+        const result = orderService.transformShopifyOrder(order);
+        assert.equal(result.Order.Items.Item[1].ItemCode, '44120193847562');
+    });
+});
+
+describe('orderService.createSalesOrder', () => {
+    it('refuses orders that do not add up to total_price', async () => {
+        const order = { ...loadFixture('order-prepaid'), total_price: '14000.00' };
+
+        const result = await orderService.createSalesOrder(order, { hsnCodes: new Map() });
+        assert.equal(result.success, false);
+        assert.equal(result.retryable, false);
+        assert.deepEqual(result.totals, { valid: false, computedTotal: 13596, expectedTotal: 14000, difference: 404 });
+    });
+});
+
+describe('orderService.transformShopifyRefund', () => {
+    it('maps a split refund onto the original order lines', () => {
+        const result = orderService.transformShopifyRefund(loadFixture('refund-prepaid'), loadFixture('order-prepaid'));
+
+        assert.equal(result.items[0].RefLineNumber, 1);
+        assert.equal(result.items[0].DiscountAmount, 500);
+        assert.deepEqual(result.payments.map(p => p.PaymentValue), [1000, 5499]);
+        assert.equal(result.totalValue, 6499);
+        assertGolden('refund-prepaid', result);
+    });
+
+    it('sends refunded shipping as a charge', () => {
+        const refund = loadFixture('refund-prepaid');
+        refund.refund_line_items = [];
+        refund.transactions = [];
+        refund.order_adjustments = [{ kind: 'shipping_refund', amount: '-99.00' }];
+
+        const result = orderService.transformShopifyRefund(refund, loadFixture('order-prepaid'));
+        assert.deepEqual(result.otherCharges, [{
+            ChargeDescription: 'Shipping',
+            ChargeValue: 99,
+            ChargeReference: 'Shipping refund',
+        }]);
+        assert.equal(result.totalValue, 99);
+    });
+
+    it('totals the returned lines of a cancelled order and keeps the rest of the refund out of it', () => {
+        const order = { ...loadFixture('order-prepaid'), cancelled_at: '2026-10-05T10:00:00+05:30' };
+        const refund = loadFixture('refund-prepaid');
+        refund.refund_line_items = [
+            { line_item_id: order.line_items[0].id, quantity: 1, restock_type: 'return', total_tax: 991.37 },
+            { line_item_id: order.line_items[1].id, quantity: 1, restock_type: 'cancel', total_tax: 76.12 },
+        ];
+
+        const result = orderService.transformShopifyRefund(refund, order);
+
+        assert.deepEqual(result.items.map(item => item.ItemCode), ['8901000000011']);
+        assert.equal(result.totalValue, 6499);
+        assert.deepEqual(result.payments.map(p => p.PaymentValue), [1000, 5499]);
+
+        refund.transactions[1].amount = '5998.00';
+        const overpaid = orderService.transformShopifyRefund(refund, order);
+        assert.equal(overpaid.totalValue, 6499);
+        assert.deepEqual(overpaid.payments.map(p => p.PaymentValue), [1000, 5499]);
+        assert.deepEqual([overpaid.refundedValue, overpaid.notReturnedValue], [6998, 499]);
+    });
+
+    it('rejects refund lines that are not in the order', () => {
+        const refund = loadFixture('refund-prepaid');
+        refund.refund_line_items[0].line_item_id = 1;
+
+        assert.throws(
+            () => orderService.transformShopifyRefund(refund, loadFixture('order-prepaid')),
+            /Refund line item 1 not found/
+        );
+    });
+});
+
+describe('orderService.mapPaymentGateway', () => {
+    const cases = {
+        shopify_payments: 'CreditCard',
+        PayPal: 'PayPal',
+        razorpay: 'OnlinePayment',
+        cod: 'Cash',
+        'Cash on Delivery (COD)': 'Cash',
+        manual: 'Cash',
+        gift_card: 'OnlinePayment',
+    };
+
+    for (const [gateway, mode] of Object.entries(cases)) {
+        it(`maps ${gateway} to ${mode}`, () => {
+            assert.equal(orderService.mapPaymentGateway(gateway), mode);
+        });
+    }
+
+    it('defaults to OnlinePayment without a gateway', () => {
+        assert.equal(orderService.mapPaymentGateway(undefined), 'OnlinePayment');
+    });
+});
+
+describe('orderService.getStateGSTCode', () => {
+    it('maps state names case-insensitively', () => {
+        assert.equal(orderService.getStateGSTCode('Karnataka'), '29');
+        assert.equal(orderService.getStateGSTCode('TAMIL NADU'), '33');
+        assert.equal(orderService.getStateGSTCode('delhi'), '07');
+    });
+
+    it('returns an empty code for unknown or missing states', () => {
+        assert.equal(orderService.getStateGSTCode('California'), '');
+        assert.equal(orderService.getStateGSTCode(undefined), '');
+    });
+});
+
+describe('orderService.formatDate', () => {
+    it('formats dates as YYYYMMDD in UTC', () => {
+        assert.equal(orderService.formatDate('2026-10-02T14:05:11+05:30'), '20261002');
+        assert.equal(orderService.formatDate('2026-10-03T02:00:00+05:30'), '20261002');
+    });
+});
@@ -0,0 +1,71 @@
+const { startMock } = require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const productExport = require('../product-export');
+const shopifyService = require('../shopify-service');
+
+const TEMPLATE = path.join(__dirname, '..', '..', '..', 'API Doc', 'product_template_csv_unit_price (1).csv');
+
+describe('productExport', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => stub.restoreAll());
+
+    it('writes the header of the Shopify import template', () => {
+        const header = fs.readFileSync(TEMPLATE, 'utf8').split(/\r?\n/)[0];
+
+        assert.equal(productExport.COLUMNS.join(','), header);
+    });
+
+    it('groups eShopaid items into products with a variant per size', async () => {
+        const result = await productExport.run();
+        const lines = result.csv.split('\r\n');
+
+        assert.equal(result.products, 2);
+        assert.equal(result.variants, 3);
+        assert.equal(lines[1], 'Runner Low,runner-low-uk1001,,,,,,FALSE,draft,UK1001-8,8901000000011,Size,8,,,,,' +
+            '6999.00,7999.00,,TRUE,,,,,,shopify,,deny,,,TRUE,manual,,,,,FALSE,,,,,,UK1001-8,,,new,,,,,,');
+        assert.match(lines[2], /^,runner-low-uk1001,,,,,,,,UK1001-9,8901000000028,,9,/);
+        assert.match(lines[3], /^Crew Socks,crew-socks-uk2002,.*,UK2002-OS,8901000000035,Size,OS,,,,,499\.00,,/);
+    });
+
+    it('splits colours and sizes and fills unit prices for measured items', () => {
+        const [shoe, cleaner] = productExport.groupProducts([
+            { productCode: 'UK3003', itemCode: 'UK3003-BLK-9', itemName: 'Court High BLK 9', salesPrice: 8999, mrp: 8999 },
+            { productCode: 'UK4004', itemCode: 'UK4004', itemName: 'Sneaker Cleaner', salesPrice: 250, mrp: 300,
+                saleUnit: 'ML', perUnitPrice: 2.5 },
+        ]);
+
+        assert.equal(shoe.title, 'Court High');
+        assert.deepEqual(shoe.variants[0].options, [{ name: 'Color', value: 'BLK' }, { name: 'Size', value: '9' }]);
+
+        const [row] = productExport.toRows(cleaner);
+        assert.deepEqual(
+            [row['Option1 name'], row['Option1 value'], row['Unit price total measure'], row['Unit price total measure unit']],
+            ['Title', 'Default Title', '100.00', 'ml']
+        );
+    });
+
+    it('writes only SKUs Shopify does not have in diff mode', async () => {
+        stub.method(shopifyService, 'findVariantsByCodes', async () => new Map([
+            ['8901000000011', { variantId: '1', sku: '8901000000011', productHandle: 'runner-low' }],
+        ]));
+
+        const result = await productExport.run({ newOnly: true });
+        const lines = result.csv.split('\r\n');
+
+        assert.equal(result.existing, 1);
+        assert.deepEqual(result.existingHandles, ['runner-low']);
+        assert.equal(result.variants, 2);
+        assert.match(lines[1], /^Runner Low,runner-low,,,,,,,,UK1001-9,8901000000028,Size,9,/);
+        assert.match(lines[2], /^Crew Socks,crew-socks-uk2002,/);
+    });
+});
@@ -0,0 +1,113 @@
+const { startMock } = require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const scheduler = require('../scheduler');
+const priceSync = require('../price-sync');
+const syncState = require('../sync-state');
+
+describe('scheduler', () => {
+    let mock;
+    let release;
+
+    before(async () => {
+        mock = await startMock();
+
+        scheduler.register('test-slow', {
+            description: 'Waits until released',
+            schedule: () => ({ everyMinutes: 90 }),
+            lock: 'test',
+            run: () => new Promise(resolve => {
+                release = () => resolve({ success: true, count: 3 });
+            }),
+            summarize: result => `${result.count} done`,
+        });
+        scheduler.register('test-other', {
+            description: 'Shares the lock of test-slow',
+            schedule: () => null,
+            lock: 'test',
+            run: async () => {
+                throw new Error('Shopify is down');
+            },
+        });
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => stub.restoreAll());
+
+    it('lists the built-in jobs with their schedules from config', () => {
+        const interval = config.sync.inventoryIntervalMinutes;
+        config.sync.inventoryIntervalMinutes = 90;
+
+        try {
+            const jobs = new Map(scheduler.list().map(job => [job.name, job]));
+
+            for (const name of ['inventory-delta', 'inventory-full', 'reconciliation', 'prices', 'token-warmup']) {
+                assert.ok(jobs.has(name), name);
+            }
+            assert.equal(jobs.get('inventory-delta').schedule, 'every 90 minutes');
+            assert.equal(jobs.get('inventory-full').schedule, '0 2 * * *');
+            assert.equal(jobs.get('prices').schedule, null);
+            assert.equal(jobs.get('inventory-full').lock, 'inventory');
+        } finally {
+            config.sync.inventoryIntervalMinutes = interval;
+        }
+    });
+
+    it('refuses invalid schedules', () => {
+        assert.equal(scheduler.validateSchedule({ everyMinutes: 90 }), null);
+        assert.equal(scheduler.validateSchedule({ cron: '30 3 * * *' }), null);
+        assert.match(scheduler.validateSchedule({ cron: 'every night' }), /Invalid cron expression/);
+        assert.match(scheduler.validateSchedule({ everyMinutes: 0 }), /Invalid interval/);
+    });
+
+    it('never overlaps runs that share a lock, and records each run', async () => {
+        const first = scheduler.execute('test-slow', 'schedule');
+        const second = await scheduler.execute('test-other');
+
+        assert.deepEqual(second, { success: false, skipped: true, error: 'test-slow is still running' });
+        assert.equal(scheduler.trigger('test-slow').success, false);
+        assert.equal(scheduler.list().find(job => job.name === 'test-slow').running.trigger, 'schedule');
+
+        release();
+        const run = await first;
+        assert.equal(run.success, true);
+        assert.equal(run.summary, '3 done');
+        assert.ok(run.durationMs >= 0);
+        assert.deepEqual(syncState.get('schedule:test-slow').lastRun, run);
+        assert.equal(scheduler.whenDone('test-slow'), null);
+
+        const failed = await scheduler.execute('test-other');
+        assert.equal(failed.success, false);
+        assert.equal(failed.error, 'Shopify is down');
+    });
+
+    it('skips scheduled ticks of a paused job until it is resumed', async () => {
+        assert.equal(scheduler.setPaused('test-other', true).paused, true);
+        assert.equal(await scheduler.tick('default', 'test-other'), null);
+
+        scheduler.setPaused('test-other', false);
+        assert.equal((await scheduler.tick('default', 'test-other')).trigger, 'schedule');
+        assert.equal(scheduler.setPaused('nope', true), null);
+    });
+
+    it('dry runs a manual price sync unless told otherwise, and writes on schedule', async () => {
+        const run = stub.method(priceSync, 'run', async options => ({ success: true, dryRun: options.dryRun }));
+
+        assert.equal(scheduler.trigger('prices').success, true);
+        await scheduler.whenDone('prices');
+        assert.equal(scheduler.trigger('prices', { dryRun: false }).success, true);
+        await scheduler.whenDone('prices');
+        await scheduler.tick('default', 'prices');
+
+        assert.deepEqual(run.mock.calls.map(call => call.arguments[0].dryRun), [true, false, false]);
+    });
+
+    it('warms up the eShopaid token', async () => {
+        const run = await scheduler.execute('token-warmup');
+
+        assert.equal(run.success, true);
+        assert.match(run.summary, /^token valid until \d{4}-/);
+    });
+});
@@ -0,0 +1,390 @@
+const { loadFixture, startMock, listen, webhookHeaders } = require('./helpers');
+const { describe, it, before, after, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server');
+const jobQueue = require('../job-queue');
+const shopifyService = require('../shopify-service');
+const config = require('../config');
+const eshopaid = require('../index');
+
+describe('server', () => {
+    let mock;
+    let server;
+    const adminAuth = `Basic ${Buffer.from('admin:test-admin-password').toString('base64')}`;
+
+    /**
+     * Deliver a signed webhook
+     * @param {string} topic - Webhook topic
+     * @param {object} payload - Webhook payload
+     * @param {object} headers - Header overrides
+     * @returns {Promise<Response>} Response
+     */
+    const deliver = (topic, payload, headers = {}) => {
+        const body = JSON.stringify(payload);
+        return fetch(`${server.url}/webhooks/${topic}`, {
+            method: 'POST',
+            headers: webhookHeaders(topic, body, headers),
+            body,
+        });
+    };
+
+    /**
+     * Call an admin API route
+     * @param {string} path - Path under the server
+     * @param {object} options - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    const api = (path, options = {}) => fetch(`${server.url}${path}`, {
+        ...options,
+        headers: { Authorization: 'Bearer test-admin-token', ...options.headers },
+    });
+
+    before(async () => {
+        mock = await startMock();
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await mock.stop();
+    });
+
+    it('answers the health check', async () => {
+        const response = await fetch(`${server.url}/health`);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { status: 'ok', service: 'eshopaid-integration' });
+    });
+
+    it('tests the eShopaid connection', async () => {
+        const response = await api(`/api/test-connection`);
+
+        assert.equal((await response.json()).success, true);
+    });
+
+    it('queues a signed order webhook and processes it', async () => {
+        const order = loadFixture('order-prepaid');
+        const response = await deliver('orders/create', order);
+        const { received, jobId } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(received, true);
+
+        await jobQueue.processDue();
+        const job = await (await api(`/api/jobs/${jobId}`)).json();
+        assert.equal(job.status, 'completed');
+        assert.equal(mock.state.orders.get('#UK1042').targetRefId, job.result.eshopaidRef);
+    });
+
+    it('acknowledges a redelivered webhook without queueing it again', async () => {
+        const order = loadFixture('order-cod');
+        const headers = { 'X-Shopify-Webhook-Id': 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043' };
+
+        const first = await (await deliver('orders/create', order, headers)).json();
+        const second = await (await deliver('orders/create', order, headers)).json();
+
+        assert.equal(second.duplicate, true);
+        assert.equal(second.jobId, first.jobId);
+    });
+
+    it('rejects webhooks with a bad signature', async () => {
+        const response = await deliver('orders/create', loadFixture('order-prepaid'), {
+            'X-Shopify-Hmac-Sha256': 'AAAA',
+        });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('rejects webhooks sent to the wrong topic route', async () => {
+        const response = await deliver('orders/create', loadFixture('order-prepaid'), {
+            'X-Shopify-Topic': 'orders/updated',
+        });
+
+        assert.equal(response.status, 400);
+    });
+
+    it('rejects webhooks from another shop', async () => {
+        const response = await deliver('orders/create', loadFixture('order-prepaid'), {
+            'X-Shopify-Shop-Domain': 'someone-else.myshopify.com',
+        });
+
+        assert.equal(response.status, 403);
+    });
+
+    it('lists jobs by status', async () => {
+        await jobQueue.processDue();
+        const { stats, jobs } = await (await api(`/api/jobs?status=completed`)).json();
+
+        assert.equal(stats.completed, 2);
+        assert.ok(jobs.every(job => job.status === 'completed'));
+    });
+
+    it('dead-letters an order that does not add up without retrying it', async () => {
+        const order = { ...loadFixture('order-prepaid'), id: 5820193847570, name: '#UK1050', total_price: '20000.00' };
+        const { jobId } = await (await deliver('orders/create', order)).json();
+
+        await jobQueue.processDue();
+        const job = await (await api(`/api/jobs/${jobId}`)).json();
+        assert.equal(job.status, 'dead');
+        assert.equal(job.attempts, 1);
+        assert.match(job.lastError, /Order total mismatch/);
+    });
+
+    it('sends shipment progress from fulfillment webhooks', async () => {
+        const getOrder = stub.method(shopifyService, 'getOrder', async () => ({
+            ...loadFixture('order-prepaid'),
+            fulfillment_status: 'fulfilled',
+        }));
+        const fulfillment = loadFixture('fulfillment-prepaid');
+
+        try {
+            await deliver('fulfillments/create', fulfillment);
+            await deliver('fulfillments/update', { ...fulfillment, shipment_status: 'out_for_delivery' });
+            await jobQueue.processDue();
+
+            const statuses = mock.state.statusUpdates.map(update => update.OrderStatus);
+            assert.deepEqual(statuses, ['SHIPPED', 'OFD']);
+        } finally {
+            getOrder.mock.restore();
+        }
+    });
+
+    it('asks for credentials on the admin dashboard', async () => {
+        const response = await fetch(`${server.url}/admin`);
+
+        assert.equal(response.status, 401);
+        assert.match(response.headers.get('WWW-Authenticate'), /^Basic/);
+
+        const wrong = await fetch(`${server.url}/admin`, { headers: { Authorization: 'Bearer nope' } });
+        assert.equal(wrong.status, 401);
+    });
+
+    it('refuses API calls without the admin credentials', async () => {
+        const retry = await fetch(`${server.url}/api/jobs/1/retry`, { method: 'POST' });
+        assert.equal(retry.status, 401);
+
+        const prices = await fetch(`${server.url}/api/sync/prices?dryRun=false`, {
+            method: 'POST',
+            headers: { Authorization: 'Bearer nope' },
+        });
+        assert.equal(prices.status, 401);
+
+        const jobs = await fetch(`${server.url}/api/scheduled-jobs`, { headers: { Authorization: adminAuth } });
+        assert.equal(jobs.status, 200);
+    });
+
+    it('shows orders with their FailureReason to the admin', async () => {
+        const response = await fetch(`${server.url}/admin?q=UK1050`, { headers: { Authorization: adminAuth } });
+        const html = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(html, /<td>#UK1050<\/td>/);
+        assert.match(html, /Order total mismatch/);
+        assert.match(html, /\/admin\/orders\/5820193847570\/repush/);
+        assert.doesNotMatch(html, /<td>#UK1042<\/td>/);
+    });
+
+    it('serves the dashboard data to the admin token', async () => {
+        const response = await fetch(`${server.url}/admin/api/overview`, {
+            headers: { Authorization: 'Bearer test-admin-token' },
+        });
+        const { orders } = await response.json();
+
+        assert.equal(orders.find(row => row.orderName === '#UK1042').status, 'synced');
+    });
+
+    it('re-pushes an order from the dashboard form', async () => {
+        const response = await fetch(`${server.url}/admin/orders/5820193847570/repush`, {
+            method: 'POST',
+            redirect: 'manual',
+            headers: { Authorization: adminAuth, 'Content-Type': 'application/x-www-form-urlencoded' },
+        });
+
+        assert.equal(response.status, 303);
+        const location = new URL(response.headers.get('Location'), server.url);
+        assert.equal(location.pathname, '/admin');
+        assert.equal(location.searchParams.get('notice'), 'Order #UK1050 queued again');
+        await jobQueue.processDue();
+    });
+
+    it('refuses admin actions posted from another site', async () => {
+        const response = await fetch(`${server.url}/admin/sync/inventory`, {
+            method: 'POST',
+            headers: { Authorization: adminAuth, Origin: 'https://attacker.example' },
+        });
+
+        assert.equal(response.status, 403);
+    });
+
+    it('exposes webhook, eShopaid and queue metrics', async () => {
+        const response = await fetch(`${server.url}/metrics`);
+        const text = await response.text();
+
+        assert.match(response.headers.get('Content-Type'), /^text\/plain/);
+        assert.match(text, /^eshopaid_webhooks_received_total\{topic="orders\/create",result="accepted"\} \d+$/m);
+        assert.match(text, /^eshopaid_webhooks_received_total\{topic="orders\/create",result="rejected"\} 3$/m);
+        assert.match(text, /^eshopaid_erp_requests_total\{method="CreateSalesOrder",result="success"\} \d+$/m);
+        assert.match(text, /^eshopaid_token_refreshes_total\{result="success"\} \d+$/m);
+        assert.match(text, /^eshopaid_queue_jobs\{status="dead"\} 1$/m);
+    });
+
+    it('returns the correlation ID of each request', async () => {
+        const response = await fetch(`${server.url}/health`, { headers: { 'X-Request-Id': 'trace-42' } });
+
+        assert.equal(response.headers.get('X-Correlation-Id'), 'trace-42');
+    });
+
+    it('syncs an order manually and reports duplicates', async () => {
+        const order = loadFixture('order-multi-currency');
+        const post = () => api(`/api/sync/order`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(order),
+        }).then(response => response.json());
+
+        const first = await post();
+        assert.equal(first.success, true);
+
+        const second = await post();
+        assert.equal(second.duplicate, true);
+    });
+
+    it('reads inventory without writing to Shopify', async () => {
+        const result = await (await api(`/api/inventory`)).json();
+
+        assert.equal(result.success, true);
+        assert.equal(result.totalItems, 3);
+    });
+
+    it('validates the inventory sync mode', async () => {
+        const response = await api(`/api/sync/inventory?mode=weekly`, { method: 'POST' });
+
+        assert.equal(response.status, 400);
+    });
+
+    it('validates the reconciliation date and reports days without a report', async () => {
+        const invalid = await api(`/api/reconciliation?date=15-04-2024`, { method: 'POST' });
+        assert.equal(invalid.status, 400);
+
+        const missing = await api(`/api/reconciliation/2024-04-14?format=csv`);
+        assert.equal(missing.status, 404);
+    });
+
+    it('lists, pauses and triggers scheduled jobs', async () => {
+        const { jobs } = await (await api(`/api/scheduled-jobs`)).json();
+        assert.ok(jobs.some(job => job.name === 'token-warmup' && job.schedule === '*/5 * * * *'));
+
+        const paused = await api(`/api/scheduled-jobs/token-warmup/pause`, { method: 'POST' });
+        assert.equal((await paused.json()).job.paused, true);
+
+        const started = await api(`/api/scheduled-jobs/token-warmup/run`, { method: 'POST' });
+        assert.equal(started.status, 202);
+        await eshopaid.scheduler.whenDone('token-warmup');
+
+        const missing = await api(`/api/scheduled-jobs/nope/run`, { method: 'POST' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('refuses a manual sync while a scheduled run holds the lock', async () => {
+        let finish;
+        const finished = new Promise(resolve => { finish = resolve; });
+        const run = stub.method(eshopaid.inventorySync, 'run', async () => {
+            await finished;
+            return { success: true, updated: 0 };
+        });
+
+        try {
+            const scheduled = eshopaid.scheduler.execute('inventory-delta', 'schedule');
+            const refused = await api(`/api/sync/inventory`, { method: 'POST' });
+            assert.equal(refused.status, 409);
+            assert.deepEqual(await refused.json(), {
+                success: false, skipped: true, error: 'inventory-delta is still running',
+            });
+
+            finish();
+            await scheduled;
+            const response = await api(`/api/sync/inventory`, { method: 'POST' });
+            assert.equal(response.status, 200);
+            assert.equal(run.mock.callCount(), 2);
+        } finally {
+            run.mock.restore();
+        }
+    });
+
+    it('lets allowed storefront origins check stock', async () => {
+        config.storefront.origins = ['https://unmatchedkicks.in'];
+
+        const preflight = await fetch(`${server.url}/api/storefront/stock`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://unmatchedkicks.in' },
+        });
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://unmatchedkicks.in');
+
+        const response = await fetch(`${server.url}/api/storefront/stock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: 'https://other.example' },
+            body: JSON.stringify({ lines: [{ sku: 'UK1001-9', quantity: 50 }] }),
+        });
+        const result = await response.json();
+        assert.equal(response.headers.get('access-control-allow-origin'), null);
+        assert.equal(result.lines[0].status, 'insufficient');
+    });
+
+    it('answers 503 when eShopaid stock cannot be checked', async () => {
+        mock.failNext('GetInventory', 'Service unavailable');
+        const post = lines => fetch(`${server.url}/api/storefront/stock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lines }),
+        });
+
+        assert.equal((await post([{ sku: 'UK1001-9', quantity: 0 }])).status, 400);
+        assert.equal((await post([{ sku: 'UK2002-OS', quantity: 1 }])).status, 503);
+    });
+
+    it('rate limits the storefront stock check', async () => {
+        const perClient = config.storefront.requestsPerMinute;
+        config.storefront.requestsPerMinute = 1;
+        eshopaid.stockCheck.clearCache();
+        const post = () => fetch(`${server.url}/api/storefront/stock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ lines: [{ sku: 'UK1001-9', quantity: 1 }] }),
+        });
+
+        try {
+            assert.equal((await post()).status, 200);
+            const refused = await post();
+            assert.equal(refused.status, 429);
+            assert.ok(Number(refused.headers.get('retry-after')) > 0);
+        } finally {
+            config.storefront.requestsPerMinute = perClient;
+            eshopaid.stockCheck.clearCache();
+        }
+    });
+
+    it('rate limits each client behind a trusted proxy by its forwarded IP', async () => {
+        const perClient = config.storefront.requestsPerMinute;
+        config.storefront.requestsPerMinute = 1;
+        eshopaid.stockCheck.clearCache();
+        const post = client => fetch(`${server.url}/api/storefront/stock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': client },
+            body: JSON.stringify({ lines: [{ sku: 'UK1001-9', quantity: 1 }] }),
+        });
+
+        // TRUST_PROXY is empty in the tests
+        assert.equal(app.get('trust proxy'), false);
+        app.set('trust proxy', 1);
+        try {
+            assert.equal((await post('203.0.113.7')).status, 200);
+            assert.equal((await post('198.51.100.4')).status, 200);
+            assert.equal((await post('203.0.113.7')).status, 429);
+        } finally {
+            app.set('trust proxy', config.server.trustProxy);
+            config.storefront.requestsPerMinute = perClient;
+            eshopaid.stockCheck.clearCache();
+        }
+    });
+});
@@ -0,0 +1,280 @@
+require('./helpers');
+const { describe, it, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const config = require('../config');
+const shopifyService = require('../shopify-service');
+const { inventoryInputs } = require('../shopify-bulk');
+
+/**
+ * GraphQL answer with the cost extension Shopify sends
+ * @param {object} data - Response data
+ * @param {number} available - currentlyAvailable
+ * @param {array} errors - GraphQL errors (optional)
+ * @returns {object} Response body
+ */
+function answer(data, available = 1000, errors = undefined) {
+    return {
+        data,
+        errors,
+        extensions: {
+            cost: {
+                requestedQueryCost: 100,
+                throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 1000 },
+            },
+        },
+    };
+}
+
+describe('shopifyService bulk writes', () => {
+    afterEach(() => {
+        stub.restoreAll();
+        shopifyService.throttleStatus.clear();
+        shopifyService.queryCosts.clear();
+    });
+
+    it('sets quantities 250 per inventorySetQuantities call', async () => {
+        const calls = [];
+        stub.method(shopifyService, 'graphql', async (query, variables) => {
+            calls.push(variables.input.quantities);
+            const userErrors = calls.length === 2
+                ? [{ field: ['input', 'quantities', '1', 'quantity'], message: 'Not stocked' }]
+                : [];
+            return { inventorySetQuantities: { userErrors } };
+        });
+
+        const quantities = Array.from({ length: 600 }, (_, i) => ({ inventoryItemId: i + 1, locationId: '71234567', quantity: i }));
+        const errors = await shopifyService.setInventoryQuantities(quantities);
+
+        assert.deepEqual(calls.map(call => call.length), [250, 250, 100]);
+        assert.deepEqual(calls[0][0], {
+            inventoryItemId: 'gid://shopify/InventoryItem/1',
+            locationId: 'gid://shopify/Location/71234567',
+            quantity: 0,
+        });
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].index, 251);
+    });
+
+    it('waits for the cost bucket and retries throttled queries', async () => {
+        const bodies = [
+            answer({ shop: { name: 'a' } }, 20),
+            answer(null, 20, [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }]),
+            answer({ shop: { name: 'b' } }),
+        ];
+        const sentAt = [];
+        stub.method(shopifyService, 'makeRequest', async () => {
+            sentAt.push(Date.now());
+            return bodies.shift();
+        });
+
+        await shopifyService.graphql('{ shop { name } }');
+        const data = await shopifyService.graphql('{ shop { name } }');
+
+        assert.deepEqual(data, { shop: { name: 'b' } });
+        assert.equal(sentAt.length, 3);
+        // 80 points short at 1000 a second before the second call, at least 1 s after the throttled one
+        assert.ok(sentAt[1] - sentAt[0] >= 70, `${sentAt[1] - sentAt[0]} ms`);
+        assert.ok(sentAt[2] - sentAt[1] >= 990, `${sentAt[2] - sentAt[1]} ms`);
+    });
+
+    it('runs a bulk operation over the threshold and reads its result', async () => {
+        const threshold = config.shopify.bulkThreshold;
+        const pollSeconds = config.shopify.bulkPollSeconds;
+        config.shopify.bulkThreshold = 2;
+        config.shopify.bulkPollSeconds = 0;
+
+        let uploaded;
+        const polls = ['RUNNING', 'COMPLETED'];
+        stub.method(shopifyService, 'graphql', async (query, variables) => {
+            if (query.includes('stagedUploadsCreate')) {
+                return { stagedUploadsCreate: { userErrors: [], stagedTargets: [{
+                    url: 'https://uploads.test/bucket',
+                    parameters: [{ name: 'key', value: 'tmp/bulk.jsonl' }, { name: 'policy', value: 'p' }],
+                }] } };
+            }
+            if (query.includes('bulkOperationRunMutation')) {
+                assert.equal(variables.stagedUploadPath, 'tmp/bulk.jsonl');
+                assert.match(variables.mutation, /productVariantsBulkUpdate/);
+                return { bulkOperationRunMutation: { userErrors: [], bulkOperation: { id: 'gid://shopify/BulkOperation/1' } } };
+            }
+            const status = polls.shift();
+            return { node: { id: variables.id, status, objectCount: 2, url: status === 'COMPLETED' ? 'https://results.test/out.jsonl' : null } };
+        });
+        stub.method(axios, 'post', async (url, form) => {
+            uploaded = await form.get('file').text();
+        });
+        stub.method(axios, 'get', async () => ({
+            data: '{"data":{"productVariantsBulkUpdate":{"userErrors":[]}},"__lineNumber":0}\n' +
+                '{"data":{"productVariantsBulkUpdate":{"userErrors":[{"field":["variants","0","price"],"message":"Price too high"}]}},"__lineNumber":1}\n',
+        }));
+
+        try {
+            const errors = await shopifyService.writeVariantPrices([
+                { productId: 'gid://shopify/Product/1', id: 'gid://shopify/ProductVariant/11', price: '10.00', compareAtPrice: null },
+                { productId: 'gid://shopify/Product/1', id: 'gid://shopify/ProductVariant/12', price: '10.00', compareAtPrice: null },
+                { productId: 'gid://shopify/Product/2', id: 'gid://shopify/ProductVariant/21', price: '99999.00', compareAtPrice: null },
+            ]);
+
+            assert.equal(uploaded.split('\n').length, 2);
+            assert.equal(JSON.parse(uploaded.split('\n')[1]).productId, 'gid://shopify/Product/2');
+            assert.deepEqual(errors, [{ field: ['variants', '0', 'price'], message: 'Price too high', productId: 'gid://shopify/Product/2' }]);
+            assert.equal(polls.length, 0);
+        } finally {
+            config.shopify.bulkThreshold = threshold;
+            config.shopify.bulkPollSeconds = pollSeconds;
+        }
+    });
+
+    it('sets quantities over the threshold with a bulk operation and maps its errors back', async () => {
+        const threshold = config.shopify.bulkThreshold;
+        const pollSeconds = config.shopify.bulkPollSeconds;
+        config.shopify.bulkThreshold = 2;
+        config.shopify.bulkPollSeconds = 0;
+
+        let uploaded;
+        stub.method(shopifyService, 'graphql', async (query, variables) => {
+            if (query.includes('stagedUploadsCreate')) {
+                return { stagedUploadsCreate: { userErrors: [], stagedTargets: [{
+                    url: 'https://uploads.test/bucket',
+                    parameters: [{ name: 'key', value: 'tmp/bulk.jsonl' }],
+                }] } };
+            }
+            if (query.includes('bulkOperationRunMutation')) {
+                assert.match(variables.mutation, /inventorySetQuantities/);
+                return { bulkOperationRunMutation: { userErrors: [], bulkOperation: { id: 'gid://shopify/BulkOperation/2' } } };
+            }
+            return { node: { id: variables.id, status: 'COMPLETED', objectCount: 2, url: 'https://results.test/out.jsonl' } };
+        });
+        stub.method(axios, 'post', async (url, form) => {
+            uploaded = await form.get('file').text();
+        });
+        stub.method(axios, 'get', async () => ({
+            data: '{"data":{"inventorySetQuantities":{"userErrors":[]}},"__lineNumber":0}\n' +
+                '{"data":{"inventorySetQuantities":{"userErrors":[{"field":["input","quantities","1","quantity"],"message":"Not stocked"}]}},"__lineNumber":1}\n',
+        }));
+
+        try {
+            const quantities = Array.from({ length: 300 }, (_, i) => ({ inventoryItemId: i + 1, locationId: '71234567', quantity: i }));
+            const errors = await shopifyService.setInventoryQuantities(quantities);
+
+            assert.equal(uploaded.split('\n').length, 2);
+            assert.deepEqual(errors, [{ field: ['input', 'quantities', '1', 'quantity'], message: 'Not stocked', index: 251 }]);
+        } finally {
+            config.shopify.bulkThreshold = threshold;
+            config.shopify.bulkPollSeconds = pollSeconds;
+        }
+    });
+
+    it('fails every input of a bulk call that answered with GraphQL errors', async () => {
+        const lines = [
+            { data: { inventorySetQuantities: { userErrors: [] } }, __lineNumber: 0 },
+            { errors: [{ message: 'Internal error' }], __lineNumber: 1 },
+        ];
+        stub.method(shopifyService.bulk, 'run', async () => lines);
+
+        const quantities = Array.from({ length: 253 }, (_, i) => ({ inventoryItemId: i + 1, locationId: '71234567', quantity: i }));
+        const errors = await shopifyService.bulk.setInventoryQuantities(quantities);
+
+        assert.deepEqual(errors.map(error => error.index), [250, 251, 252]);
+        assert.deepEqual(errors[0], { index: 250, field: null, message: 'Internal error' });
+
+        lines.splice(0, 2,
+            { errors: [{ message: 'Timeout' }, { message: 'Internal error' }], __lineNumber: 0 },
+            { data: { productVariantsBulkUpdate: { userErrors: [] } }, __lineNumber: 1 });
+        const priceErrors = await shopifyService.bulk.updateVariantPrices([
+            { productId: 'gid://shopify/Product/1', id: 'gid://shopify/ProductVariant/11', price: '10.00', compareAtPrice: null },
+            { productId: 'gid://shopify/Product/2', id: 'gid://shopify/ProductVariant/21', price: '20.00', compareAtPrice: null },
+        ]);
+
+        assert.deepEqual(priceErrors, [{ productId: 'gid://shopify/Product/1', field: null, message: 'Timeout; Internal error' }]);
+    });
+
+    it("queues a tenant's bulk operations behind each other", async () => {
+        const started = [];
+        let finishFirst;
+        stub.method(shopifyService.bulk, 'execute', async mutation => {
+            started.push(mutation);
+            if (started.length === 1) {
+                await new Promise((resolve, reject) => {
+                    finishFirst = () => reject(new Error('Bulk operation gid://shopify/BulkOperation/1 FAILED'));
+                });
+            }
+            return [];
+        });
+
+        const inventory = shopifyService.bulk.setInventoryQuantities([{ inventoryItemId: 1, locationId: '71234567', quantity: 1 }]);
+        const prices = shopifyService.bulk.updateVariantPrices([
+            { productId: 'gid://shopify/Product/1', id: 'gid://shopify/ProductVariant/11', price: '10.00', compareAtPrice: null },
+        ]);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(started.length, 1);
+
+        // A failed operation doesn't hold up the next one
+        finishFirst();
+        await assert.rejects(inventory, /FAILED/);
+        assert.deepEqual(await prices, []);
+        assert.match(started[1], /productVariantsBulkUpdate/);
+        assert.equal(shopifyService.bulk.queues.size, 0);
+    });
+
+    it('sets new and stocked items alike in batches', async () => {
+        stub.method(shopifyService, 'findVariantsByCodes', async () => new Map([
+            ['UK1001-8', { variantId: '1', inventoryItemId: '501' }],
+            ['UK1001-9', { variantId: '2', inventoryItemId: '502' }],
+            ['UK1001-10', { variantId: '3', inventoryItemId: '503' }],
+            ['UK2002-OS', { variantId: '4', inventoryItemId: '504' }],
+        ]));
+        stub.method(shopifyService, 'getInventoryLevels', async () => new Map([['501', 3], ['502', 4], ['504', 7]]));
+        const batched = stub.method(shopifyService, 'setInventoryQuantities', async () => [
+            { field: ['input', 'quantities', '2', 'quantity'], message: 'Item is archived', index: 2 },
+        ]);
+
+        const result = await shopifyService.pushInventory([
+            { sku: 'UK1001-8', quantity: 5 },
+            { sku: 'UK1001-9', quantity: 4 },
+            { sku: 'UK1001-10', quantity: 2 },
+            { sku: 'UK2002-OS', quantity: 1 },
+            { sku: 'GIFT-CARD', quantity: 1 },
+        ], '71234567');
+
+        assert.equal(batched.mock.callCount(), 1);
+        assert.deepEqual(batched.mock.calls[0].arguments[0].map(q => [q.inventoryItemId, q.quantity]), [['501', 5], ['503', 2], ['504', 1]]);
+        assert.deepEqual(
+            [result.created, result.updated, result.unchanged, result.unmatched, result.failed],
+            [1, 1, 1, 1, 1]
+        );
+        assert.deepEqual(result.errors, [{ sku: 'UK2002-OS', error: 'Item is archived' }]);
+        assert.equal(result.success, false);
+    });
+
+    it('reads levels at a location through GraphQL, 250 items per query', async () => {
+        const batches = [];
+        stub.method(shopifyService, 'graphql', async (query, variables) => {
+            batches.push(variables.ids.length);
+            assert.equal(variables.locationId, 'gid://shopify/Location/71234567');
+            return {
+                nodes: variables.ids.map((id, i) => ({
+                    legacyResourceId: id.split('/').pop(),
+                    // Every third item isn't stocked at the location yet
+                    inventoryLevel: i % 3 === 0 ? null : { quantities: [{ name: 'available', quantity: i }] },
+                })),
+            };
+        });
+
+        const levels = await shopifyService.getInventoryLevels(Array.from({ length: 300 }, (_, i) => String(i + 1)), '71234567');
+
+        assert.deepEqual(batches, [250, 50]);
+        assert.equal(levels.has('1'), false);
+        assert.equal(levels.get('2'), 1);
+        assert.equal(levels.size, 199);
+    });
+
+    it('builds inventorySetQuantities inputs that ignore compare quantities', () => {
+        const [{ input }] = inventoryInputs([{ inventoryItemId: 7, locationId: 8, quantity: 9 }]);
+
+        assert.equal(input.name, 'available');
+        assert.equal(input.ignoreCompareQuantity, true);
+    });
+});
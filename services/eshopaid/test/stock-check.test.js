@@ -0,0 +1,124 @@
+const { startMock } = require('./helpers');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const stockCheck = require('../stock-check');
+
+describe('stockCheck', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    beforeEach(() => stockCheck.clearCache());
+
+    it('trims lines to the stock eShopaid holds', async () => {
+        const result = await stockCheck.check([
+            { key: 'line-1', sku: '8901000000011', quantity: 2 },
+            { key: 'line-2', sku: 'UK1001-9', quantity: 6 },
+            { key: 'line-3', sku: 'GIFT-CARD-1000', quantity: 1 },
+        ]);
+
+        assert.equal(result.available, false);
+        assert.deepEqual(result.lines, [
+            { key: 'line-1', sku: '8901000000011', requested: 2, available: 12, allowed: 2, status: 'ok' },
+            { key: 'line-2', sku: 'UK1001-9', requested: 6, available: 4, allowed: 4, status: 'insufficient' },
+            { key: 'line-3', sku: 'GIFT-CARD-1000', requested: 1, available: null, allowed: 1, status: 'unknown' },
+        ]);
+    });
+
+    it('draws lines with the same SKU from the same stock', async () => {
+        const result = await stockCheck.check([
+            { sku: 'UK1001-9', quantity: 3 },
+            { sku: 'UK1001-9', quantity: 3 },
+            { sku: 'UK1001-9', quantity: 1 },
+        ]);
+
+        assert.deepEqual(result.lines.map(line => [line.allowed, line.status]), [
+            [3, 'ok'],
+            [1, 'insufficient'],
+            [0, 'out_of_stock'],
+        ]);
+    });
+
+    it('answers repeated checks from the cache until it expires', async () => {
+        await stockCheck.check([{ sku: 'UK2002-OS', quantity: 1 }]);
+        const requests = mock.snapshot().requestCount;
+
+        await stockCheck.check([{ sku: 'UK2002-OS', quantity: 5 }]);
+        assert.equal(mock.snapshot().requestCount, requests);
+
+        for (const entry of stockCheck.cache.values()) {
+            entry.expiresAt = Date.now() - 1;
+        }
+        await stockCheck.check([{ sku: 'UK2002-OS', quantity: 5 }]);
+        assert.equal(mock.snapshot().requestCount, requests + 1);
+    });
+
+    it('adds up the stock of every mapped eShopaid location', async () => {
+        const locationMap = config.inventory.locationMap;
+        config.inventory.locationMap = { HO: '71234567', BLR1: '71234567' };
+
+        try {
+            const result = await stockCheck.check([{ sku: 'UK1001-8', quantity: 20 }]);
+            assert.equal(result.lines[0].available, 14);
+        } finally {
+            config.inventory.locationMap = locationMap;
+        }
+    });
+
+    it('answers from expired levels while eShopaid cannot be reached', async () => {
+        await stockCheck.check([{ sku: 'UK2002-OS', quantity: 1 }]);
+        for (const entry of stockCheck.cache.values()) {
+            entry.expiresAt = Date.now() - 1;
+        }
+
+        mock.failNext('GetInventory', 'Service unavailable');
+        const result = await stockCheck.check([{ sku: 'UK2002-OS', quantity: 100 }]);
+        assert.equal(result.stale, true);
+        assert.deepEqual([result.lines[0].available, result.lines[0].status], [60, 'insufficient']);
+
+        mock.failNext('GetInventory', 'Service unavailable');
+        await assert.rejects(stockCheck.check([{ sku: 'UK1001-8', quantity: 1 }]), /Stock lookup at HO failed/);
+    });
+
+    it('limits requests per client and overall', () => {
+        const perClient = config.storefront.requestsPerMinute;
+        const total = config.storefront.totalRequestsPerMinute;
+        config.storefront.requestsPerMinute = 2;
+        config.storefront.totalRequestsPerMinute = 3;
+
+        try {
+            assert.equal(stockCheck.takeRequest('10.0.0.1').allowed, true);
+            assert.equal(stockCheck.takeRequest('10.0.0.1').allowed, true);
+            const refused = stockCheck.takeRequest('10.0.0.1');
+            assert.equal(refused.allowed, false);
+            assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 60);
+
+            assert.equal(stockCheck.takeRequest('10.0.0.2').allowed, true);
+            assert.equal(stockCheck.takeRequest('10.0.0.3').allowed, false);
+
+            for (const window of stockCheck.windows.values()) {
+                window.resetAt = Date.now() - 1;
+            }
+            assert.equal(stockCheck.takeRequest('10.0.0.1').allowed, true);
+        } finally {
+            config.storefront.requestsPerMinute = perClient;
+            config.storefront.totalRequestsPerMinute = total;
+        }
+    });
+
+    it('refuses lines without a SKU or a whole quantity', () => {
+        assert.equal(stockCheck.validateLines([]), 'lines must be a non-empty array');
+        assert.match(stockCheck.validateLines([{ sku: 'UK1001-8', quantity: 1.5 }]), /positive whole quantity/);
+        assert.match(stockCheck.validateLines([{ quantity: 1 }]), /needs a sku/);
+        assert.equal(stockCheck.validateLines([{ sku: 'UK1001-8', quantity: 1 }]), null);
+
+        const many = Array.from({ length: config.storefront.maxCodes + 1 }, (_, i) => ({ sku: `SKU-${i}`, quantity: 1 }));
+        assert.match(stockCheck.validateLines(many), /At most 20 different SKUs/);
+        assert.equal(stockCheck.validateLines(many.map(line => ({ ...line, sku: 'UK1001-8' }))), null);
+    });
+});
@@ -0,0 +1,119 @@
+const { DATA_DIR, loadFixture, startMock, listen, webhookHeaders } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const tenants = require('../tenants');
+const tokenManager = require('../token-manager');
+const syncState = require('../sync-state');
+const jobQueue = require('../job-queue');
+const app = require('../server');
+
+const OUTLET_SECRET = 'outlet-webhook-secret';
+const OUTLET_DOMAIN = 'unmatched-kicks-outlet.myshopify.com';
+
+describe('tenants', () => {
+    let mock;
+    let server;
+
+    /**
+     * Deliver a webhook signed with a secret from a shop domain
+     * @param {object} payload - Webhook payload
+     * @param {string} secret - Webhook secret
+     * @param {string} shopDomain - X-Shopify-Shop-Domain
+     * @returns {Promise<Response>} Response
+     */
+    const deliver = (payload, secret, shopDomain) => {
+        const body = JSON.stringify(payload);
+        return fetch(`${server.url}/webhooks/orders/create`, {
+            method: 'POST',
+            headers: webhookHeaders('orders/create', body, {
+                'X-Shopify-Shop-Domain': shopDomain,
+                'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64'),
+            }),
+            body,
+        });
+    };
+
+    before(async () => {
+        tenants.define('outlet', {
+            shopify: {
+                storeUrl: 'http://127.0.0.1:1',
+                accessToken: 'shpat_outlet',
+                webhookSecret: OUTLET_SECRET,
+                shopDomain: OUTLET_DOMAIN,
+                locationId: null,
+            },
+            eshopaid: { storeLocation: 'BLR1', sourceChannel: 'Outlet' },
+            inventory: { locationMap: {} },
+            storefront: { origins: [] },
+        });
+        mock = await startMock();
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+        await mock.stop();
+    });
+
+    it('gives each tenant its own settings on top of the shared ones', () => {
+        assert.equal(config.eshopaid.storeLocation, 'HO');
+        assert.equal(config.shopify.accessToken, 'shpat_test');
+
+        tenants.run('outlet', () => {
+            assert.equal(config.eshopaid.storeLocation, 'BLR1');
+            assert.equal(config.eshopaid.sourceChannel, 'Outlet');
+            assert.equal(config.shopify.accessToken, 'shpat_outlet');
+            assert.equal(config.eshopaid.serverUrl, mock.url);
+        });
+        assert.throws(() => tenants.run('unknown', () => {}), /Unknown tenant unknown/);
+    });
+
+    it('keeps tenant data files apart', () => {
+        tenants.run('outlet', () => syncState.update('inventory', { cursor: 'outlet' }));
+
+        assert.equal(syncState.get('inventory').cursor, undefined);
+        assert.ok(fs.existsSync(path.join(DATA_DIR, 'tenants', 'outlet', 'sync-state.json')));
+        assert.equal(tenants.run('outlet', () => syncState.get('inventory').cursor), 'outlet');
+    });
+
+    it('keeps a separate eShopaid token per tenant', async () => {
+        const token = await tokenManager.getToken();
+        const outletToken = await tenants.run('outlet', () => tokenManager.getToken());
+
+        assert.notEqual(outletToken, token);
+        assert.equal(await tokenManager.getToken(), token);
+    });
+
+    it('routes webhooks to the tenant of their shop domain', async () => {
+        const forged = await deliver(loadFixture('order-prepaid'), 'test-webhook-secret', OUTLET_DOMAIN);
+        assert.equal(forged.status, 401);
+
+        const unknown = await deliver(loadFixture('order-prepaid'), OUTLET_SECRET, 'someone-else.myshopify.com');
+        assert.equal(unknown.status, 403);
+
+        const response = await deliver(loadFixture('order-prepaid'), OUTLET_SECRET, OUTLET_DOMAIN);
+        const { jobId } = await response.json();
+        assert.equal(response.status, 200);
+        assert.equal(jobQueue.get(jobId), undefined);
+        assert.equal(tenants.run('outlet', () => jobQueue.get(jobId)).type, 'orders/create');
+
+        await jobQueue.processDue();
+        const sent = mock.requests.find(request => request.method === 'CreateSalesOrder');
+        assert.equal(sent.body.Order.Header.OrderLocation, 'BLR1');
+        assert.equal(sent.body.Order.Header.SourceChannel, 'Outlet');
+    });
+
+    it('selects the tenant of an API call from X-Tenant-Id', async () => {
+        const headers = { Authorization: 'Bearer test-admin-token' };
+        const response = await fetch(`${server.url}/api/backfill/orders`, { headers: { ...headers, 'X-Tenant-Id': 'outlet' } });
+        const missing = await fetch(`${server.url}/api/backfill/orders?tenant=nowhere`, { headers });
+
+        assert.equal(response.status, 200);
+        assert.equal(missing.status, 404);
+        assert.deepEqual(await missing.json(), { success: false, error: 'Unknown tenant nowhere' });
+    });
+});
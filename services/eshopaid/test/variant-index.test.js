@@ -0,0 +1,139 @@
+const { startMock } = require('./helpers');
+const { describe, it, before, after, afterEach, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const shopifyService = require('../shopify-service');
+const variantIndex = require('../variant-index');
+const webhookHandlers = require('../webhook-handlers');
+
+/**
+ * ProductVariant node as the catalog query returns it
+ */
+function node(variantId, sku, barcode, product = { id: 'gid://shopify/Product/1', handle: 'runner-low', title: 'Runner Low' }) {
+    return {
+        id: `gid://shopify/ProductVariant/${variantId}`,
+        legacyResourceId: String(variantId),
+        sku,
+        barcode,
+        title: sku,
+        inventoryItem: { legacyResourceId: String(variantId + 500) },
+        product,
+    };
+}
+
+const SOCKS = { id: 'gid://shopify/Product/2', handle: 'crew-socks', title: 'Crew Socks' };
+
+describe('variantIndex', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    afterEach(() => stub.restoreAll());
+
+    it('builds the index from every page of the catalog on first use', async () => {
+        const pages = [
+            { nodes: [node(11, 'UK1001-8', '8901000000011')], pageInfo: { hasNextPage: true, endCursor: 'c1' } },
+            { nodes: [node(21, 'UK2002-OS', null, SOCKS), node(31, 'GIFT-CARD', null, SOCKS)], pageInfo: { hasNextPage: false, endCursor: 'c2' } },
+        ];
+        const cursors = [];
+        stub.method(shopifyService, 'graphql', async (query, variables) => {
+            cursors.push(variables.after);
+            return { productVariants: pages.shift() };
+        });
+
+        const variants = await variantIndex.findByCodes(['8901000000011', 'UK2002-OS', 'UK9999-1']);
+
+        assert.deepEqual(cursors, [null, 'c1']);
+        assert.equal(variants.get('8901000000011').inventoryItemId, '511');
+        assert.equal(variants.get('UK2002-OS').productHandle, 'crew-socks');
+        assert.equal(variants.has('UK9999-1'), false);
+        assert.deepEqual(variantIndex.stats().variants, 3);
+
+        // Built once: later lookups stay local
+        await variantIndex.findByCodes(['UK1001-8']);
+        assert.equal(cursors.length, 2);
+    });
+
+    it('follows product webhooks between rebuilds', async () => {
+        await webhookHandlers.handleProductUpdate({
+            id: 1,
+            handle: 'runner-low',
+            title: 'Runner Low',
+            variants: [
+                { id: 11, sku: 'UK1001-8', barcode: '8901000000011', inventory_item_id: 511, title: '8' },
+                { id: 12, sku: 'UK1001-9', barcode: '8901000000028', inventory_item_id: 512, title: '9' },
+            ],
+        });
+
+        let variants = await variantIndex.findByCodes(['UK1001-9', '8901000000011']);
+        assert.equal(variants.get('UK1001-9').variantId, '12');
+        assert.equal(variants.get('8901000000011').productId, 'gid://shopify/Product/1');
+
+        const result = await webhookHandlers.handleProductDelete({ id: 1 });
+        assert.equal(result.removed, 2);
+        variants = await variantIndex.findByCodes(['UK1001-9']);
+        assert.equal(variants.size, 0);
+    });
+
+    it('reports items and variants without a match, and shared codes', async () => {
+        variantIndex.applyProduct({
+            id: 1,
+            handle: 'runner-low',
+            title: 'Runner Low',
+            variants: [
+                { id: 11, sku: 'UK1001-8', barcode: '8901000000011', inventory_item_id: 511, title: '8' },
+                { id: 13, sku: 'UK1001-8', barcode: null, inventory_item_id: 513, title: '8 (copy)' },
+            ],
+        });
+
+        const report = await variantIndex.report();
+
+        assert.equal(report.erpItems, 3);
+        assert.equal(report.matched, 2);
+        assert.deepEqual(report.erpUnmatched.map(item => item.itemCode), ['UK1001-9']);
+        assert.deepEqual(report.shopifyUnmatched.map(variant => variant.sku), ['GIFT-CARD']);
+        assert.deepEqual(report.duplicateCodes, [{ code: 'UK1001-8', variantIds: ['11', '13'] }]);
+
+        const csv = await variantIndex.report({ format: 'csv' });
+        const lines = csv.trim().split('\r\n');
+        assert.equal(lines[0], 'issue,itemCode,eanCode,itemName,variantId,sku,barcode,productHandle,detail');
+        assert.equal(lines[1], 'erp_unmatched,UK1001-9,8901000000028,Runner Low 9,,,,,');
+        assert.equal(lines.length, 4);
+    });
+
+    it('keeps product webhooks that land while a rebuild reads the catalog', async () => {
+        const BAG = { id: 'gid://shopify/Product/3', handle: 'tote-bag', title: 'Tote Bag' };
+        const pages = [
+            { nodes: [node(11, 'UK1001-8', '8901000000011'), node(21, 'UK2002-OS', null, SOCKS)], pageInfo: { hasNextPage: true, endCursor: 'c1' } },
+            { nodes: [node(41, 'UK4004-OS', null, BAG)], pageInfo: { hasNextPage: false, endCursor: 'c2' } },
+        ];
+        let calls = 0;
+        stub.method(shopifyService, 'graphql', async () => {
+            if (++calls === 2) {
+                // The first page was read before these changes
+                variantIndex.applyProduct({
+                    id: 1,
+                    handle: 'runner-low',
+                    title: 'Runner Low',
+                    variants: [{ id: 12, sku: 'UK1001-9', barcode: '8901000000028', inventory_item_id: 512, title: '9' }],
+                });
+                variantIndex.removeProduct(2);
+            }
+            return { productVariants: pages.shift() };
+        });
+
+        const result = await variantIndex.rebuild();
+
+        const variants = await variantIndex.findByCodes(['UK1001-8', 'UK1001-9', 'UK2002-OS', 'UK4004-OS']);
+        assert.deepEqual([...variants.keys()].sort(), ['UK1001-9', 'UK4004-OS']);
+        assert.equal(result.variants, 2);
+
+        // Once merged, the next rebuild takes the catalog as it is
+        pages.push({ nodes: [node(21, 'UK2002-OS', null, SOCKS)], pageInfo: { hasNextPage: false, endCursor: 'c3' } });
+        await variantIndex.rebuild();
+        assert.deepEqual(variantIndex.entries().map(entry => entry.sku), ['UK2002-OS']);
+    });
+});
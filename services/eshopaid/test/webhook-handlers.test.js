@@ -0,0 +1,330 @@
+const { loadFixture, startMock } = require('./helpers');
+const { describe, it, before, after, mock: stub } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const webhookHandlers = require('../webhook-handlers');
+const shopifyService = require('../shopify-service');
+const syncLedger = require('../sync-ledger');
+const fulfillmentStatus = require('../fulfillment-status');
+
+describe('webhookHandlers.verifyWebhook', () => {
+    const body = JSON.stringify({ id: 1 });
+    const sign = secret => crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+
+    it('accepts a body signed with the secret', () => {
+        assert.equal(webhookHandlers.verifyWebhook(body, sign('secret'), 'secret'), true);
+    });
+
+    it('rejects other signatures and missing values', () => {
+        assert.equal(webhookHandlers.verifyWebhook(body, sign('other'), 'secret'), false);
+        assert.equal(webhookHandlers.verifyWebhook(body, 'short', 'secret'), false);
+        assert.equal(webhookHandlers.verifyWebhook(body, undefined, 'secret'), false);
+        assert.equal(webhookHandlers.verifyWebhook(body, sign('secret'), undefined), false);
+    });
+});
+
+describe('webhookHandlers against the eShopaid mock', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMock();
+    });
+
+    after(() => mock.stop());
+
+    it('creates the customer and the sales order, and records the order', async () => {
+        const order = loadFixture('order-prepaid');
+        const result = await webhookHandlers.handleOrderCreate(order);
+
+        assert.deepEqual(result, { success: true, orderId: order.id, eshopaidRef: 'ORD1065756' });
+        assert.equal(mock.state.orders.get('#UK1042').order.Header.CustomerCode, 1001);
+        assert.equal(syncLedger.getOrder(order.id).targetRefId, 'ORD1065756');
+    });
+
+    it('does not push an order twice', async () => {
+        const order = loadFixture('order-prepaid');
+        const result = await webhookHandlers.handleOrderCreate(order);
+
+        assert.equal(result.duplicate, true);
+        assert.equal(mock.state.orders.size, 1);
+    });
+
+    it('sends concurrent deliveries of one order once', async () => {
+        const order = loadFixture('order-cod');
+        const results = await Promise.all([
+            webhookHandlers.handleOrderCreate(order),
+            webhookHandlers.handleOrderCreate(order),
+        ]);
+
+        assert.deepEqual(results.map(r => r.success), [true, true]);
+        assert.equal(results.filter(r => r.duplicate).length, 1);
+        assert.equal(mock.requests.filter(r => r.body.Order?.Header.OrderNumber === '#UK1043').length, 1);
+    });
+
+    it('returns the FailureReason when eShopaid rejects an order', async () => {
+        const order = loadFixture('order-multi-currency');
+        order.line_items[0].sku = 'UNKNOWN-SKU';
+
+        const result = await webhookHandlers.handleOrderCreate(order);
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Product not mapped in eShopaid');
+        assert.equal(syncLedger.getOrder(order.id), null);
+    });
+
+    it('pushes a refund as a return order against the fetched parent order', async () => {
+        const getOrder = stub.method(shopifyService, 'getOrder', async () => loadFixture('order-prepaid'));
+        const refund = loadFixture('refund-prepaid');
+
+        try {
+            const result = await webhookHandlers.handleRefundCreate(refund);
+
+            assert.equal(result.success, true);
+            assert.equal(getOrder.mock.calls[0].arguments[0], refund.order_id);
+            assert.equal(mock.state.returns.get(`RET${refund.id}`).returnOrder.Header.RefOrderNumber, '#UK1042');
+
+            const again = await webhookHandlers.handleRefundCreate(refund);
+            assert.equal(again.duplicate, true);
+            assert.equal(mock.state.returns.size, 1);
+        } finally {
+            getOrder.mock.restore();
+        }
+    });
+
+    it('skips refunds without returned items or shipping', async () => {
+        const refund = { ...loadFixture('refund-prepaid'), id: 1, refund_line_items: [] };
+
+        const result = await webhookHandlers.handleRefundCreate(refund, loadFixture('order-prepaid'));
+        assert.equal(result.status, 'NO_RETURN_NEEDED');
+    });
+
+    it('does not mark an order delivered just because it is fulfilled', async () => {
+        const order = { ...loadFixture('order-prepaid'), fulfillment_status: 'fulfilled' };
+
+        const result = await webhookHandlers.handleOrderUpdate(order);
+        assert.equal(result.status, 'PAID');
+        assert.equal(mock.state.orders.get('#UK1042').status, 'PAID');
+    });
+
+    it('sends PAID once however often the order is edited', async () => {
+        const order = { ...loadFixture('order-prepaid'), id: 5820193847670, name: '#UK1070' };
+        await webhookHandlers.handleOrderCreate(order);
+
+        const first = await webhookHandlers.handleOrderUpdate(order);
+        const second = await webhookHandlers.handleOrderUpdate({ ...order, tags: 'vip', note: 'Gift wrap' });
+
+        assert.deepEqual([first.status, second.status], ['PAID', 'NO_UPDATE_NEEDED']);
+        assert.equal(mock.state.statusUpdates.filter(update => update.VendorOrderNumber === '#UK1070').length, 1);
+        assert.ok(fulfillmentStatus.getOrder(order.id).paidAt);
+    });
+
+    it('moves the order through the shipment lifecycle without going backwards', async () => {
+        const order = { ...loadFixture('order-prepaid'), fulfillment_status: 'fulfilled' };
+        const getOrder = stub.method(shopifyService, 'getOrder', async () => order);
+        const fulfillment = loadFixture('fulfillment-prepaid');
+        const update = shipmentStatus => webhookHandlers.handleFulfillmentUpdate({
+            ...fulfillment,
+            shipment_status: shipmentStatus,
+        });
+
+        try {
+            const statuses = [];
+            for (const shipmentStatus of [null, 'out_for_delivery', 'failure', 'out_for_delivery', 'delivered']) {
+                statuses.push((await update(shipmentStatus)).status);
+            }
+            assert.deepEqual(statuses, ['SHIPPED', 'OFD', 'DLV_FAILED', 'OFD', 'DELIVERED']);
+
+            const late = await update('in_transit');
+            assert.equal(late.status, 'NO_UPDATE_NEEDED');
+            assert.equal(mock.state.orders.get('#UK1042').status, 'DELIVERED');
+
+            const { transitions } = fulfillmentStatus.getOrder(order.id);
+            assert.deepEqual(transitions.map(t => [t.from, t.to]), [
+                [null, 'in_transit'],
+                ['in_transit', 'out_for_delivery'],
+                ['out_for_delivery', 'failure'],
+                ['failure', 'out_for_delivery'],
+                ['out_for_delivery', 'delivered'],
+            ]);
+
+            const paid = await webhookHandlers.handleOrderUpdate(order);
+            assert.equal(paid.status, 'NO_UPDATE_NEEDED');
+        } finally {
+            getOrder.mock.restore();
+        }
+    });
+
+    it('waits for every shipment of a split order before marking it delivered', async () => {
+        const order = { ...loadFixture('order-cod'), fulfillment_status: 'partial' };
+        const getOrder = stub.method(shopifyService, 'getOrder', async () => order);
+        const first = { id: 1, order_id: order.id, name: '#UK1043.1', status: 'success', shipment_status: null };
+        const second = { ...first, id: 2, name: '#UK1043.2' };
+
+        try {
+            assert.equal((await webhookHandlers.handleFulfillmentUpdate(first)).status, 'SHIPPED');
+            assert.equal(
+                (await webhookHandlers.handleFulfillmentUpdate({ ...first, shipment_status: 'delivered' })).status,
+                'NO_UPDATE_NEEDED'
+            );
+
+            order.fulfillment_status = 'fulfilled';
+            assert.equal((await webhookHandlers.handleFulfillmentUpdate(second)).status, 'NO_UPDATE_NEEDED');
+            assert.equal(
+                (await webhookHandlers.handleFulfillmentUpdate({ ...second, shipment_status: 'delivered' })).status,
+                'DELIVERED'
+            );
+            assert.equal(mock.state.orders.get('#UK1043').status, 'DELIVERED');
+        } finally {
+            getOrder.mock.restore();
+        }
+    });
+
+    it('retries fulfillments of orders that have not reached eShopaid', async () => {
+        const fulfillment = { ...loadFixture('fulfillment-prepaid'), order_id: 1 };
+
+        const result = await webhookHandlers.handleFulfillmentUpdate(fulfillment);
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Order has not been synced to eShopaid yet');
+    });
+});
+
+describe('webhookHandlers.handleOrderCancelled', () => {
+    let mock;
+    let tagOrder;
+
+    /**
+     * Stock of an item at HO in the mock
+     * @param {string} code - EAN
+     * @returns {number}
+     */
+    const stockOf = code => mock.state.inventory.find(store => store.Location === 'HO')
+        .Items.find(item => item.EANCode === code).Stock;
+
+    before(async () => {
+        mock = await startMock();
+        tagOrder = stub.method(shopifyService, 'addOrderTags', async () => {});
+    });
+
+    after(() => {
+        tagOrder.mock.restore();
+        mock.stop();
+    });
+
+    it('cancels an unshipped order in eShopaid before tagging it in Shopify', async () => {
+        const order = { ...loadFixture('order-cod'), id: 5820193847660, name: '#UK1060' };
+        await webhookHandlers.handleOrderCreate(order);
+        const stock = stockOf('8901000000011');
+
+        const cancelled = {
+            ...order,
+            cancelled_at: '2026-10-04T10:00:00+05:30',
+            cancel_reason: 'customer',
+            refunds: [{
+                id: 9820193847660,
+                order_id: order.id,
+                refund_line_items: [{ line_item_id: order.line_items[0].id, quantity: 1, restock_type: 'cancel', total_tax: 0 }],
+                transactions: [],
+            }],
+        };
+        const result = await webhookHandlers.handleOrderCancelled(cancelled);
+
+        assert.equal(result.success, true);
+        assert.equal(result.eshopaidStatus, 'Cancelled');
+        assert.deepEqual(result.returns.map(r => r.status), ['NO_RETURN_NEEDED']);
+        assert.equal(result.tagged, true);
+        assert.deepEqual(tagOrder.mock.calls.at(-1).arguments, [order.id, ['eshopaid-cancelled']]);
+
+        const [request] = mock.requests.filter(r => r.method === 'CancelSalesOrder');
+        assert.deepEqual(request.body.SalesOrderCancel, {
+            OrderNumber: '#UK1060', OrderDate: '20261003', OrderLocation: 'HO', CancellationReason: 'customer',
+        });
+        assert.equal(stockOf('8901000000011'), stock + 1);
+        assert.equal(mock.state.orders.get('#UK1060').status, 'CANCELLED');
+
+        const again = await webhookHandlers.handleOrderCancelled(cancelled);
+        assert.equal(again.duplicate, true);
+        assert.equal(mock.requests.filter(r => r.method === 'CancelSalesOrder').length, 1);
+    });
+
+    it('returns restocked shipped lines and retries the tag without cancelling twice', async () => {
+        const order = { ...loadFixture('order-prepaid'), id: 5820193847661, name: '#UK1061' };
+        await webhookHandlers.handleOrderCreate(order);
+        const [shoes, socks] = order.line_items;
+
+        const update = await webhookHandlers.handleOrderUpdate(order);
+        assert.equal(update.status, 'PAID');
+        assert.match(mock.state.statusUpdates.at(-1).VendorOrderDate, /^\d{8}$/);
+
+        const cancelled = {
+            ...order,
+            cancelled_at: '2026-10-05T10:00:00+05:30',
+            cancel_reason: 'declined',
+            fulfillments: [{ id: 1, status: 'success', line_items: [{ id: shoes.id, quantity: 2 }] }],
+            refunds: [{
+                id: 9820193847661,
+                order_id: order.id,
+                refund_line_items: [
+                    { line_item_id: shoes.id, quantity: 1, restock_type: 'return', total_tax: 0 },
+                    { line_item_id: shoes.id, quantity: 1, restock_type: 'no_restock', total_tax: 0 },
+                    { line_item_id: socks.id, quantity: 1, restock_type: 'cancel', total_tax: 0 },
+                ],
+                transactions: [{ id: 1, kind: 'refund', status: 'success', gateway: 'shopify_payments', amount: '13596.00' }],
+            }],
+        };
+        assert.equal((await webhookHandlers.handleOrderUpdate(cancelled)).status, 'NO_UPDATE_NEEDED');
+
+        tagOrder.mock.mockImplementationOnce(async () => {
+            throw new Error('Shopify is down');
+        }, tagOrder.mock.callCount());
+        const failed = await webhookHandlers.handleOrderCancelled(cancelled);
+        assert.equal(failed.success, false);
+        assert.equal(failed.tagged, false);
+        assert.equal(failed.cancelled, true);
+
+        const result = await webhookHandlers.handleOrderCancelled(cancelled);
+        assert.equal(result.success, true);
+        assert.equal(result.tagged, true);
+        assert.equal(mock.requests.filter(r => r.method === 'CancelSalesOrder').length, 2);
+
+        const [returned] = [...mock.state.returns.values()].filter(r => r.returnOrder.Header.RefOrderNumber === '#UK1061');
+        assert.deepEqual(returned.returnOrder.Items.Item.map(item => [item.ItemCode, item.Quantity]), [['8901000000011', 1]]);
+        assert.equal(returned.returnOrder.Header.TotalReturnOrderValue, 6499);
+        assert.deepEqual(returned.returnOrder.Payments.Payment.map(payment => payment.PaymentValue), [6499]);
+        assert.equal(result.refundedWithCancellation, 7097);
+        assert.equal(mock.state.returns.size, 1);
+    });
+
+    it('records the refund of a prepaid order cancelled before shipping against the cancellation', async () => {
+        const order = { ...loadFixture('order-prepaid'), id: 5820193847662, name: '#UK1062' };
+        await webhookHandlers.handleOrderCreate(order);
+        const refund = {
+            id: 9820193847662,
+            order_id: order.id,
+            refund_line_items: order.line_items.map(line => ({
+                line_item_id: line.id, quantity: line.quantity, restock_type: 'cancel', total_tax: 0,
+            })),
+            transactions: [{ id: 2, kind: 'refund', status: 'success', gateway: 'shopify_payments', amount: '13596.00' }],
+        };
+        const cancelled = { ...order, cancelled_at: '2026-10-05T11:00:00+05:30', cancel_reason: 'customer', refunds: [refund] };
+
+        // The refund webhook may come first: nothing is recorded until the order is cancelled in eShopaid
+        const early = await webhookHandlers.handleRefundCreate(refund, cancelled);
+        assert.equal(early.status, 'NO_RETURN_NEEDED');
+        assert.equal(syncLedger.getRefund(refund.id), null);
+
+        const result = await webhookHandlers.handleOrderCancelled(cancelled);
+
+        assert.equal(result.success, true);
+        assert.equal(result.eshopaidStatus, 'Cancelled');
+        assert.deepEqual(result.returns.map(r => [r.status, r.notReturnedValue]), [['SETTLED_BY_CANCELLATION', 13596]]);
+        assert.equal(result.refundedWithCancellation, 13596);
+        assert.equal([...mock.state.returns.values()].filter(r => r.returnOrder.Header.RefOrderNumber === '#UK1062').length, 0);
+        assert.equal(syncLedger.getRefund(refund.id).result.status, 'SETTLED_BY_CANCELLATION');
+    });
+
+    it('retries cancellations of orders that have not reached eShopaid', async () => {
+        const result = await webhookHandlers.handleOrderCancelled({ ...loadFixture('order-cod'), id: 1, cancelled_at: '2026-10-04T10:00:00+05:30' });
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'Order has not been synced to eShopaid yet');
+    });
+});
@@ -5,11 +5,44 @@
 
 const axios = require('axios');
 const config = require('./config');
+const { parseXml } = require('./xml-parser');
+const metrics = require('./metrics');
+const tenants = require('./tenants');
+const logger = require('./logger').child('TokenManager');
+const { EshopaidError, EshopaidAuthError, EshopaidNetworkError, EshopaidHttpError } = require('./errors');
 
 class TokenManager {
     constructor() {
-        this.token = null;
-        this.tokenExpiry = null;
+        // Tenant ID -> { token, tokenExpiry }; tenants never share a token
+        this.sessions = new Map();
+    }
+
+    /**
+     * Token state of the current tenant
+     * @returns {object} { token, tokenExpiry }
+     */
+    get session() {
+        const id = tenants.currentId();
+        if (!this.sessions.has(id)) {
+            this.sessions.set(id, { token: null, tokenExpiry: null });
+        }
+        return this.sessions.get(id);
+    }
+
+    get token() {
+        return this.session.token;
+    }
+
+    set token(token) {
+        this.session.token = token;
+    }
+
+    get tokenExpiry() {
+        return this.session.tokenExpiry;
+    }
+
+    set tokenExpiry(expiry) {
+        this.session.tokenExpiry = expiry;
     }
 
     /**
@@ -29,53 +62,88 @@ class TokenManager {
     /**
      * Generate a new token from eShopaid API
      * @returns {Promise<string>} Access token
+     * @throws {EshopaidError} Typed error on bad credentials, HTTP or network failure
      */
     async generateToken() {
+        const method = config.methods.GET_TOKEN;
+
         try {
             const url = `${config.eshopaid.serverUrl}${config.eshopaid.tokenEndpoint}`;
 
             // Use POST with empty body as required by eShopaid API
             const response = await axios.post(url, '', {
+                timeout: config.eshopaid.timeoutMs,
+                transformResponse: [body => body],
+                responseType: 'text',
                 headers: {
-                    'SERVICE_METHODNAME': config.methods.GET_TOKEN,
+                    'SERVICE_METHODNAME': method,
                     'Username': config.eshopaid.username,
                     'Password': config.eshopaid.password,
                     'Content-Type': 'application/json',
                 },
             });
 
-            const data = response.data;
-
             // Handle both XML and JSON responses
-            let result, accessToken;
-
-            if (typeof data === 'string') {
-                // XML response - parse it
-                const xmlMatch = data.match(/<Access_Token>(.*?)<\/Access_Token>/);
-                if (xmlMatch) {
-                    accessToken = xmlMatch[1];
-                }
-            } else if (data.Response) {
-                // JSON response
-                result = data.Response.Result;
-                accessToken = data.Response.Access_Token;
+            const body = typeof response.data === 'string' ? response.data.trim() : response.data;
+            const data = typeof body === 'string'
+                ? (body.startsWith('<') ? parseXml(body) : JSON.parse(body))
+                : body;
+
+            const result = data?.Response?.Result;
+            // XML tokens may be wrapped over several lines
+            const accessToken = String(data?.Response?.Access_Token || '').replace(/\s+/g, '');
+
+            if (result === 'FAILURE') {
+                throw new EshopaidAuthError(data.Response.FailureReason || 'Token request failed', {
+                    method,
+                    failureReason: data.Response.FailureReason,
+                });
             }
 
             if (accessToken) {
                 this.token = accessToken;
                 // Token lifetime is 30 minutes
                 this.tokenExpiry = Date.now() + (config.eshopaid.tokenLifetimeMinutes * 60 * 1000);
-                console.log('[TokenManager] Token generated successfully');
+                logger.info('Token generated successfully');
+                metrics.increment('eshopaid_token_refreshes_total', { result: 'success' });
                 return this.token;
             } else {
-                throw new Error('Failed to extract token from response');
+                throw new EshopaidError('Failed to extract token from response', { method });
             }
         } catch (error) {
-            console.error('[TokenManager] Token generation failed:', error.message);
-            throw error;
+            const typed = this.toEshopaidError(error, method);
+            logger.error('Token generation failed', { error: typed });
+            metrics.increment('eshopaid_token_refreshes_total', { result: typed.name });
+            throw typed;
         }
     }
 
+    /**
+     * Convert a token request failure into an EshopaidError
+     * @param {Error} error - Thrown error
+     * @param {string} method - SERVICE_METHODNAME
+     * @returns {EshopaidError} Typed error
+     */
+    toEshopaidError(error, method) {
+        if (error instanceof EshopaidError) {
+            return error;
+        }
+
+        if (error.response) {
+            const status = error.response.status;
+            if (status === 401) {
+                return new EshopaidAuthError('eShopaid rejected the configured credentials', { method, status });
+            }
+            return new EshopaidHttpError(`Token request failed with HTTP ${status}`, { method, status });
+        }
+
+        if (error.code || error.request) {
+            return new EshopaidNetworkError(`Token request failed: ${error.message}`, { method, code: error.code });
+        }
+
+        return new EshopaidError(error.message, { method });
+    }
+
     /**
      * Get a valid token, generating a new one if needed
      * @returns {Promise<string>} Access token
@@ -101,7 +169,7 @@ class TokenManager {
     clearToken() {
         this.token = null;
         this.tokenExpiry = null;
-        console.log('[TokenManager] Token cleared');
+        logger.info('Token cleared');
     }
 }
 
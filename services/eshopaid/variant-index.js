@@ -0,0 +1,338 @@
+/**
+ * Variant Index
+ * Local copy of the Shopify catalog's variants, looked up by SKU or barcode so inventory syncs
+ * don't search Shopify for every item. Rebuilt from the whole catalog on a schedule and kept
+ * current by product webhooks in between.
+ */
+
+const JsonStore = require('./json-store');
+const shopifyService = require('./shopify-service');
+const productExport = require('./product-export');
+const { toCsv } = require('./csv');
+const logger = require('./logger').child('VariantIndex');
+
+// Variants read per page when rebuilding
+const PAGE_SIZE = 250;
+
+// Columns of the data-quality report CSV
+const REPORT_COLUMNS = ['issue', 'itemCode', 'eanCode', 'itemName', 'variantId', 'sku', 'barcode', 'productHandle', 'detail'];
+
+class VariantIndex {
+    constructor() {
+        // changedProducts: product GID -> when a webhook last changed it, so a rebuild keeps what
+        // webhooks changed while it was reading the catalog
+        this.store = new JsonStore('variant-index.json', { refreshedAt: null, variants: {}, changedProducts: {} });
+    }
+
+    /**
+     * Index entry of a variant from the GraphQL catalog
+     * @param {object} node - ProductVariant node
+     * @returns {object} Entry
+     */
+    fromNode(node) {
+        return {
+            id: node.id,
+            variantId: node.legacyResourceId,
+            inventoryItemId: node.inventoryItem?.legacyResourceId || null,
+            sku: node.sku || null,
+            barcode: node.barcode || null,
+            title: node.title,
+            productId: node.product.id,
+            productHandle: node.product.handle,
+            productTitle: node.product.title,
+        };
+    }
+
+    /**
+     * Index entries of the variants in a products/* webhook payload (REST)
+     * @param {object} product - Shopify product
+     * @returns {array} Entries
+     */
+    fromProduct(product) {
+        return (product.variants || []).map(variant => ({
+            id: variant.admin_graphql_api_id || `gid://shopify/ProductVariant/${variant.id}`,
+            variantId: String(variant.id),
+            inventoryItemId: variant.inventory_item_id ? String(variant.inventory_item_id) : null,
+            sku: variant.sku || null,
+            barcode: variant.barcode || null,
+            title: variant.title,
+            productId: this.productGid(product.id),
+            productHandle: product.handle,
+            productTitle: product.title,
+        }));
+    }
+
+    /**
+     * @param {string|number} productId - Numeric product ID or GID
+     * @returns {string} Product GID
+     */
+    productGid(productId) {
+        return String(productId).startsWith('gid://') ? String(productId) : `gid://shopify/Product/${productId}`;
+    }
+
+    /**
+     * Every indexed variant
+     * @returns {array} Entries
+     */
+    entries() {
+        return Object.values(this.store.load().variants);
+    }
+
+    /**
+     * Index size and age
+     * @returns {object} { refreshedAt, updatedAt, variants, products }
+     */
+    stats() {
+        const data = this.store.load();
+        const entries = this.entries();
+
+        return {
+            refreshedAt: data.refreshedAt,
+            updatedAt: data.updatedAt || data.refreshedAt,
+            variants: entries.length,
+            products: new Set(entries.map(entry => entry.productId)).size,
+        };
+    }
+
+    /**
+     * Replace the index with the whole Shopify catalog
+     * Products a webhook changed after the rebuild started keep their webhook entries, since the
+     * catalog pages may have been read before the change
+     * @returns {Promise<object>} { success, variants, products, refreshedAt }
+     */
+    async rebuild() {
+        logger.info('Rebuilding the variant index from Shopify');
+        const startedAt = new Date().toISOString();
+        const variants = {};
+        let after = null;
+
+        do {
+            const data = await shopifyService.graphql(`
+                query VariantIndex($first: Int!, $after: String) {
+                    productVariants(first: $first, after: $after) {
+                        nodes {
+                            id
+                            legacyResourceId
+                            sku
+                            barcode
+                            title
+                            inventoryItem { legacyResourceId }
+                            product { id handle title }
+                        }
+                        pageInfo { hasNextPage endCursor }
+                    }
+                }
+            `, { first: PAGE_SIZE, after });
+
+            for (const node of data.productVariants.nodes) {
+                variants[node.legacyResourceId] = this.fromNode(node);
+            }
+            after = data.productVariants.pageInfo.hasNextPage ? data.productVariants.pageInfo.endCursor : null;
+        } while (after);
+
+        const data = this.store.load();
+        const changed = Object.entries(data.changedProducts || {})
+            .filter(([, changedAt]) => changedAt >= startedAt)
+            .map(([productId]) => productId);
+        if (changed.length > 0) {
+            logger.info(`Keeping the webhook entries of ${changed.length} products changed during the rebuild`);
+            for (const [variantId, entry] of Object.entries(variants)) {
+                if (changed.includes(entry.productId)) {
+                    delete variants[variantId];
+                }
+            }
+            for (const entry of Object.values(data.variants)) {
+                if (changed.includes(entry.productId)) {
+                    variants[entry.variantId] = entry;
+                }
+            }
+        }
+
+        data.variants = variants;
+        data.changedProducts = {};
+        data.refreshedAt = startedAt;
+        data.updatedAt = changed.length > 0 ? new Date().toISOString() : startedAt;
+        this.store.save();
+
+        const stats = this.stats();
+        logger.info(`Variant index rebuilt: ${stats.variants} variants of ${stats.products} products`);
+        return { success: true, ...stats };
+    }
+
+    /**
+     * Replace a product's variants with those of a products/create or products/update payload
+     * @param {object} product - Shopify product
+     * @returns {object} { success, productId, variants }
+     */
+    applyProduct(product) {
+        const data = this.store.load();
+        const productId = this.productGid(product.id);
+
+        for (const [variantId, entry] of Object.entries(data.variants)) {
+            if (entry.productId === productId) {
+                delete data.variants[variantId];
+            }
+        }
+        const entries = this.fromProduct(product);
+        for (const entry of entries) {
+            data.variants[entry.variantId] = entry;
+        }
+        this.markChanged(data, productId);
+        this.store.save();
+
+        logger.info(`Indexed ${entries.length} variants of product ${product.id}`);
+        return { success: true, productId: product.id, variants: entries.length };
+    }
+
+    /**
+     * Drop a deleted product's variants
+     * @param {string|number} productId - Shopify product ID
+     * @returns {object} { success, productId, removed }
+     */
+    removeProduct(productId) {
+        const data = this.store.load();
+        const gid = this.productGid(productId);
+        let removed = 0;
+
+        for (const [variantId, entry] of Object.entries(data.variants)) {
+            if (entry.productId === gid) {
+                delete data.variants[variantId];
+                removed++;
+            }
+        }
+        this.markChanged(data, gid);
+        this.store.save();
+
+        logger.info(`Removed ${removed} variants of deleted product ${productId}`);
+        return { success: true, productId, removed };
+    }
+
+    /**
+     * Note when a webhook changed a product's entries
+     * @param {object} data - Index document
+     * @param {string} productId - Product GID
+     */
+    markChanged(data, productId) {
+        data.updatedAt = new Date().toISOString();
+        data.changedProducts = { ...data.changedProducts, [productId]: data.updatedAt };
+    }
+
+    /**
+     * Indexed variants by SKU and barcode (the first variant wins a code several share)
+     * @returns {Map} Map of code -> entry
+     */
+    codeMap() {
+        const codes = new Map();
+        for (const entry of this.entries()) {
+            for (const code of [entry.sku, entry.barcode]) {
+                if (code && !codes.has(code)) {
+                    codes.set(code, entry);
+                }
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * Find indexed variants whose SKU or barcode matches any of the given codes
+     * Builds the index first if it has never been built
+     * @param {string[]} codes - SKU/EAN codes
+     * @returns {Promise<Map>} Map of code -> entry, shaped like shopifyService.findVariantsByCodes
+     *   without prices and tags (price sync reads those live)
+     */
+    async findByCodes(codes) {
+        if (!this.store.load().refreshedAt) {
+            await this.rebuild();
+        }
+
+        const index = this.codeMap();
+        const variants = new Map();
+        for (const code of codes.filter(Boolean).map(String)) {
+            if (index.has(code)) {
+                variants.set(code, index.get(code));
+            }
+        }
+        return variants;
+    }
+
+    /**
+     * Data-quality report: eShopaid items with no Shopify variant, Shopify variants with no eShopaid
+     * item, and codes several Shopify variants share
+     * Items match as in inventory sync (SKU, then EAN and item code against variant SKUs and barcodes)
+     * @param {object} options - { format: 'json' | 'csv' }
+     * @returns {Promise<object|string>} Report, or its CSV
+     */
+    async report(options = {}) {
+        const codes = this.codeMap();
+        const items = new Map();
+        for (const item of await productExport.fetchItems()) {
+            if (item.itemCode && !items.has(item.itemCode)) {
+                items.set(item.itemCode, item);
+            }
+        }
+
+        const erpCodes = new Set();
+        const erpUnmatched = [];
+        let matched = 0;
+        for (const item of items.values()) {
+            erpCodes.add(String(item.itemCode));
+            if (item.eanCode) {
+                erpCodes.add(String(item.eanCode));
+            }
+
+            const row = { sku: item.eanCode || item.itemCode, eanCode: item.eanCode, itemCode: item.itemCode };
+            if (shopifyService.resolveVariant(row, codes)) {
+                matched++;
+            } else {
+                erpUnmatched.push({ itemCode: item.itemCode, eanCode: item.eanCode || null, itemName: item.itemName || null });
+            }
+        }
+
+        const entries = this.entries();
+        const shopifyUnmatched = entries
+            .filter(entry => !erpCodes.has(entry.sku) && !erpCodes.has(entry.barcode))
+            .map(entry => ({
+                variantId: entry.variantId,
+                sku: entry.sku,
+                barcode: entry.barcode,
+                productHandle: entry.productHandle,
+                title: `${entry.productTitle} - ${entry.title}`,
+            }));
+
+        const byCode = new Map();
+        for (const entry of entries) {
+            for (const code of new Set([entry.sku, entry.barcode].filter(Boolean))) {
+                byCode.set(code, [...(byCode.get(code) || []), entry.variantId]);
+            }
+        }
+        const duplicateCodes = [...byCode]
+            .filter(([, variantIds]) => variantIds.length > 1)
+            .map(([code, variantIds]) => ({ code, variantIds }));
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            indexRefreshedAt: this.stats().refreshedAt,
+            erpItems: items.size,
+            shopifyVariants: entries.length,
+            matched,
+            erpUnmatched,
+            shopifyUnmatched,
+            duplicateCodes,
+        };
+        logger.info(`Data-quality report: ${matched} matched, ${erpUnmatched.length} eShopaid items and ` +
+            `${shopifyUnmatched.length} Shopify variants unmatched, ${duplicateCodes.length} duplicate codes`);
+
+        if (options.format !== 'csv') {
+            return report;
+        }
+        return toCsv(REPORT_COLUMNS, [
+            ...erpUnmatched.map(item => ({ issue: 'erp_unmatched', ...item })),
+            ...shopifyUnmatched.map(({ title, ...variant }) => ({ issue: 'shopify_unmatched', ...variant, detail: title })),
+            ...duplicateCodes.map(({ code, variantIds }) => ({
+                issue: 'duplicate_code', sku: code, detail: `variants ${variantIds.join(', ')}`,
+            })),
+        ]);
+    }
+}
+
+module.exports = new VariantIndex();
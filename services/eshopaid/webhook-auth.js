@@ -0,0 +1,94 @@
+/**
+ * Webhook Authentication Middleware
+ * Routes webhooks to the tenant of their shop domain and rejects calls that tenant's store didn't sign
+ */
+
+const config = require('./config');
+const tenants = require('./tenants');
+const webhookHandlers = require('./webhook-handlers');
+const metrics = require('./metrics');
+const logger = require('./logger').child('WebhookAuth');
+
+/**
+ * Log, count and reject a webhook request
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} expectedTopic - Webhook topic served by the route
+ * @param {number} status - HTTP status
+ * @param {string} reason - Rejection reason
+ */
+function reject(req, res, expectedTopic, status, reason) {
+    metrics.increment('eshopaid_webhooks_received_total', { topic: expectedTopic, result: 'rejected' });
+    logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`, {
+        topic: req.get('X-Shopify-Topic') || null,
+        shopDomain: req.get('X-Shopify-Shop-Domain') || null,
+        webhookId: req.get('X-Shopify-Webhook-Id') || null,
+    });
+    res.status(status).json({ success: false, error: reason });
+}
+
+/**
+ * Find the tenant whose store sends webhooks from a shop domain
+ * A single store without a configured shop domain accepts any domain
+ * @param {string} shopDomain - X-Shopify-Shop-Domain
+ * @returns {string|null} Tenant ID
+ */
+function findTenant(shopDomain) {
+    const ids = tenants.list();
+    if (ids.length === 1 && !config.shopify.shopDomain) {
+        return ids[0];
+    }
+    return ids.find(id => tenants.run(id, () => config.shopify.shopDomain) === shopDomain) || null;
+}
+
+/**
+ * Create middleware that verifies a Shopify webhook
+ * Finds the tenant of the X-Shopify-Shop-Domain, checks the X-Shopify-Hmac-Sha256 signature against
+ * the raw body with that tenant's secret and the X-Shopify-Topic against the route.
+ * The rest of the request is handled as the tenant.
+ * @param {string} expectedTopic - Webhook topic served by the route, e.g. orders/create
+ * @returns {function} Express middleware
+ */
+function verifyShopifyWebhook(expectedTopic) {
+    return (req, res, next) => {
+        const shopDomain = req.get('X-Shopify-Shop-Domain');
+        const tenant = findTenant(shopDomain);
+        if (!tenant) {
+            return reject(req, res, expectedTopic, 403, `Unexpected shop domain ${shopDomain || '(none)'}`);
+        }
+
+        tenants.run(tenant, () => verifyTenantWebhook(req, res, next, expectedTopic));
+    };
+}
+
+/**
+ * Verify a webhook with the current tenant's secret
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ * @param {string} expectedTopic - Webhook topic served by the route
+ */
+function verifyTenantWebhook(req, res, next, expectedTopic) {
+    const secret = config.shopify.webhookSecret;
+    if (!secret) {
+        return reject(req, res, expectedTopic, 500, 'SHOPIFY_WEBHOOK_SECRET is not configured');
+    }
+
+    const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+    if (!hmacHeader) {
+        return reject(req, res, expectedTopic, 401, 'Missing X-Shopify-Hmac-Sha256 header');
+    }
+
+    if (!webhookHandlers.verifyWebhook(req.rawBody, hmacHeader, secret)) {
+        return reject(req, res, expectedTopic, 401, 'Invalid webhook signature');
+    }
+
+    const topic = req.get('X-Shopify-Topic');
+    if (topic !== expectedTopic) {
+        return reject(req, res, expectedTopic, 400, `Unexpected topic ${topic || '(none)'}, expected ${expectedTopic}`);
+    }
+
+    next();
+}
+
+module.exports = { verifyShopifyWebhook };
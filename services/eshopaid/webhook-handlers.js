@@ -4,66 +4,162 @@
  */
 
 const crypto = require('crypto');
+const config = require('./config');
 const orderService = require('./order-service');
 const customerService = require('./customer-service');
-const inventoryService = require('./inventory-service');
+const scheduler = require('./scheduler');
+const shopifyService = require('./shopify-service');
+const syncLedger = require('./sync-ledger');
+const variantIndex = require('./variant-index');
+const fulfillmentStatus = require('./fulfillment-status');
+const logger = require('./logger').child('Webhook');
+
+// Payload fields no handler reads, left out of queued jobs: GraphQL IDs, the presentment-currency
+// half of every money bag, and storefront session details
+const UNUSED_PAYLOAD_FIELDS = [
+    'admin_graphql_api_id',
+    'presentment_money',
+    'client_details',
+    'browser_ip',
+    'landing_site',
+    'referring_site',
+    'order_status_url',
+    'cart_token',
+];
 
 class WebhookHandlers {
+    constructor() {
+        // Order syncs currently running, keyed by Shopify order ID
+        this.ordersInFlight = new Map();
+    }
+
+    /**
+     * Webhook payload as kept in the job queue, without the fields no handler reads
+     * @param {object} payload - Order, refund, fulfillment or customer payload
+     * @returns {object} Trimmed copy
+     */
+    trimPayload(payload) {
+        return JSON.parse(JSON.stringify(payload), (key, value) => UNUSED_PAYLOAD_FIELDS.includes(key) ? undefined : value);
+    }
+
+    /**
+     * Product webhook payload as kept in the job queue: only what the variant index reads
+     * @param {object} product - Shopify product
+     * @returns {object} Trimmed product
+     */
+    trimProduct(product) {
+        return {
+            id: product.id,
+            handle: product.handle,
+            title: product.title,
+            variants: (product.variants || []).map(variant => ({
+                id: variant.id,
+                admin_graphql_api_id: variant.admin_graphql_api_id,
+                sku: variant.sku,
+                barcode: variant.barcode,
+                inventory_item_id: variant.inventory_item_id,
+                title: variant.title,
+            })),
+        };
+    }
+
     /**
      * Verify Shopify webhook signature
-     * @param {string} body - Raw request body
+     * Uses a constant-time comparison so the signature can't be guessed byte by byte
+     * @param {string|Buffer} body - Raw request body
      * @param {string} hmacHeader - X-Shopify-Hmac-Sha256 header
      * @param {string} secret - Shopify webhook secret
      * @returns {boolean} Is valid
      */
     verifyWebhook(body, hmacHeader, secret) {
-        const hash = crypto
+        if (!body || !hmacHeader || !secret) {
+            return false;
+        }
+
+        const expected = crypto
             .createHmac('sha256', secret)
             .update(body, 'utf8')
-            .digest('base64');
+            .digest();
+        const received = Buffer.from(hmacHeader, 'base64');
 
-        return hash === hmacHeader;
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
     }
 
     /**
      * Handle orders/create webhook
+     * Orders already recorded in the sync ledger are not sent to eShopaid again
      * @param {object} order - Shopify order object
+     * @param {object} options - { force: re-push even if already synced }
      * @returns {Promise<object>} Result
      */
-    async handleOrderCreate(order) {
-        console.log(`[Webhook] Order created: ${order.name}`);
+    async handleOrderCreate(order, options = {}) {
+        logger.info(`Order created: ${order.name}`);
 
+        const synced = syncLedger.getOrder(order.id);
+        if (synced?.result?.success && !options.force) {
+            logger.info(`Order ${order.name} already synced as ${synced.targetRefId}, skipping`);
+            return { ...synced.result, duplicate: true };
+        }
+
+        // A redelivery arriving while the first push is still running waits for it
+        const key = String(order.id);
+        if (this.ordersInFlight.has(key)) {
+            const result = await this.ordersInFlight.get(key);
+            return { ...result, duplicate: true };
+        }
+
+        const pending = this.createOrder(order);
+        this.ordersInFlight.set(key, pending);
+
+        try {
+            return await pending;
+        } finally {
+            this.ordersInFlight.delete(key);
+        }
+    }
+
+    /**
+     * Create a Shopify order in eShopaid and record it in the sync ledger
+     * @param {object} order - Shopify order object
+     * @returns {Promise<object>} Result
+     */
+    async createOrder(order) {
         try {
-            // Create customer in eShopaid if doesn't exist
+            // Create or update the customer in eShopaid
+            let customerCode = null;
             if (order.customer) {
                 try {
-                    await customerService.syncFromShopify(order.customer);
+                    const customerResult = await customerService.syncFromShopify(order.customer);
+                    customerCode = customerResult.customerCode || null;
                 } catch (customerError) {
-                    console.warn('[Webhook] Customer sync failed:', customerError.message);
+                    logger.warn('Customer sync failed', { error: customerError });
                     // Continue with order creation even if customer sync fails
                 }
             }
 
             // Create order in eShopaid
-            const result = await orderService.createSalesOrder(order);
+            const result = await orderService.createSalesOrder(order, { customerCode });
 
             if (result.success) {
-                console.log(`[Webhook] Order ${order.name} synced to eShopaid successfully`);
-                return {
+                logger.info(`Order ${order.name} synced to eShopaid successfully`);
+                const synced = {
                     success: true,
                     orderId: order.id,
                     eshopaidRef: result.data?.TargetRefID,
                 };
+                syncLedger.recordOrder(order, synced);
+                return synced;
             } else {
-                console.error(`[Webhook] Order sync failed: ${result.error}`);
+                logger.error(`Order sync failed: ${result.error}`);
                 return {
                     success: false,
                     orderId: order.id,
                     error: result.error,
+                    retryable: result.retryable !== false,
                 };
             }
         } catch (error) {
-            console.error(`[Webhook] Order creation error:`, error.message);
+            logger.error(`Order creation error`, { error });
             return {
                 success: false,
                 orderId: order.id,
@@ -74,33 +170,34 @@ class WebhookHandlers {
 
     /**
      * Handle orders/updated webhook
+     * Shipment progress comes from the fulfillment webhooks, so fulfillment_status is not used here,
+     * and cancelled orders are left to orders/cancelled. PAID is sent once: orders/updated also fires
+     * for tag, note and address edits
      * @param {object} order - Shopify order object
      * @returns {Promise<object>} Result
      */
     async handleOrderUpdate(order) {
-        console.log(`[Webhook] Order updated: ${order.name}`);
+        logger.info(`Order updated: ${order.name}`);
 
         try {
             // Determine new status based on Shopify order state
             let status = null;
 
-            if (order.cancelled_at) {
-                status = 'CANCELLED';
-            } else if (order.fulfillment_status === 'fulfilled') {
-                status = 'DELIVERED';
-            } else if (order.fulfillment_status === 'partial') {
-                status = 'PARTIALLY_DELIVERED';
-            } else if (order.financial_status === 'paid') {
+            // Once shipped, PAID would move the order backwards
+            const recorded = fulfillmentStatus.getOrder(order.id);
+            if (!order.cancelled_at && order.financial_status === 'paid' && !recorded?.orderStatus && !recorded?.paidAt) {
                 status = 'PAID';
             }
 
             if (status) {
-                const orderDate = new Date(order.created_at).toISOString().slice(0, 10);
                 const result = await orderService.setOrderStatus(
                     order.name,
-                    orderDate,
+                    orderService.formatDate(order.created_at),
                     status
                 );
+                if (result.success) {
+                    fulfillmentStatus.recordPaid(order);
+                }
 
                 return {
                     success: result.success,
@@ -112,7 +209,7 @@ class WebhookHandlers {
 
             return { success: true, orderId: order.id, status: 'NO_UPDATE_NEEDED' };
         } catch (error) {
-            console.error(`[Webhook] Order update error:`, error.message);
+            logger.error(`Order update error`, { error });
             return {
                 success: false,
                 orderId: order.id,
@@ -122,94 +219,189 @@ class WebhookHandlers {
     }
 
     /**
-     * Handle orders/cancelled webhook
-     * @param {object} order - Shopify order object
+     * Handle fulfillments/create and fulfillments/update webhooks
+     * Maps shipment_status onto the eShopaid order status through config.fulfillment.statusFlow,
+     * never moving an order back to an earlier stage
+     * @param {object} fulfillment - Shopify fulfillment object
      * @returns {Promise<object>} Result
      */
-    async handleOrderCancelled(order) {
-        console.log(`[Webhook] Order cancelled: ${order.name}`);
+    async handleFulfillmentUpdate(fulfillment) {
+        const shipmentStatus = fulfillment.shipment_status || fulfillment.status;
+        logger.info(`Fulfillment ${fulfillment.id} of order ${fulfillment.order_id}: ${shipmentStatus}`);
+
+        // The sales order may still be waiting in the queue, so this is retried until it's there
+        if (!syncLedger.getOrder(fulfillment.order_id)?.result?.success) {
+            return {
+                success: false,
+                fulfillmentId: fulfillment.id,
+                orderId: fulfillment.order_id,
+                error: 'Order has not been synced to eShopaid yet',
+            };
+        }
 
         try {
-            const orderDate = new Date(order.created_at).toISOString().slice(0, 10);
+            const order = await shopifyService.getOrder(fulfillment.order_id);
+            const change = fulfillmentStatus.plan(fulfillment, order);
+
+            if (!change.send) {
+                fulfillmentStatus.record(order, fulfillment, change);
+                logger.info(`Order ${order.name} stays at ${change.from || 'its current status'}`);
+                return { success: true, fulfillmentId: fulfillment.id, orderId: order.id, status: 'NO_UPDATE_NEEDED' };
+            }
+
             const result = await orderService.setOrderStatus(
                 order.name,
-                orderDate,
-                'CANCELLED'
+                orderService.formatDate(order.created_at),
+                change.orderStatus
             );
 
+            if (result.success) {
+                fulfillmentStatus.record(order, fulfillment, change);
+            }
+
             return {
                 success: result.success,
+                fulfillmentId: fulfillment.id,
                 orderId: order.id,
+                status: change.orderStatus,
                 error: result.error,
             };
         } catch (error) {
-            console.error(`[Webhook] Order cancellation error:`, error.message);
+            logger.error(`Fulfillment update error`, { error });
             return {
                 success: false,
-                orderId: order.id,
+                fulfillmentId: fulfillment.id,
+                orderId: fulfillment.order_id,
                 error: error.message,
             };
         }
     }
 
+    /**
+     * Handle orders/cancelled webhook
+     * Unshipped lines are released by cancelling the eShopaid sales order; shipped lines restocked by
+     * the refunds issued with the cancellation come back as return orders carrying their share of the
+     * refund payments. The rest of the refunded money paid back lines the cancellation released, and is
+     * recorded against the CancelSalesOrder call as refundedWithCancellation. The Shopify order is
+     * tagged only once eShopaid has confirmed every call, and a retry skips the calls already confirmed.
+     * @param {object} order - Shopify order object
+     * @returns {Promise<object>} Result
+     */
+    async handleOrderCancelled(order) {
+        logger.info(`Order cancelled: ${order.name}`);
+
+        // The sales order may still be waiting in the queue, so this is retried until it's there
+        if (!syncLedger.getOrder(order.id)?.result?.success) {
+            return { success: false, orderId: order.id, error: 'Order has not been synced to eShopaid yet' };
+        }
+
+        const recorded = syncLedger.getCancellation(order.id)?.result;
+        if (recorded?.tagged) {
+            logger.info(`Cancellation of ${order.name} already synced, skipping`);
+            return { ...recorded, duplicate: true };
+        }
+
+        const result = {
+            success: true,
+            orderId: order.id,
+            cancelled: recorded?.cancelled || false,
+            eshopaidStatus: recorded?.eshopaidStatus || null,
+            returns: [],
+            refundedWithCancellation: 0,
+            tagged: false,
+            error: null,
+        };
+
+        try {
+            const shipped = orderService.shippedQuantities(order);
+            const unshipped = order.line_items.some(line => line.quantity > (shipped.get(String(line.id)) || 0));
+
+            if (unshipped && !result.cancelled) {
+                const cancel = await orderService.cancelSalesOrder(
+                    order.name,
+                    orderService.formatDate(order.created_at),
+                    order.cancel_reason
+                );
+                if (!cancel.success) {
+                    return { ...result, success: false, error: cancel.error };
+                }
+                result.cancelled = true;
+                result.eshopaidStatus = cancel.status;
+                syncLedger.recordCancellation(order, result);
+            }
+
+            for (const refund of order.refunds || []) {
+                const pushed = await this.handleRefundCreate(refund, order);
+                result.returns.push({
+                    refundId: refund.id,
+                    success: pushed.success,
+                    eshopaidRef: pushed.eshopaidRef || null,
+                    status: pushed.status || null,
+                    notReturnedValue: pushed.notReturnedValue || 0,
+                });
+                if (!pushed.success) {
+                    return { ...result, success: false, error: pushed.error };
+                }
+            }
+            if (result.cancelled) {
+                result.refundedWithCancellation = orderService.round(
+                    result.returns.reduce((sum, pushed) => sum + pushed.notReturnedValue, 0)
+                );
+            }
+
+            await shopifyService.addOrderTags(order.id, [config.cancellation.syncedTag]);
+            result.tagged = true;
+            syncLedger.recordCancellation(order, result);
+
+            return result;
+        } catch (error) {
+            logger.error(`Order cancellation error`, { error });
+            return { ...result, success: false, error: error.message };
+        }
+    }
+
     /**
      * Handle refunds/create webhook
+     * The webhook payload is the refund alone, so the parent order is fetched from Shopify
      * @param {object} refund - Shopify refund object
-     * @param {object} order - Original order object
+     * @param {object} order - Original order object (optional, fetched by refund.order_id)
      * @returns {Promise<object>} Result
      */
-    async handleRefundCreate(refund, order) {
-        console.log(`[Webhook] Refund created for order: ${order.name}`);
+    async handleRefundCreate(refund, order = null) {
+        logger.info(`Refund ${refund.id} created for order: ${refund.order_id || order?.id}`);
+
+        const synced = syncLedger.getRefund(refund.id);
+        if (synced?.result?.success) {
+            logger.info(`Refund ${refund.id} already synced as ${synced.targetRefId}, skipping`);
+            return { ...synced.result, duplicate: true };
+        }
 
         try {
-            const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-            const orderDate = new Date(order.created_at).toISOString().slice(0, 10).replace(/-/g, '');
-
-            // Transform refund items
-            const items = refund.refund_line_items.map((item, index) => ({
-                LineNumber: index + 1,
-                RefLineNumber: index + 1, // Mandatory: original sales order line number
-                ItemCode: item.line_item?.sku || item.line_item?.variant_id?.toString(),
-                Quantity: item.quantity,
-                Rate: parseFloat(item.line_item?.price || 0),
-                DiscountAmount: 0,
-                LineRemarks: item.line_item?.name || '',
-            }));
-
-            // Create return order
-            const returnData = {
-                customer: order.customer ? {
-                    TitleName: '',
-                    FirstName: order.customer.first_name || 'Guest',
-                    LastName: order.customer.last_name || '',
-                    MobileNumber: order.customer.phone || order.shipping_address?.phone || '',
-                    EmailID: order.customer.email || order.email || '',
-                } : {},
-                returnDate: today,
-                returnOrderNumber: `RET${refund.id}`,
-                refOrderDate: orderDate,
-                refOrderNumber: order.name,
-                totalValue: refund.transactions?.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0) || 0,
-                remarks: refund.note || 'Shopify refund',
-                items: items,
-                payments: [{
-                    PaymentMode: 'Refund',
-                    PaymentValue: refund.transactions?.[0]?.amount || 0,
-                    ModeType: '',
-                    PaymentReference: refund.id.toString(),
-                }],
-            };
+            const parentOrder = order || await shopifyService.getOrder(refund.order_id);
+            const returnData = orderService.transformShopifyRefund(refund, parentOrder);
 
-            const result = await orderService.createReturnOrder(returnData);
+            if (returnData.items.length === 0 && returnData.otherCharges.length === 0) {
+                return this.settleWithCancellation(refund, parentOrder, returnData.refundedValue);
+            }
 
-            return {
+            const result = await orderService.createReturnOrder(returnData);
+            const synced = {
                 success: result.success,
                 refundId: refund.id,
+                orderId: parentOrder.id,
                 eshopaidRef: result.data?.TargetRefID,
+                returnValue: returnData.totalValue,
+                notReturnedValue: returnData.notReturnedValue,
                 error: result.error,
             };
+
+            if (result.success) {
+                syncLedger.recordRefund(refund, parentOrder, synced);
+            }
+
+            return synced;
         } catch (error) {
-            console.error(`[Webhook] Refund creation error:`, error.message);
+            logger.error(`Refund creation error`, { error });
             return {
                 success: false,
                 refundId: refund.id,
@@ -218,13 +410,46 @@ class WebhookHandlers {
         }
     }
 
+    /**
+     * Settle a refund that returns nothing to eShopaid stock
+     * PushReturnOrder needs items, so the money of a cancelled order's unshipped lines can't go back as
+     * a return: once CancelSalesOrder has released those lines, the refund is recorded against it
+     * @param {object} refund - Shopify refund
+     * @param {object} order - Parent Shopify order
+     * @param {number} refundedValue - Money the refund paid back
+     * @returns {object} Result
+     */
+    settleWithCancellation(refund, order, refundedValue) {
+        const cancellation = syncLedger.getCancellation(order.id)?.result;
+        if (!order.cancelled_at || !refundedValue || !cancellation?.cancelled) {
+            if (refundedValue) {
+                logger.warn(`Refund ${refund.id} of ${order.name} paid back ${refundedValue} without returning anything`);
+            }
+            logger.info(`Refund ${refund.id} has no returned items or shipping, skipping`);
+            return { success: true, refundId: refund.id, status: 'NO_RETURN_NEEDED', notReturnedValue: refundedValue };
+        }
+
+        const synced = {
+            success: true,
+            refundId: refund.id,
+            orderId: order.id,
+            status: 'SETTLED_BY_CANCELLATION',
+            eshopaidStatus: cancellation.eshopaidStatus,
+            notReturnedValue: refundedValue,
+        };
+        syncLedger.recordRefund(refund, order, synced);
+        logger.info(`Refund ${refund.id} of ${order.name} settled by the ${cancellation.eshopaidStatus} sales order`);
+
+        return synced;
+    }
+
     /**
      * Handle customers/create webhook
      * @param {object} customer - Shopify customer object
      * @returns {Promise<object>} Result
      */
     async handleCustomerCreate(customer) {
-        console.log(`[Webhook] Customer created: ${customer.email}`);
+        logger.info(`Customer created: ${customer.email}`);
 
         try {
             const result = await customerService.syncFromShopify(customer);
@@ -236,7 +461,7 @@ class WebhookHandlers {
                 error: result.error,
             };
         } catch (error) {
-            console.error(`[Webhook] Customer creation error:`, error.message);
+            logger.error(`Customer creation error`, { error });
             return {
                 success: false,
                 customerId: customer.id,
@@ -248,11 +473,11 @@ class WebhookHandlers {
     /**
      * Handle customers/update webhook
      * @param {object} customer - Shopify customer object
-     * @param {string} eshopaidCode - Existing eShopaid customer code
+     * @param {string} eshopaidCode - Existing eShopaid customer code (optional, looked up in the customer map)
      * @returns {Promise<object>} Result
      */
-    async handleCustomerUpdate(customer, eshopaidCode) {
-        console.log(`[Webhook] Customer updated: ${customer.email}`);
+    async handleCustomerUpdate(customer, eshopaidCode = null) {
+        logger.info(`Customer updated: ${customer.email}`);
 
         try {
             const result = await customerService.syncFromShopify(customer, eshopaidCode);
@@ -260,10 +485,11 @@ class WebhookHandlers {
             return {
                 success: result.success,
                 customerId: customer.id,
+                eshopaidCode: result.customerCode,
                 error: result.error,
             };
         } catch (error) {
-            console.error(`[Webhook] Customer update error:`, error.message);
+            logger.error(`Customer update error`, { error });
             return {
                 success: false,
                 customerId: customer.id,
@@ -273,38 +499,57 @@ class WebhookHandlers {
     }
 
     /**
-     * Trigger inventory sync
-     * @param {string} location - Store location (optional)
-     * @returns {Promise<object>} Inventory data
+     * Handle products/create and products/update webhooks
+     * Keeps the variant index current between rebuilds
+     * @param {object} product - Shopify product object
+     * @returns {Promise<object>} Result
      */
-    async triggerInventorySync(location) {
-        console.log(`[Webhook] Inventory sync triggered`);
+    async handleProductUpdate(product) {
+        logger.info(`Product updated: ${product.handle}`);
 
         try {
-            const result = await inventoryService.getInventoryByLocation(location);
-
-            if (result.success) {
-                console.log(`[Webhook] Fetched ${result.totalItems} inventory items`);
-                // Here you would sync to Shopify using the Admin API
-                return {
-                    success: true,
-                    itemCount: result.totalItems,
-                    inventory: result.inventoryByLocation,
-                };
-            }
-
+            return variantIndex.applyProduct(product);
+        } catch (error) {
+            logger.error(`Product update error`, { error });
             return {
                 success: false,
-                error: result.error,
+                productId: product.id,
+                error: error.message,
             };
+        }
+    }
+
+    /**
+     * Handle products/delete webhook
+     * @param {object} product - Shopify product ({ id })
+     * @returns {Promise<object>} Result
+     */
+    async handleProductDelete(product) {
+        logger.info(`Product deleted: ${product.id}`);
+
+        try {
+            return variantIndex.removeProduct(product.id);
         } catch (error) {
-            console.error(`[Webhook] Inventory sync error:`, error.message);
+            logger.error(`Product deletion error`, { error });
             return {
                 success: false,
+                productId: product.id,
                 error: error.message,
             };
         }
     }
+
+    /**
+     * Trigger inventory sync from eShopaid into Shopify
+     * Runs as the inventory-full or inventory-delta job, holding the inventory lock
+     * @param {string} location - Store location (optional, defaults to all mapped locations)
+     * @param {object} options - { mode: 'full' | 'delta' }
+     * @returns {Promise<object>} Sync counts, or { success: false, skipped: true, error } while a sync runs
+     */
+    async triggerInventorySync(location, options = {}) {
+        logger.info(`Inventory sync triggered`);
+        return scheduler.runNow(`inventory-${options.mode === 'delta' ? 'delta' : 'full'}`, { location });
+    }
 }
 
 module.exports = new WebhookHandlers();
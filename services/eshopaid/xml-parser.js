@@ -0,0 +1,105 @@
+/**
+ * XML Parser
+ * Converts the simple XML documents returned by eShopaid into plain objects
+ * shaped like their JSON counterparts (repeated elements become arrays)
+ */
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+};
+
+/**
+ * Decode XML entities
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, entity => {
+        if (ENTITIES[entity]) {
+            return ENTITIES[entity];
+        }
+        const code = entity[2] === 'x' || entity[2] === 'X'
+            ? parseInt(entity.slice(3, -1), 16)
+            : parseInt(entity.slice(2, -1), 10);
+        return String.fromCodePoint(code);
+    });
+}
+
+/**
+ * Add a child value to a parent object, turning repeated names into arrays
+ * @param {object} parent - Parent object
+ * @param {string} name - Element name
+ * @param {*} value - Element value
+ */
+function addChild(parent, name, value) {
+    if (!(name in parent)) {
+        parent[name] = value;
+    } else if (Array.isArray(parent[name])) {
+        parent[name].push(value);
+    } else {
+        parent[name] = [parent[name], value];
+    }
+}
+
+/**
+ * Strip a namespace prefix, e.g. a:Result -> Result
+ * @param {string} name - Element name
+ * @returns {string} Local name
+ */
+function localName(name) {
+    const index = name.indexOf(':');
+    return index === -1 ? name : name.slice(index + 1);
+}
+
+/**
+ * Parse an XML string
+ * Attributes are ignored; leaf elements become trimmed strings
+ * @param {string} xml - XML document
+ * @returns {object} Parsed document, keyed by the root element name
+ */
+function parseXml(xml) {
+    const root = { children: {}, text: '' };
+    const stack = [root];
+    const tokens = String(xml)
+        .replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .match(/<!\[CDATA\[[\s\S]*?\]\]>|<[^>]+>|[^<]+/g) || [];
+
+    for (const token of tokens) {
+        const current = stack[stack.length - 1];
+
+        if (token.startsWith('<![CDATA[')) {
+            current.text += token.slice(9, -3);
+        } else if (token.startsWith('</')) {
+            const name = localName(token.slice(2, -1).trim());
+            const node = stack.pop();
+            if (stack.length === 0 || node.name !== name) {
+                throw new Error(`Malformed XML: unexpected closing tag </${name}>`);
+            }
+            const value = Object.keys(node.children).length > 0 ? node.children : node.text.trim();
+            addChild(stack[stack.length - 1].children, name, value);
+        } else if (token.startsWith('<')) {
+            const selfClosing = token.endsWith('/>');
+            const name = localName(token.slice(1, selfClosing ? -2 : -1).trim().split(/\s/)[0]);
+            if (selfClosing) {
+                addChild(current.children, name, '');
+            } else {
+                stack.push({ name, children: {}, text: '' });
+            }
+        } else {
+            current.text += decodeEntities(token);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Malformed XML: unclosed element <${stack[stack.length - 1].name}>`);
+    }
+
+    return root.children;
+}
+
+module.exports = { parseXml };